@@ -0,0 +1,378 @@
+/**
+ * Action Recorder - ضبط جریان actionها و بازپخش قطعی برای گزارش باگ
+ * اصول رعایت شده: SRP, DIP, KISS
+ *
+ * ضبط: state اولیه + همه actionها با زمان و seed تصادفی هر کدام.
+ * هر action در محیطی اجرا می‌شود که Date و Math.random آن ثابت است، پس
+ * بازپخش روی یک VakamovaStateManager تازه همان stateها را تولید می‌کند.
+ * بعد از هر action یک checksum از state ذخیره می‌شود تا اولین اختلاف پیدا شود.
+ *
+ * محدودیت‌ها:
+ * - ساعت و random برای کل بخش همگام dispatch ثابت می‌شود، نه فقط reducerها؛
+ *   middlewareها، subscriberها و شنودکننده‌های action (ذخیره‌سازی، Tab Sync، DevTools)
+ *   در حین ضبط و بازپخش همان زمان ضبط شده را می‌بینند
+ * - effectها (thunk و توصیف‌گر) ضبط و بازپخش نمی‌شوند؛ فقط actionهایی که dispatch می‌کنند
+ *   ضبط می‌شوند. نتیجه effect به صورت داده بازسازی می‌شود، اما کد بعد از await
+ *   داخل effect با ساعت واقعی اجرا می‌شود و زمان‌بندی آن قابل تکرار نیست
+ * - بازپخش باید روی نمونه‌ای بدون ذخیره‌سازی و همگام‌سازی تب‌ها انجام شود
+ */
+
+import { VakamovaStateManager } from './state-manager.js';
+
+const SESSION_FORMAT = 'vakamova-session';
+const SESSION_FORMAT_VERSION = 1;
+
+class ActionRecorder {
+  /**
+   * @param {VakamovaStateManager} stateManager
+   * @param {Object} options
+   * @param {number} [options.maxActions=5000] - سقف actionهای ضبط شده
+   * @param {boolean} [options.checksums=true] - ذخیره checksum بعد از هر action
+   */
+  constructor(stateManager, options = {}) {
+    if (!stateManager || typeof stateManager.dispatch !== 'function') {
+      throw new Error('Valid stateManager required');
+    }
+
+    this._stateManager = stateManager;
+    this._options = {
+      maxActions: 5000,
+      checksums: true,
+      ...options
+    };
+
+    this._isRecording = false;
+    this._session = null;
+    this._originalDispatch = null;
+    this._originalBatch = null;
+
+    // batch در حال ضبط (actionهای داخلش یک ورودی می‌شوند)
+    this._currentBatch = null;
+  }
+
+  /**
+   * شروع ضبط از state فعلی
+   */
+  start() {
+    if (this._isRecording) return;
+
+    const stateManager = this._stateManager;
+
+    this._session = {
+      format: SESSION_FORMAT,
+      formatVersion: SESSION_FORMAT_VERSION,
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : 'unknown',
+      initialState: cloneForExport(stateManager.getState()),
+      initialChecksum: checksumState(stateManager.getState()),
+      entries: [],
+      truncated: false
+    };
+
+    this._originalDispatch = stateManager.dispatch;
+    this._originalBatch = stateManager.batch;
+
+    // dispatch و batch همین نمونه را decorate می‌کنیم
+    stateManager.dispatch = (action) => this._recordDispatch(action);
+    stateManager.batch = (fn, label) => this._recordBatch(fn, label);
+
+    this._isRecording = true;
+  }
+
+  /**
+   * پایان ضبط و بازگرداندن dispatch اصلی
+   * @returns {Object} جلسه ضبط شده
+   */
+  stop() {
+    if (!this._isRecording) return this._session;
+
+    delete this._stateManager.dispatch;
+    delete this._stateManager.batch;
+
+    // اگر متدها روی خود نمونه تعریف شده بودند (نه prototype) برگردانده می‌شوند
+    if (this._stateManager.dispatch !== this._originalDispatch) {
+      this._stateManager.dispatch = this._originalDispatch;
+    }
+    if (this._stateManager.batch !== this._originalBatch) {
+      this._stateManager.batch = this._originalBatch;
+    }
+
+    this._session.endedAt = new Date().toISOString();
+    this._isRecording = false;
+    return this._session;
+  }
+
+  isRecording() {
+    return this._isRecording;
+  }
+
+  /**
+   * خروجی JSON جلسه
+   * @returns {Object}
+   */
+  exportSession() {
+    if (!this._session) {
+      throw new Error('No recorded session. Call start() first.');
+    }
+
+    return JSON.parse(JSON.stringify({
+      ...this._session,
+      finalChecksum: checksumState(this._stateManager.getState())
+    }));
+  }
+
+  /**
+   * دانلود جلسه به صورت فایل JSON (برای پیوست به گزارش باگ)
+   * @param {string} [filename]
+   */
+  downloadSession(filename = `vakamova-session-${Date.now()}.json`) {
+    const session = this.exportSession();
+    const blob = new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    return filename;
+  }
+
+  _recordDispatch(action) {
+    const dispatch = this._originalDispatch.bind(this._stateManager);
+
+    // effectها ضبط نمی‌شوند؛ actionهایی که dispatch می‌کنند ضبط می‌شوند
+    if (!action || typeof action !== 'object' || typeof action.effect === 'function') {
+      return dispatch(action);
+    }
+
+    const entry = this._createEntry(action);
+
+    if (this._currentBatch) {
+      this._currentBatch.actions.push(entry);
+      return runDeterministic(entry.timestamp, entry.seed, () => dispatch(action));
+    }
+
+    const result = runDeterministic(entry.timestamp, entry.seed, () => dispatch(action));
+    this._pushEntry({ kind: 'action', ...entry });
+    return result;
+  }
+
+  _recordBatch(fn, label) {
+    const batch = this._originalBatch.bind(this._stateManager);
+
+    // batch تو در تو بخشی از batch بیرونی است
+    if (this._currentBatch) {
+      return batch(fn, label);
+    }
+
+    this._currentBatch = { kind: 'batch', label: label || '@@BATCH', actions: [] };
+    let result;
+
+    try {
+      result = batch(fn, label);
+    } finally {
+      const recordedBatch = this._currentBatch;
+      this._currentBatch = null;
+      if (recordedBatch.actions.length > 0) {
+        this._pushEntry(recordedBatch);
+      }
+    }
+
+    return result;
+  }
+
+  _createEntry(action) {
+    return {
+      action: cloneForExport(action),
+      timestamp: Date.now(),
+      seed: Math.floor(Math.random() * 0x100000000)
+    };
+  }
+
+  _pushEntry(entry) {
+    if (this._options.checksums) {
+      entry.checksum = checksumState(this._stateManager.getState());
+      entry.version = this._stateManager.getState()._version || 0;
+    }
+
+    this._session.entries.push(entry);
+
+    if (this._session.entries.length > this._options.maxActions) {
+      this._session.truncated = true;
+      this.stop();
+      console.warn(`Action recording stopped: more than ${this._options.maxActions} actions`);
+    }
+  }
+}
+
+/**
+ * بازپخش جلسه ضبط شده روی یک State Manager تازه
+ * @param {Object} session - خروجی exportSession
+ * @param {Object} [options]
+ * @param {Function} [options.createStateManager] - (initialState) => stateManager
+ * @param {Function} [options.setup] - ثبت reducerهای ماژول‌ها روی نمونه تازه
+ * @param {boolean} [options.stopOnDivergence=true]
+ * @returns {{replayed: number, total: number, diverged: boolean, divergence: Object|null, finalState: Object, stateManager: Object}}
+ */
+export function replaySession(session, options = {}) {
+  if (!session || session.format !== SESSION_FORMAT) {
+    throw new Error('Invalid session: unknown format');
+  }
+
+  if (session.formatVersion > SESSION_FORMAT_VERSION) {
+    throw new Error(`Unsupported session format version: ${session.formatVersion}`);
+  }
+
+  const {
+    createStateManager = (initialState) => new VakamovaStateManager(initialState),
+    setup = null,
+    stopOnDivergence = true
+  } = options;
+
+  const stateManager = createStateManager(JSON.parse(JSON.stringify(session.initialState)));
+  if (typeof stateManager.setDevelopmentMode === 'function') {
+    stateManager.setDevelopmentMode(false);
+  }
+  if (setup) setup(stateManager);
+
+  const report = {
+    replayed: 0,
+    total: session.entries.length,
+    diverged: false,
+    divergence: null,
+    finalState: null,
+    stateManager
+  };
+
+  for (let index = 0; index < session.entries.length; index++) {
+    const entry = session.entries[index];
+
+    try {
+      replayEntry(stateManager, entry);
+    } catch (error) {
+      report.diverged = true;
+      report.divergence = describeDivergence(index, entry, stateManager, error);
+      break;
+    }
+
+    report.replayed++;
+
+    if (entry.checksum !== undefined && entry.checksum !== checksumState(stateManager.getState())) {
+      report.diverged = true;
+      report.divergence = report.divergence || describeDivergence(index, entry, stateManager);
+      if (stopOnDivergence) break;
+    }
+  }
+
+  report.finalState = stateManager.getState();
+  return report;
+}
+
+function replayEntry(stateManager, entry) {
+  if (entry.kind === 'batch') {
+    stateManager.batch(() => {
+      entry.actions.forEach(item => {
+        runDeterministic(item.timestamp, item.seed, () => stateManager.dispatch(item.action));
+      });
+    }, entry.label);
+    return;
+  }
+
+  runDeterministic(entry.timestamp, entry.seed, () => stateManager.dispatch(entry.action));
+}
+
+function describeDivergence(index, entry, stateManager, error = null) {
+  const state = stateManager.getState();
+
+  return {
+    index,
+    kind: entry.kind,
+    actionType: entry.kind === 'batch' ? entry.label : entry.action.type,
+    expectedChecksum: entry.checksum,
+    actualChecksum: checksumState(state),
+    expectedVersion: entry.version,
+    actualVersion: state._version || 0,
+    error: error ? error.message : null
+  };
+}
+
+/**
+ * اجرای fn با ساعت ثابت و Math.random قطعی
+ * هر کدی که به صورت همگام داخل fn اجرا شود (از جمله subscriberها) ساعت ثابت را می‌بیند؛
+ * callbackهای ناهمگامی که fn زمان‌بندی می‌کند ساعت واقعی را می‌بینند.
+ * فقط Date.now و سازنده بدون آرگومان عوض می‌شوند؛ instanceof برای Dateهایی که
+ * قبل از اجرا ساخته شده‌اند درست می‌ماند تا ضبط، state برنامه را تغییر ندهد
+ */
+function runDeterministic(timestamp, seed, fn) {
+  const RealDate = globalThis.Date;
+  const realRandom = Math.random;
+
+  class FixedDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) {
+        super(timestamp);
+      } else {
+        super(...args);
+      }
+    }
+
+    static now() {
+      return timestamp;
+    }
+
+    static [Symbol.hasInstance](value) {
+      return value instanceof RealDate;
+    }
+  }
+
+  globalThis.Date = FixedDate;
+  Math.random = createSeededRandom(seed);
+
+  try {
+    return fn();
+  } finally {
+    globalThis.Date = RealDate;
+    Math.random = realRandom;
+  }
+}
+
+/**
+ * مولد عدد تصادفی قابل تکرار (mulberry32)
+ */
+function createSeededRandom(seed) {
+  let value = seed >>> 0;
+
+  return () => {
+    value = (value + 0x6D2B79F5) >>> 0;
+    let t = value;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * checksum سبک (FNV-1a) از state سریال شده
+ */
+function checksumState(state) {
+  const text = JSON.stringify(state) || '';
+  let hash = 0x811C9DC5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0).toString(16);
+}
+
+function cloneForExport(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+export { ActionRecorder };
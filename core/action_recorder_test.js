@@ -0,0 +1,165 @@
+/**
+ * 🧪 تست Action Recorder
+ * تست‌های ضبط، خروجی و بازپخش قطعی جلسه
+ */
+
+import { ActionRecorder, replaySession } from './action-recorder.js';
+import { VakamovaStateManager, ActionCreators, createReducer } from './state-manager.js';
+import { BasicStateSanitizer } from './state-validator.js';
+
+global.localStorage = {
+    getItem: jest.fn(() => null),
+    setItem: jest.fn(),
+    removeItem: jest.fn()
+};
+
+// reducer غیرقطعی: به Date و Math.random وابسته است
+const registerDice = (stateManager) => stateManager.registerReducer('dice', createReducer({ rolls: [] }, {
+    DICE_ROLLED: (dice) => ({
+        rolls: [...dice.rolls, { value: Math.ceil(Math.random() * 6), at: new Date().toISOString() }]
+    })
+}));
+
+const createStateManager = () => {
+    const stateManager = new VakamovaStateManager({});
+    stateManager.setDevelopmentMode(false);
+    registerDice(stateManager);
+    return stateManager;
+};
+
+describe('ActionRecorder', () => {
+    let stateManager;
+    let recorder;
+
+    beforeEach(() => {
+        stateManager = createStateManager();
+        recorder = new ActionRecorder(stateManager);
+    });
+
+    afterEach(() => {
+        recorder.stop();
+        jest.restoreAllMocks();
+    });
+
+    // خروجی از مسیر JSON (مثل فایل پیوست گزارش باگ) عبور می‌کند
+    const exportAsFile = () => JSON.parse(JSON.stringify(recorder.exportSession()));
+
+    test('should replay a recorded session to the same state', () => {
+        recorder.start();
+        stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+        stateManager.dispatch({ type: 'DICE_ROLLED' });
+        stateManager.dispatch({ type: 'DICE_ROLLED' });
+        recorder.stop();
+
+        const report = replaySession(exportAsFile(), { setup: registerDice });
+
+        expect(report.diverged).toBe(false);
+        expect(report.replayed).toBe(3);
+        expect(report.finalState.dice).toEqual(stateManager.getState().dice);
+        expect(report.finalState.user.lastLogin).toBe(stateManager.getState().user.lastLogin);
+    });
+
+    test('should record a batch as a single entry', () => {
+        recorder.start();
+        stateManager.dispatchMany([{ type: 'DICE_ROLLED' }, ActionCreators.completeLesson('l1', 90)]);
+        recorder.stop();
+
+        const session = exportAsFile();
+        expect(session.entries).toHaveLength(1);
+        expect(session.entries[0].kind).toBe('batch');
+        expect(replaySession(session, { setup: registerDice }).diverged).toBe(false);
+    });
+
+    test('should record actions dispatched by async effects', async () => {
+        recorder.start();
+        await stateManager.dispatch(async (dispatch) => {
+            await Promise.resolve();
+            dispatch({ type: 'DICE_ROLLED' });
+        });
+        recorder.stop();
+
+        const session = exportAsFile();
+        expect(session.entries.map(entry => entry.action.type)).toContain('DICE_ROLLED');
+        expect(replaySession(session, { setup: registerDice }).finalState.dice)
+            .toEqual(stateManager.getState().dice);
+    });
+
+    test('should start replay from the recorded initial state', () => {
+        stateManager.dispatch(ActionCreators.completeLesson('l1', 40));
+        recorder.start();
+        stateManager.dispatch(ActionCreators.completeLesson('l2', 60));
+        recorder.stop();
+
+        const report = replaySession(exportAsFile(), { setup: registerDice });
+
+        expect(Object.keys(report.finalState.progress)).toEqual(['l1', 'l2']);
+    });
+
+    test('should report the first diverging entry', () => {
+        recorder.start();
+        stateManager.dispatch(ActionCreators.completeLesson('l1', 40));
+        stateManager.dispatch({ type: 'DICE_ROLLED' });
+        stateManager.dispatch({ type: 'DICE_ROLLED' });
+        recorder.stop();
+
+        // reducer تغییر کرده (مثلاً نسخه جدید برنامه)
+        const report = replaySession(exportAsFile(), {
+            setup: (replayManager) => replayManager.registerReducer('dice', createReducer({ rolls: [] }, {
+                DICE_ROLLED: (dice) => ({ rolls: [...dice.rolls, { value: 6 }] })
+            }))
+        });
+
+        expect(report.diverged).toBe(true);
+        expect(report.replayed).toBe(2);
+        expect(report.divergence).toMatchObject({ index: 1, kind: 'action', actionType: 'DICE_ROLLED' });
+        expect(report.divergence.actualChecksum).not.toBe(report.divergence.expectedChecksum);
+    });
+
+    test('should keep replaying after divergence when asked', () => {
+        recorder.start();
+        stateManager.dispatch({ type: 'DICE_ROLLED' });
+        stateManager.dispatch(ActionCreators.completeLesson('l1', 40));
+        recorder.stop();
+
+        const session = exportAsFile();
+        session.entries[0].checksum = 'tampered';
+
+        const report = replaySession(session, { setup: registerDice, stopOnDivergence: false });
+
+        expect(report.diverged).toBe(true);
+        expect(report.divergence.index).toBe(0);
+        expect(report.replayed).toBe(2);
+    });
+
+    test('should reject sessions in an unknown format', () => {
+        expect(() => replaySession({ format: 'other' })).toThrow('unknown format');
+        expect(() => replaySession({ format: 'vakamova-session', formatVersion: 99, entries: [] }))
+            .toThrow('Unsupported session format version');
+    });
+
+    test('should keep Date values in state while recording', () => {
+        const sanitized = new VakamovaStateManager({}, { sanitizer: new BasicStateSanitizer() });
+        sanitized.setDevelopmentMode(false);
+        sanitized.registerReducer('reminder', createReducer(null, {
+            REMINDER_SET: (reminder, action) => ({ at: action.payload.at })
+        }));
+        const sanitizedRecorder = new ActionRecorder(sanitized);
+        const at = new Date('2024-01-01T08:00:00Z');
+
+        sanitizedRecorder.start();
+        sanitized.dispatch({ type: 'REMINDER_SET', payload: { at } });
+        sanitizedRecorder.stop();
+
+        expect(sanitized.getState().reminder.at).toBeInstanceOf(Date);
+        expect(sanitized.getState().reminder.at.getTime()).toBe(at.getTime());
+    });
+
+    test('should restore the original dispatch when stopped', () => {
+        const dispatch = stateManager.dispatch;
+        recorder.start();
+        recorder.stop();
+
+        expect(stateManager.dispatch).toBe(dispatch);
+        expect(Object.prototype.hasOwnProperty.call(stateManager, 'dispatch')).toBe(false);
+    });
+});
@@ -4,6 +4,7 @@
  */
 
 import APIClientInterface from './api-client-interface.js';
+import { validateAgainstJSONSchema } from './state-validator.js';
 
 class APIClient extends APIClientInterface {
     /**
@@ -135,9 +136,16 @@ class APIClient extends APIClientInterface {
      * @param {Object} data - داده‌های body
      * @param {Object} params - پارامترهای query
      * @param {Object} options - تنظیمات اضافی
+     * @param {Object} [options.schema] - JSON Schema بدنه درخواست
+     * @param {Object} [options.responseSchema] - JSON Schema پاسخ
      * @returns {Promise<any>}
      */
     async request(method, endpoint, data = null, params = {}, options = {}) {
+        // اعتبارسنجی بدنه درخواست با JSON Schema (قبل از ارسال یا صف آفلاین)
+        if (options.schema && data) {
+            this.validatePayload(data, options.schema, { endpoint, method, direction: 'request' });
+        }
+        
         // بررسی حالت آفلاین
         if (!navigator.onLine && !options.ignoreOffline) {
             return this.handleOfflineRequest(method, endpoint, data, params, options);
@@ -184,6 +192,11 @@ class APIClient extends APIClientInterface {
             // پردازش پاسخ
             const result = await this.responseInterceptor(response);
             
+            // اعتبارسنجی پاسخ با JSON Schema
+            if (options.responseSchema) {
+                this.validatePayload(result, options.responseSchema, { endpoint, method, direction: 'response' });
+            }
+            
             // ذخیره در کش برای GET requests
             if (method === 'GET' && options.cache !== false && response.ok) {
                 this.saveToCache(endpoint, params, result, options.cacheTTL);
@@ -464,6 +477,29 @@ class APIClient extends APIClientInterface {
         return error;
     }
     
+    /**
+     * اعتبارسنجی payload با JSON Schema مشترک با بک‌اند - رعایت SRP
+     * @param {*} payload - بدنه درخواست یا پاسخ
+     * @param {Object} schema - JSON Schema (draft 2020-12)
+     * @param {Object} context - { endpoint, method, direction }
+     */
+    validatePayload(payload, schema, context) {
+        const { isValid, errors } = validateAgainstJSONSchema(schema, payload);
+        
+        if (isValid) return;
+        
+        this.logger.warn('Payload failed schema validation', { ...context, errors });
+        
+        const error = new Error(`Invalid ${context.direction} payload for ${context.method} ${context.endpoint}`);
+        error.type = 'VALIDATION_ERROR';
+        error.code = 'SCHEMA_VALIDATION_FAILED';
+        error.details = errors;
+        error.context = context;
+        error.timestamp = new Date().toISOString();
+        
+        throw error;
+    }
+    
     /**
      * تجزیه خطای پاسخ - رعایت SRP
      */
@@ -218,6 +218,32 @@ describe('APIClient', () => {
             expect(error.type).toBe('CLIENT_ERROR');
         }
     });
+
+    test('should validate payloads against JSON Schema', async () => {
+        const schema = {
+            type: 'object',
+            required: ['email'],
+            properties: { email: { type: 'string', minLength: 3 } }
+        };
+
+        await expect(apiClient.post('/users', { email: 42 }, { schema })).rejects.toMatchObject({
+            type: 'VALIDATION_ERROR',
+            code: 'SCHEMA_VALIDATION_FAILED'
+        });
+        expect(global.fetch).not.toHaveBeenCalled();
+
+        global.fetch.mockResolvedValue({
+            ok: true,
+            status: 200,
+            headers: { get: () => 'application/json' },
+            json: async () => ({ id: 'abc' })
+        });
+
+        await expect(apiClient.post('/users', { email: 'a@b.co' }, {
+            schema,
+            responseSchema: { type: 'object', properties: { id: { type: 'integer' } } }
+        })).rejects.toMatchObject({ code: 'SCHEMA_VALIDATION_FAILED' });
+    });
 });
 
 // تست‌های اضافی برای coverage کامل
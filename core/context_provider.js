@@ -3,6 +3,8 @@
  * اصول رعایت شده: DIP, ISP, SRP, OCP
  */
 
+import { VakamovaSelectors } from './state-selectors.js';
+
 // ==================== تعریف Interfaceها (قراردادها) ====================
 // اصل ISP: اینترفیس‌های کوچک و خاص
 
@@ -130,8 +132,9 @@ class VakamovaStateProvider extends StateProvider {
   dispatch(action) {
     this._ensureInitialized();
     
-    if (!action || typeof action !== 'object') {
-      throw new Error('Action must be an object');
+    // تابع‌ها (thunk) توسط State Manager به عنوان effect اجرا می‌شوند
+    if (!action || (typeof action !== 'object' && typeof action !== 'function')) {
+      throw new Error('Action must be an object or a function');
     }
     
     return this._stateManager.dispatch(action);
@@ -163,11 +166,16 @@ class VakamovaStateProvider extends StateProvider {
   
   /**
    * دریافت State با selector برای بهینه‌سازی رندر
+   * مقایسه پیش‌فرض مثل قبل بر اساس مقدار (JSON) است تا selectorهایی که شیء جدید
+   * می‌سازند listener را بی‌دلیل صدا نزنند. چون State Manager ساختار مشترک دارد،
+   * برای selectorهای ساده Object.is (فقط reference) سریع‌تر است
    * @param {Function} selector - تابع انتخاب‌گر (مثال: state => state.user)
    * @param {Function} listener - تابع شنود
+   * @param {string} [subscriberId]
+   * @param {Function} [equalityFn=jsonEqual] - مقایسه مقدار قبلی و فعلی (مثال: Object.is یا shallowEqual)
    * @returns {Function} تابع لغو اشتراک
    */
-  subscribeWithSelector(selector, listener, subscriberId = null) {
+  subscribeWithSelector(selector, listener, subscriberId = null, equalityFn = jsonEqual) {
     this._ensureInitialized();
     
     if (typeof selector !== 'function') {
@@ -180,7 +188,7 @@ class VakamovaStateProvider extends StateProvider {
       const currentValue = selector(state);
       
       // فقط اگر مقدار تغییر کرده، listener را صدا بزن
-      if (JSON.stringify(previousValue) !== JSON.stringify(currentValue)) {
+      if (!equalityFn(previousValue, currentValue)) {
         previousValue = currentValue;
         listener(currentValue, state);
       }
@@ -367,8 +375,12 @@ class VakamovaContext {
     this._contextCache = new Map();
     this._isGlobalContext = false;
     
+    // selectorهای مشترک بین همه contextها (کش memoize شده یکبار ساخته می‌شود)
+    this._selectors = new Map();
+    
     // ثبت سرویس‌های پیش‌فرض
     this._registerCoreServices();
+    this._registerCoreSelectors();
   }
   
   /**
@@ -379,6 +391,58 @@ class VakamovaContext {
     // چون به State Manager نیاز دارد که از بیرون تزریق می‌شود
   }
   
+  /**
+   * ثبت selectorهای پایه
+   */
+  _registerCoreSelectors() {
+    Object.entries(VakamovaSelectors).forEach(([name, selector]) => {
+      this.registerSelector(name, selector);
+    });
+  }
+  
+  /**
+   * ثبت selector مشترک (ترجیحاً ساخته شده با createSelector)
+   * @param {string} name
+   * @param {Function} selector
+   */
+  registerSelector(name, selector) {
+    if (typeof selector !== 'function') {
+      throw new Error(`Selector ${name} must be a function`);
+    }
+    
+    if (this._selectors.has(name)) {
+      console.warn(`Selector ${name} is already registered. Overwriting...`);
+    }
+    
+    this._selectors.set(name, selector);
+    return this;
+  }
+  
+  /**
+   * دریافت selector ثبت شده
+   * @param {string} name
+   * @returns {Function}
+   */
+  getSelector(name) {
+    const selector = this._selectors.get(name);
+    
+    if (!selector) {
+      throw new Error(`Selector ${name} not found in registry`);
+    }
+    
+    return selector;
+  }
+  
+  /**
+   * آمار کش selectorهای memoize شده
+   * @returns {Array<Object>}
+   */
+  getSelectorStats() {
+    return Array.from(this._selectors.entries())
+      .filter(([, selector]) => typeof selector.getStats === 'function')
+      .map(([name, selector]) => ({ ...selector.getStats(), name }));
+  }
+  
   /**
    * تنظیم State Manager (باید از بیرون فراخوانی شود)
    * @param {Object} stateManager
@@ -463,9 +527,18 @@ class VakamovaContext {
       return stateProvider.subscribe(listener, id);
     };
     
-    context.subscribeTo = (selector, listener, id) => {
+    // selector می‌تواند تابع یا نام selector ثبت شده باشد
+    const resolveSelector = (selector) => (
+      typeof selector === 'string' ? this.getSelector(selector) : selector
+    );
+    
+    context.select = (selector, ...params) => {
+      return resolveSelector(selector)(context.getState(), ...params);
+    };
+    
+    context.subscribeTo = (selector, listener, id, equalityFn) => {
       const stateProvider = context.getService('state');
-      return stateProvider.subscribeWithSelector(selector, listener, id);
+      return stateProvider.subscribeWithSelector(resolveSelector(selector), listener, id, equalityFn);
     };
     
     this._contextCache.set(contextName, context);
@@ -514,6 +587,39 @@ class VakamovaContext {
   }
 }
 
+/**
+ * مقایسه مقدار با JSON (پیش‌فرض subscribeWithSelector)؛ reference یکسان سریع برمی‌گردد
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function jsonEqual(a, b) {
+  return Object.is(a, b) || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * مقایسه سطحی دو مقدار (برای selectorهایی که شیء یا آرایه جدید می‌سازند)
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+  
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  
+  if (keysA.length !== keysB.length) return false;
+  
+  return keysA.every(key =>
+    Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key])
+  );
+}
+
 // ==================== ایجاد نمونه سراسری ====================
 
 let globalContextInstance = null;
@@ -601,5 +707,7 @@ export default {
   ServiceRegistry,
   ServiceProvider,
   StateProvider,
+  shallowEqual,
+  jsonEqual,
   helpers: VakamovaContextHelpers
 };
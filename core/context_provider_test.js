@@ -0,0 +1,72 @@
+/**
+ * 🧪 تست Context Provider
+ * تست‌های subscribeWithSelector و توابع مقایسه
+ */
+
+import ContextProvider, { shallowEqual, jsonEqual } from './context-provider.js';
+import { VakamovaStateManager, ActionCreators } from './state-manager.js';
+
+global.localStorage = {
+    getItem: jest.fn(() => null),
+    setItem: jest.fn(),
+    removeItem: jest.fn()
+};
+
+describe('VakamovaStateProvider.subscribeWithSelector', () => {
+    let stateManager;
+    let provider;
+
+    beforeEach(async () => {
+        stateManager = new VakamovaStateManager({});
+        stateManager.setDevelopmentMode(false);
+        provider = new ContextProvider.VakamovaStateProvider(stateManager);
+        await provider.initialize();
+    });
+
+    // selector که در هر بار اجرا شیء جدید می‌سازد
+    const selectSummary = state => ({ email: state.user?.email || null });
+
+    test('should compare selected values by content by default', () => {
+        const listener = jest.fn();
+        provider.subscribeWithSelector(selectSummary, listener);
+
+        stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 80));
+        expect(listener).not.toHaveBeenCalled();
+
+        stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+        expect(listener).toHaveBeenCalledWith({ email: 'ali@test.com' }, stateManager.getState());
+    });
+
+    test('should use a custom equality function', () => {
+        const listener = jest.fn();
+        provider.subscribeWithSelector(selectSummary, listener, null, Object.is);
+
+        stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 80));
+
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop notifying after unsubscribe', () => {
+        const listener = jest.fn();
+        const unsubscribe = provider.subscribeWithSelector(state => state.progress, listener);
+
+        unsubscribe();
+        stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 80));
+
+        expect(listener).not.toHaveBeenCalled();
+    });
+});
+
+describe('equality helpers', () => {
+    test('jsonEqual should compare nested values', () => {
+        expect(jsonEqual({ a: { b: [1, 2] } }, { a: { b: [1, 2] } })).toBe(true);
+        expect(jsonEqual({ a: 1 }, { a: 2 })).toBe(false);
+    });
+
+    test('shallowEqual should compare only the first level', () => {
+        const nested = { b: 1 };
+
+        expect(shallowEqual({ a: nested }, { a: nested })).toBe(true);
+        expect(shallowEqual({ a: { b: 1 } }, { a: { b: 1 } })).toBe(false);
+    });
+});
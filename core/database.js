@@ -47,8 +47,11 @@ class Database extends IDatabase {
     const storedVersion = await this._getStoredVersion();
     
     // 5. اجرای مهاجرت اگر لازم باشد
+    // دیتابیس تازه (نسخه 0) storeهایش را در onupgradeneeded ساخته و مهاجرتی لازم ندارد
     if (storedVersion < schema.version) {
-      await this.migrationEngine.migrate(storedVersion, schema.version);
+      if (storedVersion > 0) {
+        await this.migrationEngine.migrate(storedVersion, schema.version);
+      }
       await this._setStoredVersion(schema.version);
     }
 
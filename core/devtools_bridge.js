@@ -0,0 +1,275 @@
+/**
+ * DevTools Bridge - اتصال State Manager به افزونه Redux DevTools
+ * اصول رعایت شده: SRP, DIP, KISS
+ *
+ * - هر action commit شده همراه تغییرات (diffStates) به افزونه ارسال می‌شود
+ * - پیام‌های افزونه (jump، rollback، commit، reset، import، pause، lock) اعمال می‌شوند؛
+ *   stateهای افزونه با replaceState اعمال می‌شوند تا تاریخچه و _version دست نخورند
+ * - اگر افزونه نصب نباشد، bridge بدون اثر (no-op) برگردانده می‌شود
+ */
+
+import { diffStates } from './state-manager.js';
+
+const DEFAULT_OPTIONS = {
+  name: 'Vakamova',
+  enabled: true,
+  // ارسال diff تغییرات در meta.changes هر action
+  includeChanges: true,
+  maxAge: 50
+};
+
+class DevToolsBridge {
+  /**
+   * @param {VakamovaStateManager} stateManager
+   * @param {Object} options
+   * @param {Object} [options.extension] - پیش‌فرض: window.__REDUX_DEVTOOLS_EXTENSION__
+   */
+  constructor(stateManager, options = {}) {
+    this._stateManager = stateManager;
+    this._options = { ...DEFAULT_OPTIONS, ...options };
+
+    this._extension = this._options.extension ||
+      (typeof window !== 'undefined' ? window.__REDUX_DEVTOOLS_EXTENSION__ : null);
+
+    this._devtools = null;
+    // state مبنای RESET (state زمان اتصال یا آخرین COMMIT)
+    this._baseState = null;
+    this._unsubscribeActions = null;
+    this._unsubscribeDevtools = null;
+
+    // در زمان اعمال پیام افزونه، تغییرات دوباره ارسال نمی‌شوند
+    this._isApplyingDevtoolsState = false;
+    this._isPaused = false;
+    this._isLocked = false;
+
+    this._middleware = (action) => this._handleDispatch(action);
+  }
+
+  /**
+   * اتصال به افزونه
+   * @returns {boolean} آیا افزونه در دسترس بود
+   */
+  connect() {
+    if (this._devtools) return true;
+
+    if (!this._options.enabled || !this._extension || typeof this._extension.connect !== 'function') {
+      return false;
+    }
+
+    this._devtools = this._extension.connect({
+      name: this._options.name,
+      maxAge: this._options.maxAge,
+      features: {
+        pause: true,
+        lock: true,
+        export: true,
+        import: 'custom',
+        jump: true,
+        skip: false,
+        reorder: false,
+        dispatch: true
+      }
+    });
+
+    this._baseState = this._stateManager.getState();
+    this._devtools.init(this._baseState);
+
+    this._unsubscribeActions = this._stateManager.subscribeToActions(
+      (action, nextState, prevState) => this._sendAction(action, nextState, prevState)
+    );
+
+    const unsubscribe = this._devtools.subscribe(message => this._handleMessage(message));
+    this._unsubscribeDevtools = typeof unsubscribe === 'function' ? unsubscribe : null;
+
+    return true;
+  }
+
+  /**
+   * قطع اتصال از افزونه
+   */
+  disconnect() {
+    if (this._unsubscribeActions) {
+      this._unsubscribeActions();
+      this._unsubscribeActions = null;
+    }
+
+    if (this._unsubscribeDevtools) {
+      this._unsubscribeDevtools();
+      this._unsubscribeDevtools = null;
+    }
+
+    if (this._devtools && this._extension && typeof this._extension.disconnect === 'function') {
+      this._extension.disconnect();
+    }
+
+    this._devtools = null;
+    this._baseState = null;
+    this._isLocked = false;
+    this._isPaused = false;
+  }
+
+  isConnected() {
+    return !!this._devtools;
+  }
+
+  /**
+   * میدلور State Manager: در حالت Lock افزونه، actionها مسدود می‌شوند
+   * استفاده: stateManager.use(bridge.middleware)
+   */
+  get middleware() {
+    return this._middleware;
+  }
+
+  _handleDispatch(action) {
+    if (this._isLocked && !this._isApplyingDevtoolsState) {
+      return null;
+    }
+    return action;
+  }
+
+  _sendAction(action, nextState, prevState) {
+    if (!this._devtools || this._isPaused || this._isApplyingDevtoolsState) return;
+
+    const devtoolsAction = this._options.includeChanges
+      ? { ...action, meta: { ...action.meta, changes: diffStates(prevState, nextState) } }
+      : action;
+
+    this._devtools.send(devtoolsAction, nextState);
+  }
+
+  _handleMessage(message) {
+    if (!message) return;
+
+    // action تایپ شده در افزونه
+    if (message.type === 'ACTION') {
+      this._dispatchFromDevtools(message.payload);
+      return;
+    }
+
+    if (message.type !== 'DISPATCH' || !message.payload) return;
+
+    switch (message.payload.type) {
+      case 'JUMP_TO_STATE':
+      case 'JUMP_TO_ACTION':
+        this._jumpToState(this._parseState(message.state));
+        break;
+
+      case 'ROLLBACK': {
+        const state = this._parseState(message.state);
+        this._jumpToState(state);
+        this._baseState = this._stateManager.getState();
+        this._devtools.init(this._baseState);
+        break;
+      }
+
+      case 'COMMIT':
+        this._baseState = this._stateManager.getState();
+        this._devtools.init(this._baseState);
+        break;
+
+      case 'RESET':
+        this._withoutEcho(() => {
+          this._stateManager.replaceState(this._baseState, { devtools: true });
+        });
+        this._devtools.init(this._baseState);
+        break;
+
+      case 'IMPORT_STATE':
+        this._importLiftedState(message.payload.nextLiftedState);
+        break;
+
+      case 'PAUSE_RECORDING':
+        this._isPaused = !!message.payload.status;
+        break;
+
+      case 'LOCK_CHANGES':
+        this._isLocked = !!message.payload.status;
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * اعمال state انتخاب شده در افزونه
+   * اگر نسخه در تاریخچه State Manager باشد از jumpTo استفاده می‌شود
+   */
+  _jumpToState(state) {
+    if (!state || typeof state !== 'object') return;
+
+    this._withoutEcho(() => {
+      const jumped = typeof state._version === 'number' &&
+        typeof this._stateManager.jumpTo === 'function' &&
+        this._stateManager.jumpTo(state._version);
+
+      if (!jumped) {
+        this._stateManager.replaceState(state, { devtools: true });
+      }
+    });
+  }
+
+  _importLiftedState(liftedState) {
+    if (!liftedState || !Array.isArray(liftedState.computedStates)) return;
+
+    const computedStates = liftedState.computedStates;
+    const last = computedStates[computedStates.length - 1];
+
+    if (last && last.state) {
+      this._withoutEcho(() => {
+        this._stateManager.replaceState(last.state, { devtools: true });
+      });
+    }
+
+    // نمایش تاریخچه وارد شده در خود افزونه
+    this._devtools.send(null, liftedState);
+  }
+
+  _dispatchFromDevtools(payload) {
+    try {
+      const action = typeof payload === 'string' ? JSON.parse(payload) : payload;
+      this._stateManager.dispatch(action);
+    } catch (error) {
+      console.error('[DevTools] Invalid action:', error.message);
+    }
+  }
+
+  _withoutEcho(fn) {
+    this._isApplyingDevtoolsState = true;
+    try {
+      fn();
+    } finally {
+      this._isApplyingDevtoolsState = false;
+    }
+  }
+
+  _parseState(state) {
+    if (typeof state !== 'string') return state;
+
+    try {
+      return JSON.parse(state);
+    } catch (error) {
+      console.error('[DevTools] Invalid state payload:', error.message);
+      return null;
+    }
+  }
+}
+
+/**
+ * اتصال State Manager به Redux DevTools
+ * بدون افزونه، bridge متصل نمی‌شود و همه متدها بی‌اثر هستند
+ * @param {VakamovaStateManager} stateManager
+ * @param {Object} [options]
+ * @returns {DevToolsBridge}
+ */
+export function connectDevTools(stateManager, options = {}) {
+  const bridge = new DevToolsBridge(stateManager, options);
+
+  if (bridge.connect()) {
+    stateManager.use(bridge.middleware);
+  }
+
+  return bridge;
+}
+
+export { DevToolsBridge };
@@ -0,0 +1,160 @@
+/**
+ * 🧪 تست DevTools Bridge
+ * تست‌های اتصال به افزونه Redux DevTools ساختگی
+ */
+
+import { DevToolsBridge, connectDevTools } from './devtools-bridge.js';
+import { VakamovaStateManager, ActionCreators } from './state-manager.js';
+
+global.localStorage = {
+    getItem: jest.fn(() => null),
+    setItem: jest.fn(),
+    removeItem: jest.fn()
+};
+
+// افزونه ساختگی: پیام‌های افزونه با emit به bridge می‌رسند
+const createExtension = () => {
+    const devtools = {
+        init: jest.fn(),
+        send: jest.fn(),
+        listener: null,
+        subscribe: jest.fn(listener => {
+            devtools.listener = listener;
+            return () => { devtools.listener = null; };
+        }),
+        emit: message => devtools.listener(message)
+    };
+
+    return {
+        devtools,
+        connect: jest.fn(() => devtools),
+        disconnect: jest.fn()
+    };
+};
+
+describe('DevToolsBridge', () => {
+    let stateManager;
+    let extension;
+    let bridge;
+
+    beforeEach(() => {
+        stateManager = new VakamovaStateManager({});
+        stateManager.setDevelopmentMode(false);
+        extension = createExtension();
+        global.window = { __REDUX_DEVTOOLS_EXTENSION__: extension };
+        bridge = connectDevTools(stateManager);
+    });
+
+    afterEach(() => {
+        bridge.disconnect();
+        delete global.window;
+        jest.restoreAllMocks();
+    });
+
+    const jumpTo = state => extension.devtools.emit({
+        type: 'DISPATCH',
+        payload: { type: 'JUMP_TO_STATE' },
+        state: JSON.stringify(state)
+    });
+
+    test('should connect to window.__REDUX_DEVTOOLS_EXTENSION__', () => {
+        expect(bridge.isConnected()).toBe(true);
+        expect(extension.connect).toHaveBeenCalledWith(expect.objectContaining({ name: 'Vakamova' }));
+        expect(extension.devtools.init).toHaveBeenCalledWith(stateManager.getState());
+    });
+
+    test('should stay disconnected without the extension', () => {
+        delete global.window;
+
+        expect(new DevToolsBridge(stateManager).connect()).toBe(false);
+    });
+
+    test('should send committed actions with their changes', () => {
+        stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 80));
+        stateManager.dispatch(ActionCreators.completeLesson('lesson_2', 90));
+
+        const [action, state] = extension.devtools.send.mock.calls[1];
+        expect(action.type).toBe('LESSON_COMPLETED');
+        expect(action.meta.changes['progress.lesson_2'].to.score).toBe(90);
+        expect(state).toBe(stateManager.getState());
+    });
+
+    test('should jump to a version that is in history', () => {
+        stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 50));
+        const target = stateManager.getState();
+        stateManager.dispatch(ActionCreators.completeLesson('lesson_2', 70));
+
+        jumpTo(target);
+
+        expect(stateManager.getState()).toEqual(target);
+        expect(stateManager.getHistory().canRedo).toBe(true);
+    });
+
+    test('should apply an unknown state without history entries or a version bump', () => {
+        stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 50));
+        const entries = stateManager.getHistory().entries.length;
+
+        jumpTo({ ...stateManager.getState(), _version: 42, progress: { lesson_9: { score: 10 } } });
+
+        expect(stateManager.getState()._version).toBe(42);
+        expect(stateManager.getState().progress).toEqual({ lesson_9: { score: 10 } });
+        expect(stateManager.getHistory().entries).toHaveLength(entries);
+        expect(extension.devtools.send).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reset to the state at connect time', () => {
+        const initial = stateManager.getState();
+        stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+
+        extension.devtools.emit({ type: 'DISPATCH', payload: { type: 'RESET' } });
+
+        expect(stateManager.getState()).toBe(initial);
+        expect(extension.devtools.init).toHaveBeenLastCalledWith(initial);
+    });
+
+    test('should reset to the last committed state', () => {
+        stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+        extension.devtools.emit({ type: 'DISPATCH', payload: { type: 'COMMIT' } });
+        const committed = stateManager.getState();
+        stateManager.dispatch(ActionCreators.updateUser({ name: 'Ali' }));
+
+        extension.devtools.emit({ type: 'DISPATCH', payload: { type: 'RESET' } });
+
+        expect(stateManager.getState()).toBe(committed);
+    });
+
+    test('should dispatch actions typed in the extension', () => {
+        extension.devtools.emit({ type: 'ACTION', payload: '{"type":"USER_LOGIN","payload":{"email":"ali@test.com"}}' });
+
+        expect(stateManager.getState().user.email).toBe('ali@test.com');
+    });
+
+    test('should block dispatches while changes are locked', () => {
+        extension.devtools.emit({ type: 'DISPATCH', payload: { type: 'LOCK_CHANGES', status: true } });
+        stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 80));
+
+        expect(stateManager.getState().progress).toBeUndefined();
+    });
+
+    test('should stop sending while recording is paused', () => {
+        extension.devtools.emit({ type: 'DISPATCH', payload: { type: 'PAUSE_RECORDING', status: true } });
+        stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 80));
+
+        expect(extension.devtools.send).not.toHaveBeenCalled();
+    });
+
+    test('should import the last computed state', () => {
+        const entries = stateManager.getHistory().entries.length;
+
+        extension.devtools.emit({
+            type: 'DISPATCH',
+            payload: {
+                type: 'IMPORT_STATE',
+                nextLiftedState: { computedStates: [{ state: { progress: { lesson_3: { score: 90 } } } }] }
+            }
+        });
+
+        expect(stateManager.getState().progress.lesson_3.score).toBe(90);
+        expect(stateManager.getHistory().entries).toHaveLength(entries);
+    });
+});
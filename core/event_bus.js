@@ -12,6 +12,8 @@
  * - Testable: Pure functions and mockable interfaces
  */
 
+import { createEventStore, createDeadLetterStore } from './event-store.js';
+
 // ============================================
 // INTERFACES (Abstractions)
 // ============================================
@@ -55,8 +57,10 @@ class EventPublisher {
 
 /**
  * @typedef {Object} EventOptions
- * @property {boolean} [persistent=false] - Whether event should survive app restarts
- * @property {number} [priority=0] - Event priority (higher = processed first)
+ * @property {boolean} [persistent=false] - Log the event until every durable subscriber
+ *   (subscribed with a durableId) has handled it; see replayPersistentEvents()
+ * @property {number} [priority=0] - Queue priority (higher = processed first, see DELIVERY GUARANTEES)
+ * @property {boolean} [sequential=false] - Deliver to every listener one at a time, in delivery order
  * @property {string} [source='unknown'] - Source module identifier
  */
 
@@ -64,18 +68,214 @@ class EventPublisher {
  * @typedef {Object} EventMetadata
  * @property {string} id - Unique event identifier
  * @property {number} timestamp - Event creation timestamp
+ * @property {number} sequence - Publish order within this bus
  * @property {string} source - Source module identifier
  * @property {EventOptions} options - Original event options
+ * @property {boolean} [replayed] - Set when redelivered from the persistent log
+ * @property {number} [attempt] - Delivery attempt, set on retries (2, 3, ...)
  */
 
 /**
  * @typedef {Object} Subscription
  * @property {string} id - Unique subscription ID
- * @property {string} eventType - Event type to listen for
+ * @property {string} eventType - Event type or pattern to listen for (normalized)
  * @property {EventListener} listener - Listener instance
  * @property {number} priority - Listener priority
+ * @property {boolean} isPattern - Whether eventType contains wildcards
+ * @property {number} specificity - Pattern specificity (higher = more specific)
+ * @property {number} order - Subscription order (ties keep insertion order)
+ * @property {string|null} durableId - Stable subscriber id for persistent event delivery
+ * @property {boolean} sequential - Await this listener before delivering to the next ones
+ * @property {RetryPolicy} retry - Normalized retry policy
+ */
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} [attempts=1] - Total delivery attempts (1 = no retry)
+ * @property {number} [delay=100] - Milliseconds before the first retry
+ * @property {number} [factor=2] - Backoff multiplier per retry
+ * @property {number} [maxDelay=30000] - Upper bound for a single wait
+ */
+
+/**
+ * @typedef {Object} DeadLetter
+ * @property {string} id - Stable per event and subscriber (redelivery updates it)
+ * @property {string} eventType - Event type as published
+ * @property {*} data - Event payload
+ * @property {EventMetadata} metadata - Original event metadata
+ * @property {string} subscriptionId - Failed subscription
+ * @property {string} eventPattern - Subscribed type or pattern
+ * @property {string|null} durableId - Durable subscriber id, if any
+ * @property {number} attempts - Attempts made before giving up
+ * @property {{name: string, message: string, stack: string}} error - Last error
+ * @property {number} failedAt - Timestamp of the last failure
+ */
+
+/**
+ * @typedef {Object} SubscribeOptions
+ * @property {number} [priority=0] - Listener priority
+ * @property {string} [durableId] - Stable id (same across app restarts) that makes
+ *   this subscriber receive undelivered persistent events on replay
+ * @property {boolean} [sequential=false] - Run this listener on its own: listeners before it
+ *   finish first and listeners after it start only once it has finished
+ * @property {RetryPolicy} [retry] - Retry failed deliveries before dead-lettering them
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {number} [timeout=5000] - Milliseconds to wait for the response (0 = no timeout)
+ * @property {string} [source='unknown'] - Requesting module identifier
+ */
+
+/**
+ * @callback RequestHandler
+ * @param {*} payload - Request payload
+ * @param {EventMetadata & {correlationId: string}} metadata - Request metadata
+ * @returns {*|Promise<*>} Response value
+ */
+
+// ============================================
+// EVENT TYPE PATTERNS
+// ============================================
+
+/*
+ * Event types are hierarchical names. ':' and '.' are equivalent separators
+ * ('payment:verified' === 'payment.verified'); types are normalized to '.'.
+ *
+ * Subscription patterns:
+ *   '*'            every event
+ *   'progress.*'   exactly one segment after 'progress' (progress.lesson_completed)
+ *   'payment:**'   one or more segments after 'payment' (payment.verified, payment.card.failed)
+ * Wildcards must be whole segments ('pay*' is invalid).
+ *
+ * Delivery order for one event:
+ *   1. higher subscription priority first
+ *   2. at equal priority, exact subscriptions before patterns
+ *   3. among patterns, more specific first (literal > '*' > '**' segments; '*' alone is last)
+ *   4. then subscription order
+ */
+
+/**
+ * Normalize namespace separators to '.'
+ * @param {string} eventType
+ * @returns {string}
+ */
+export function normalizeEventType(eventType) {
+  return eventType.replace(/:/g, '.');
+}
+
+/**
+ * Whether an (already normalized) event type is a wildcard pattern
+ * @param {string} eventType
+ * @returns {boolean}
+ */
+export function isEventPattern(eventType) {
+  return eventType.includes('*');
+}
+
+/**
+ * Compile a normalized pattern into a matcher
+ * @private
+ * @param {string} pattern
+ * @returns {{regex: RegExp, specificity: number}}
+ */
+function compileEventPattern(pattern) {
+  if (pattern === '*') {
+    return { regex: /^.+$/, specificity: -1 };
+  }
+
+  let specificity = 0;
+  const source = pattern.split('.').map(segment => {
+    if (segment === '**') return '.+';
+    if (segment === '*') {
+      specificity += 1;
+      return '[^.]+';
+    }
+    specificity += 2;
+    return segment.replace(/[$()+?[\]\\^{|}]/g, '\\$&');
+  }).join('\\.');
+
+  return { regex: new RegExp(`^${source}$`), specificity };
+}
+
+/**
+ * Delivery order comparator (see precedence above)
+ * @private
+ */
+function compareSubscriptions(a, b) {
+  return (b.priority - a.priority) ||
+    (Number(a.isPattern) - Number(b.isPattern)) ||
+    (b.specificity - a.specificity) ||
+    (a.order - b.order);
+}
+
+/*
+ * DELIVERY GUARANTEES
+ *
+ * - One event at a time: an event is fully delivered (all listeners settled)
+ *   before the next one starts. Events published from inside a listener are
+ *   queued and publish() returns before they are delivered.
+ * - Per-type order: events of the same type are always delivered in the order
+ *   they were queued, whatever their priority.
+ * - Queue priority: the next event is, among the oldest queued event of each
+ *   type, the one with the highest `options.priority` (FIFO on ties). So
+ *   priority moves an event ahead of other types, never ahead of its own.
+ * - Listeners of one event are started in delivery order (see above) and run
+ *   in parallel, except `sequential` subscriptions (or events published with
+ *   `sequential: true`), which are awaited one by one.
+ * - request()/respond() do not use the queue: the responder is called
+ *   directly, so a listener may await a request without deadlocking.
+ * - Retries never block the queue: after a failure the next attempt is
+ *   scheduled on a timer and, once its backoff has elapsed, queued again for
+ *   that listener only. A retried event can therefore reach its listener
+ *   after later events of the same type.
  */
 
+const DEFAULT_REQUEST_TIMEOUT = 5000;
+const DEFAULT_MAX_DEAD_LETTERS = 100;
+
+/**
+ * @private
+ * @returns {Error} Request error with `code`, `requestType` and `correlationId`
+ */
+function createRequestError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * @private
+ * @param {RetryPolicy} [retry]
+ * @returns {RetryPolicy} Policy with defaults applied
+ */
+function normalizeRetryPolicy(retry = {}) {
+  const policy = { attempts: 1, delay: 100, factor: 2, maxDelay: 30000, ...retry };
+  
+  if (!Number.isInteger(policy.attempts) || policy.attempts < 1) {
+    throw new Error('Retry attempts must be a positive integer');
+  }
+  
+  return policy;
+}
+
+/**
+ * @private
+ * @returns {number} Wait before retry number `retryNumber` (1-based)
+ */
+function getRetryDelay(policy, retryNumber) {
+  return Math.min(policy.delay * Math.pow(policy.factor, retryNumber - 1), policy.maxDelay);
+}
+
+/**
+ * @private
+ * @returns {number} Queue priority of an event
+ */
+function getEventPriority(event) {
+  return Number(event.metadata.options.priority) || 0;
+}
+
 // ============================================
 // IMPLEMENTATION
 // ============================================
@@ -90,10 +290,16 @@ class EventBus {
    * @constructor
    * @param {Object} [dependencies] - Injected dependencies (DIP)
    * @param {EventValidator} [dependencies.validator] - Event validator
+   * @param {EventStore|string} [dependencies.eventStore='auto'] - Store for persistent events
+   * @param {EventStore|string} [dependencies.deadLetterStore='memory'] - Store for failed deliveries
+   * @param {number} [dependencies.maxDeadLetters=100] - Dead letters kept (oldest evicted first; 0 = none)
    */
   constructor(dependencies = {}) {
     /** @private */
-    this.subscriptions = new Map(); // eventType -> Subscription[]
+    this.subscriptions = new Map(); // normalized eventType -> Subscription[]
+    
+    /** @private */
+    this.patternSubscriptions = []; // Subscription[] with compiled `matcher`
     
     /** @private */
     this.middlewares = [];
@@ -109,6 +315,45 @@ class EventBus {
     
     /** @private */
     this.subscriptionIdCounter = 0;
+    
+    /** @private */
+    this.eventSequence = 0;
+    
+    /** @private */
+    this.responders = new Map(); // normalized request type -> RequestHandler
+    
+    /** @private */
+    this.requestCounter = 0;
+    
+    /** @private */
+    this.durableSubscriptions = new Map(); // durableId -> Subscription
+    
+    /** @private */
+    this.eventStoreOption = dependencies.eventStore || 'auto';
+    
+    /** @private @type {Promise<EventStore>|null} */
+    this.eventStorePromise = null;
+    
+    /** @private */
+    this.persistentRecords = new Map(); // event id -> PersistentEventRecord (in flight)
+    
+    /** @private */
+    this.storeWrites = Promise.resolve(); // serializes writes to the event store
+    
+    /** @private */
+    this.deadLetterStoreOption = dependencies.deadLetterStore || 'memory';
+    
+    /** @private @type {Promise<EventStore>|null} */
+    this.deadLetterStorePromise = null;
+    
+    /** @private */
+    this.maxDeadLetters = dependencies.maxDeadLetters ?? DEFAULT_MAX_DEAD_LETTERS;
+    
+    /** @private */
+    this.retryTimers = new Set();
+    
+    /** @private */
+    this.pendingRetries = new Map(); // event id -> scheduled retries
   }
 
   // ============================================
@@ -136,52 +381,239 @@ class EventBus {
       processedEvent = await middleware.beforePublish(processedEvent);
     }
     
-    // Queue or process immediately
+    // Log persistent events before any delivery so they survive a closed tab
+    if (options.persistent) {
+      await this._persistEvent(processedEvent);
+    }
+    
+    this.eventQueue.push(processedEvent);
+    
+    // Already delivering: the running loop will pick it up in priority order
     if (this.isProcessing) {
-      this.eventQueue.push(processedEvent);
       return;
     }
     
-    await this._processEvent(processedEvent);
-    
-    // Process queued events
     await this._processEventQueue();
   }
 
   /**
-   * Subscribe to an event type
+   * Subscribe to an event type or pattern
    * 
-   * @param {string} eventType - Event type to subscribe to
+   * @param {string} eventType - Event type or pattern ('progress.*', 'payment:**', '*')
    * @param {EventListener} listener - Listener instance
-   * @param {number} [priority=0] - Listener priority
+   * @param {number|SubscribeOptions} [options=0] - Listener priority or subscribe options
    * @returns {Function} Unsubscribe function
    */
-  subscribe(eventType, listener, priority = 0) {
-    this.validator.validateEventType(eventType);
+  subscribe(eventType, listener, options = 0) {
+    this.validator.validateEventType(eventType, { allowWildcards: true });
     this.validator.validateListener(listener);
     
+    const {
+      priority = 0,
+      durableId = null,
+      sequential = false,
+      retry
+    } = typeof options === 'number' ? { priority: options } : options;
+    
+    if (durableId !== null && this.durableSubscriptions.has(durableId)) {
+      throw new Error(`Durable subscriber "${durableId}" is already subscribed`);
+    }
+    
+    const normalizedType = normalizeEventType(eventType);
     const subscriptionId = this._generateSubscriptionId();
     const subscription = {
       id: subscriptionId,
-      eventType,
+      eventType: normalizedType,
       listener,
-      priority
+      priority,
+      isPattern: isEventPattern(normalizedType),
+      specificity: 0,
+      order: this.subscriptionIdCounter,
+      durableId,
+      sequential,
+      retry: normalizeRetryPolicy(retry)
     };
     
-    if (!this.subscriptions.has(eventType)) {
-      this.subscriptions.set(eventType, []);
+    if (durableId !== null) {
+      this.durableSubscriptions.set(durableId, subscription);
     }
     
-    const eventSubscriptions = this.subscriptions.get(eventType);
-    eventSubscriptions.push(subscription);
-    
-    // Sort by priority (higher first)
-    eventSubscriptions.sort((a, b) => b.priority - a.priority);
+    if (subscription.isPattern) {
+      const { regex, specificity } = compileEventPattern(normalizedType);
+      subscription.matcher = regex;
+      subscription.specificity = specificity;
+      this.patternSubscriptions.push(subscription);
+    } else {
+      if (!this.subscriptions.has(normalizedType)) {
+        this.subscriptions.set(normalizedType, []);
+      }
+      
+      const eventSubscriptions = this.subscriptions.get(normalizedType);
+      eventSubscriptions.push(subscription);
+      
+      // Sort by priority (higher first)
+      eventSubscriptions.sort((a, b) => b.priority - a.priority);
+    }
     
     // Return unsubscribe function
     return () => this.unsubscribe(subscriptionId);
   }
 
+  /**
+   * Failed deliveries, oldest first
+   * @returns {Promise<DeadLetter[]>}
+   */
+  async getDeadLetters() {
+    const store = await this._getDeadLetterStore();
+    const deadLetters = await store.getAll();
+    return deadLetters.sort((a, b) => a.failedAt - b.failedAt);
+  }
+
+  /**
+   * Deliver a dead letter again to its subscriber (the same subscription, or
+   * the current one with the same durableId) with a single attempt.
+   * Removed on success; on failure the entry is updated with the new error.
+   * 
+   * @param {string} deadLetterId - DeadLetter id
+   * @returns {Promise<boolean>} Whether the delivery succeeded
+   */
+  async redeliverDeadLetter(deadLetterId) {
+    const store = await this._getDeadLetterStore();
+    const deadLetter = (await store.getAll()).find(entry => entry.id === deadLetterId);
+    
+    if (!deadLetter) {
+      throw new Error(`Dead letter not found: ${deadLetterId}`);
+    }
+    
+    const subscription = this._findSubscription(deadLetter.subscriptionId) ||
+      (deadLetter.durableId !== null ? this.durableSubscriptions.get(deadLetter.durableId) : null);
+    
+    if (!subscription) {
+      throw new Error(`No active subscription for dead letter: ${deadLetterId}`);
+    }
+    
+    const event = {
+      type: deadLetter.eventType,
+      data: deadLetter.data,
+      metadata: { ...deadLetter.metadata, redelivered: true }
+    };
+    
+    // Let a successful redelivery acknowledge a logged persistent event
+    const eventId = event.metadata.id;
+    const trackRecord = subscription.durableId !== null && !this.persistentRecords.has(eventId);
+    if (trackRecord) {
+      const eventStore = await this._getEventStore();
+      const record = (await eventStore.getAll()).find(entry => entry.id === eventId);
+      if (record) {
+        this.persistentRecords.set(eventId, record);
+      }
+    }
+    
+    try {
+      const delivered = await this._deliver(subscription, event, subscription.retry.attempts);
+      
+      if (delivered) {
+        await store.delete(deadLetterId);
+      }
+      
+      return delivered;
+    } finally {
+      if (trackRecord) {
+        this._releaseRecord(eventId);
+      }
+    }
+  }
+
+  /**
+   * Drop a dead letter without delivering it
+   * @param {string} deadLetterId - DeadLetter id
+   * @returns {Promise<void>}
+   */
+  async discardDeadLetter(deadLetterId) {
+    const store = await this._getDeadLetterStore();
+    await store.delete(deadLetterId);
+  }
+
+  /**
+   * Ask the registered responder of a request type and wait for its answer.
+   * Rejects with `code` NO_RESPONDER, REQUEST_TIMEOUT or RESPONDER_FAILED
+   * (the responder's error is kept as `cause`).
+   * 
+   * @param {string} requestType - Exact request type (e.g. 'progress.get_lesson_status')
+   * @param {*} payload - Request payload
+   * @param {RequestOptions} [options={}] - Request options
+   * @returns {Promise<*>} The responder's return value
+   */
+  async request(requestType, payload, options = {}) {
+    this.validator.validateEventType(requestType);
+    this.validator.validateEventData(payload);
+    
+    const { timeout = DEFAULT_REQUEST_TIMEOUT } = options;
+    const correlationId = `req_${++this.requestCounter}_${Date.now()}`;
+    const details = { requestType, correlationId };
+    const handler = this.responders.get(normalizeEventType(requestType));
+    
+    if (!handler) {
+      throw createRequestError('NO_RESPONDER', `No responder registered for "${requestType}"`, details);
+    }
+    
+    const metadata = { ...this._createEventMetadata(requestType, options), correlationId };
+    
+    const response = Promise.resolve()
+      .then(() => handler(payload, metadata))
+      .catch(error => {
+        throw createRequestError('RESPONDER_FAILED', error?.message || String(error), { ...details, cause: error });
+      });
+    
+    if (!(timeout > 0)) {
+      return response;
+    }
+    
+    // A late failure after the timeout has nobody to report to
+    response.catch(() => {});
+    
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(createRequestError('REQUEST_TIMEOUT', `Request "${requestType}" timed out after ${timeout}ms`, details));
+      }, timeout);
+    });
+    
+    try {
+      return await Promise.race([response, timedOut]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Register the responder for a request type (one responder per type)
+   * 
+   * @param {string} requestType - Exact request type (no wildcards)
+   * @param {RequestHandler} handler - Returns (or resolves to) the response
+   * @returns {Function} Unregister function
+   */
+  respond(requestType, handler) {
+    this.validator.validateEventType(requestType);
+    
+    if (typeof handler !== 'function') {
+      throw new Error('Responder must be a function');
+    }
+    
+    const normalizedType = normalizeEventType(requestType);
+    if (this.responders.has(normalizedType)) {
+      throw new Error(`A responder for "${requestType}" is already registered`);
+    }
+    
+    this.responders.set(normalizedType, handler);
+    
+    return () => {
+      if (this.responders.get(normalizedType) === handler) {
+        this.responders.delete(normalizedType);
+      }
+    };
+  }
+
   /**
    * Unsubscribe from events
    * 
@@ -189,6 +621,12 @@ class EventBus {
    * @returns {boolean} True if unsubscribed successfully
    */
   unsubscribe(subscriptionId) {
+    for (const [durableId, subscription] of this.durableSubscriptions.entries()) {
+      if (subscription.id === subscriptionId) {
+        this.durableSubscriptions.delete(durableId);
+      }
+    }
+    
     for (const [eventType, subscriptions] of this.subscriptions.entries()) {
       const index = subscriptions.findIndex(sub => sub.id === subscriptionId);
       if (index !== -1) {
@@ -202,6 +640,13 @@ class EventBus {
         return true;
       }
     }
+    
+    const patternIndex = this.patternSubscriptions.findIndex(sub => sub.id === subscriptionId);
+    if (patternIndex !== -1) {
+      this.patternSubscriptions.splice(patternIndex, 1);
+      return true;
+    }
+    
     return false;
   }
 
@@ -219,6 +664,69 @@ class EventBus {
    */
   clearAllSubscriptions() {
     this.subscriptions.clear();
+    this.patternSubscriptions = [];
+    this.durableSubscriptions.clear();
+    this.responders.clear();
+    
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+    this.pendingRetries.clear();
+  }
+
+  /**
+   * Redeliver logged persistent events to durable subscribers that have not
+   * acknowledged them (e.g. the tab was closed mid-handler). Call once at
+   * startup, after modules have subscribed; subscribers that are not
+   * registered yet keep their events for a later replay.
+   * 
+   * @returns {Promise<{events: number, delivered: number, pending: number}>}
+   */
+  async replayPersistentEvents() {
+    const store = await this._getEventStore();
+    let records;
+    
+    try {
+      records = await store.getAll();
+    } catch (error) {
+      console.warn('[EventBus] Could not read persistent events:', error.message);
+      return { events: 0, delivered: 0, pending: 0 };
+    }
+    
+    // Skip anything that is not a persistent event record
+    records = records.filter(record => Array.isArray(record.pending));
+    records.sort((a, b) => a.metadata.timestamp - b.metadata.timestamp);
+    
+    let delivered = 0;
+    let pending = 0;
+    
+    for (const stored of records) {
+      // Events still being delivered in this session are not replayed
+      if (this.persistentRecords.has(stored.id)) continue;
+      
+      const record = { ...stored, pending: [...stored.pending] };
+      this.persistentRecords.set(record.id, record);
+      
+      const event = {
+        type: record.type,
+        data: record.data,
+        metadata: { ...record.metadata, replayed: true }
+      };
+      
+      for (const durableId of [...record.pending]) {
+        const subscription = this.durableSubscriptions.get(durableId);
+        
+        if (subscription && await this._deliver(subscription, event)) {
+          delivered++;
+        } else {
+          pending++;
+        }
+      }
+      
+      this._releaseRecord(record.id);
+    }
+    
+    await this.storeWrites;
+    return { events: records.length, delivered, pending };
   }
 
   // ============================================
@@ -230,23 +738,32 @@ class EventBus {
     this.isProcessing = true;
     
     try {
-      const subscribers = this.subscriptions.get(event.type) || [];
+      // A scheduled retry goes to its listener only
+      if (event.retry) {
+        await this._deliver(event.retry.subscription, event, event.retry.attempt);
+        this._finishRetry(event.metadata.id);
+        return;
+      }
+      
+      const subscribers = this._getSubscribers(event.type);
       
-      // Execute all subscribers in parallel (non-blocking)
-      const promises = subscribers.map(async (subscription) => {
-        try {
-          await subscription.listener.handleEvent(
-            event.type,
-            event.data,
-            event.metadata
-          );
-        } catch (error) {
-          console.error(`Event listener failed for ${event.type}:`, error);
-          // Continue with other listeners (don't break chain)
+      const sequentialEvent = event.metadata.options.sequential === true;
+      
+      // Start subscribers in delivery order; parallel ones run together,
+      // sequential ones wait for everything before them and block what follows
+      let running = [];
+      for (const subscription of subscribers) {
+        if (sequentialEvent || subscription.sequential) {
+          await Promise.all(running);
+          running = [];
+          await this._deliver(subscription, event);
+        } else {
+          running.push(this._deliver(subscription, event));
         }
-      });
+      }
       
-      await Promise.all(promises);
+      await Promise.all(running);
+      this._releaseRecord(event.metadata.id);
       
       // Execute afterPublish middlewares
       for (const middleware of this.middlewares) {
@@ -257,10 +774,316 @@ class EventBus {
     }
   }
 
+  /**
+   * Call one listener once. On failure the next attempt is scheduled per the
+   * retry policy, or, when attempts are used up, the delivery is logged and
+   * dead-lettered; errors are never thrown. Successful deliveries of
+   * persistent events are acknowledged.
+   * @private
+   * @param {Subscription} subscription
+   * @param {Object} event - { type, data, metadata }
+   * @param {number} [attempt=1] - Attempt number of this call
+   * @returns {Promise<boolean>} Whether the listener succeeded
+   */
+  async _deliver(subscription, event, attempt = 1) {
+    try {
+      await subscription.listener.handleEvent(
+        event.type,
+        event.data,
+        event.metadata
+      );
+    } catch (error) {
+      if (attempt < subscription.retry.attempts) {
+        this._scheduleRetry(subscription, event, attempt + 1);
+        return false;
+      }
+      
+      console.error(`Event listener failed for ${event.type}:`, error);
+      // Continue with other listeners (don't break chain)
+      await this._deadLetter(subscription, event, error, attempt);
+      return false;
+    }
+    
+    if (subscription.durableId !== null) {
+      this._acknowledge(event.metadata.id, subscription.durableId);
+    }
+    
+    return true;
+  }
+
+  /**
+   * Queue attempt `attempt` for one listener once its backoff has elapsed
+   * @private
+   */
+  _scheduleRetry(subscription, event, attempt) {
+    const eventId = event.metadata.id;
+    this.pendingRetries.set(eventId, (this.pendingRetries.get(eventId) || 0) + 1);
+    
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+      
+      // Unsubscribed meanwhile: nobody left to retry for
+      if (!this._findSubscription(subscription.id)) {
+        this._finishRetry(eventId);
+        return;
+      }
+      
+      this.eventQueue.push({
+        type: event.type,
+        data: event.data,
+        metadata: { ...event.metadata, attempt },
+        retry: { subscription, attempt }
+      });
+      
+      if (!this.isProcessing) {
+        this._processEventQueue().catch(error => {
+          console.error('[EventBus] Retry delivery failed:', error);
+        });
+      }
+    }, getRetryDelay(subscription.retry, attempt - 1));
+    
+    this.retryTimers.add(timer);
+  }
+
+  /**
+   * A scheduled retry has run (or was dropped)
+   * @private
+   */
+  _finishRetry(eventId) {
+    const remaining = (this.pendingRetries.get(eventId) || 1) - 1;
+    
+    if (remaining > 0) {
+      this.pendingRetries.set(eventId, remaining);
+      return;
+    }
+    
+    this.pendingRetries.delete(eventId);
+    this._releaseRecord(eventId);
+  }
+
+  /**
+   * Store a failed delivery and report it to error-aware middlewares
+   * @private
+   */
+  async _deadLetter(subscription, event, error, attempts) {
+    const deadLetter = {
+      id: this._getDeadLetterId(event, subscription),
+      eventType: event.type,
+      data: event.data,
+      metadata: event.metadata,
+      subscriptionId: subscription.id,
+      eventPattern: subscription.eventType,
+      durableId: subscription.durableId,
+      attempts,
+      error: {
+        name: error?.name || 'Error',
+        message: error?.message || String(error),
+        stack: error?.stack || ''
+      },
+      failedAt: Date.now()
+    };
+    
+    const stored = this.maxDeadLetters > 0;
+    
+    if (stored) {
+      try {
+        const store = await this._getDeadLetterStore();
+        await store.put(deadLetter);
+        await this._evictDeadLetters(store);
+      } catch (storeError) {
+        console.warn('[EventBus] Could not store dead letter:', storeError.message);
+      }
+    }
+    
+    const context = {
+      subscriptionId: subscription.id,
+      durableId: subscription.durableId,
+      attempts: deadLetter.attempts,
+      deadLetterId: stored ? deadLetter.id : null
+    };
+    
+    for (const middleware of this.middlewares) {
+      if (typeof middleware.onError !== 'function') continue;
+      
+      try {
+        await middleware.onError(error, event, context);
+      } catch (middlewareError) {
+        console.warn('[EventBus] Error middleware failed:', middlewareError.message);
+      }
+    }
+  }
+
+  /**
+   * Drop the oldest dead letters beyond maxDeadLetters
+   * @private
+   */
+  async _evictDeadLetters(store) {
+    const deadLetters = await store.getAll();
+    const overflow = deadLetters.length - this.maxDeadLetters;
+    if (overflow <= 0) return;
+    
+    const oldest = deadLetters
+      .sort((a, b) => a.failedAt - b.failedAt)
+      .slice(0, overflow);
+    
+    for (const deadLetter of oldest) {
+      await store.delete(deadLetter.id);
+    }
+  }
+
+  /**
+   * Same event + same subscriber => same dead letter
+   * @private
+   */
+  _getDeadLetterId(event, subscription) {
+    return `dead_${event.metadata.id}_${subscription.durableId ?? subscription.id}`;
+  }
+
+  /** @private */
+  _findSubscription(subscriptionId) {
+    for (const subscriptions of this.subscriptions.values()) {
+      const subscription = subscriptions.find(sub => sub.id === subscriptionId);
+      if (subscription) return subscription;
+    }
+    return this.patternSubscriptions.find(sub => sub.id === subscriptionId) || null;
+  }
+
+  /**
+   * Write a persistent event with its pending durable subscribers.
+   * Storage failures are logged; the event is still delivered.
+   * @private
+   */
+  async _persistEvent(event) {
+    const pending = this._getSubscribers(event.type)
+      .filter(subscription => subscription.durableId !== null)
+      .map(subscription => subscription.durableId);
+    
+    // Only durable subscribers can be redelivered to
+    if (pending.length === 0) return;
+    
+    const record = {
+      id: event.metadata.id,
+      type: event.type,
+      data: event.data,
+      metadata: event.metadata,
+      pending,
+      createdAt: Date.now()
+    };
+    
+    this.persistentRecords.set(record.id, record);
+    await this._writeRecord({ ...record, pending: [...pending] });
+  }
+
+  /**
+   * Remove a durable subscriber from an event's pending list
+   * @private
+   */
+  _acknowledge(eventId, durableId) {
+    const record = this.persistentRecords.get(eventId);
+    if (!record || !record.pending.includes(durableId)) return;
+    
+    record.pending = record.pending.filter(id => id !== durableId);
+    
+    if (record.pending.length === 0) {
+      this._deleteRecord(record.id);
+    } else {
+      this._writeRecord({ ...record, pending: [...record.pending] });
+    }
+  }
+
+  /**
+   * Forget an in-flight record after delivery (the store keeps what is still pending).
+   * Kept while retries are scheduled, so a later success can still acknowledge it.
+   * @private
+   */
+  _releaseRecord(eventId) {
+    if (this.pendingRetries.has(eventId)) return;
+    this.persistentRecords.delete(eventId);
+  }
+
+  /** @private */
+  _writeRecord(record) {
+    return this._enqueueStoreWrite(store => store.put(record));
+  }
+
+  /** @private */
+  _deleteRecord(eventId) {
+    return this._enqueueStoreWrite(store => store.delete(eventId));
+  }
+
+  /**
+   * Chain store writes so acknowledgements land in order
+   * @private
+   */
+  _enqueueStoreWrite(write) {
+    this.storeWrites = this.storeWrites
+      .then(() => this._getEventStore())
+      .then(write)
+      .catch(error => {
+        console.warn('[EventBus] Persistent event write failed:', error.message);
+      });
+    
+    return this.storeWrites;
+  }
+
+  /** @private */
+  _getEventStore() {
+    if (!this.eventStorePromise) {
+      this.eventStorePromise = createEventStore(this.eventStoreOption);
+    }
+    return this.eventStorePromise;
+  }
+
+  /** @private */
+  _getDeadLetterStore() {
+    if (!this.deadLetterStorePromise) {
+      this.deadLetterStorePromise = createDeadLetterStore(this.deadLetterStoreOption);
+    }
+    return this.deadLetterStorePromise;
+  }
+
+  /**
+   * Exact and pattern subscriptions matching an event type, in delivery order
+   * @private
+   */
+  _getSubscribers(eventType) {
+    const normalizedType = normalizeEventType(eventType);
+    const exact = this.subscriptions.get(normalizedType) || [];
+    const patterns = this.patternSubscriptions.filter(sub => sub.matcher.test(normalizedType));
+    
+    if (patterns.length === 0) {
+      return exact;
+    }
+    
+    return [...exact, ...patterns].sort(compareSubscriptions);
+  }
+
+  /**
+   * Take the next pending event: the highest priority among the oldest
+   * queued event of each type (FIFO on equal priority)
+   * @private
+   */
+  _dequeueEvent() {
+    const seenTypes = new Set();
+    let nextIndex = -1;
+    
+    this.eventQueue.forEach((event, index) => {
+      const normalizedType = normalizeEventType(event.type);
+      if (seenTypes.has(normalizedType)) return;
+      seenTypes.add(normalizedType);
+      
+      if (nextIndex === -1 || getEventPriority(event) > getEventPriority(this.eventQueue[nextIndex])) {
+        nextIndex = index;
+      }
+    });
+    
+    return this.eventQueue.splice(nextIndex, 1)[0];
+  }
+
   /** @private */
   async _processEventQueue() {
     while (this.eventQueue.length > 0 && !this.isProcessing) {
-      const nextEvent = this.eventQueue.shift();
+      const nextEvent = this._dequeueEvent();
       await this._processEvent(nextEvent);
     }
   }
@@ -270,6 +1093,7 @@ class EventBus {
     return {
       id: `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       timestamp: Date.now(),
+      sequence: ++this.eventSequence,
       source: options.source || 'unknown',
       options: { ...options }
     };
@@ -289,7 +1113,12 @@ class EventBus {
  * Event Validator (SRP: Single responsibility - validation only)
  */
 class DefaultEventValidator {
-  validateEventType(eventType) {
+  /**
+   * @param {string} eventType - Event type (or pattern when subscribing)
+   * @param {Object} [options]
+   * @param {boolean} [options.allowWildcards=false] - Accept '*' / '**' segments
+   */
+  validateEventType(eventType, options = {}) {
     if (!eventType || typeof eventType !== 'string') {
       throw new Error('Event type must be a non-empty string');
     }
@@ -298,9 +1127,23 @@ class DefaultEventValidator {
       throw new Error('Event type too long (max 100 chars)');
     }
     
-    // Prevent reserved event types
+    const normalizedType = normalizeEventType(eventType);
+    
+    if (isEventPattern(normalizedType)) {
+      if (!options.allowWildcards) {
+        throw new Error(`Event type "${eventType}" cannot contain wildcards`);
+      }
+      
+      const invalidSegment = normalizedType.split('.')
+        .some(segment => segment.includes('*') && segment !== '*' && segment !== '**');
+      if (invalidSegment) {
+        throw new Error(`Invalid event pattern "${eventType}": wildcards must be whole segments`);
+      }
+    }
+    
+    // Prevent reserved event types (patterns may still listen to them, e.g. '*')
     const reservedPrefixes = ['system.', 'internal.'];
-    if (reservedPrefixes.some(prefix => eventType.startsWith(prefix))) {
+    if (reservedPrefixes.some(prefix => normalizedType.startsWith(prefix))) {
       throw new Error(`Event type "${eventType}" is reserved for internal use`);
     }
   }
@@ -330,6 +1173,14 @@ class DefaultEventValidator {
 class EventMiddleware {
   async beforePublish(event) { return event; }
   async afterPublish(event) { }
+  
+  /**
+   * Called when a delivery failed after all retries and was dead-lettered
+   * @param {Error} error - Last listener error
+   * @param {Object} event - { type, data, metadata }
+   * @param {{subscriptionId: string, durableId: string|null, attempts: number, deadLetterId: string|null}} context
+   */
+  async onError(error, event, context) { }
 }
 
 // ============================================
@@ -350,12 +1201,49 @@ class LoggingMiddleware extends EventMiddleware {
 }
 
 /**
- * Error Handling Middleware - catches and logs errors
+ * @typedef {Object} ErrorReport
+ * @property {string} eventType - Event type as published
+ * @property {string} eventId - Event id
+ * @property {string} source - Publishing module
+ * @property {Error} error - Last listener error
+ * @property {string} subscriptionId - Failed subscription
+ * @property {string|null} durableId - Durable subscriber id, if any
+ * @property {number} attempts - Attempts made
+ * @property {string|null} deadLetterId - Id for redeliverDeadLetter() (null when maxDeadLetters is 0)
+ * @property {number} timestamp - Report time
+ */
+
+/**
+ * Error Handling Middleware - reports failed deliveries to a sink
+ * (monitoring service, logger, ...). Without a sink it does nothing;
+ * the bus itself already logs failures to the console.
  */
 class ErrorHandlingMiddleware extends EventMiddleware {
-  async afterPublish(event) {
-    // Can be extended to send errors to monitoring service
-    // Currently just logs for demonstration
+  /**
+   * @param {Function|{report: Function}|null} [sink] - Receives an ErrorReport
+   */
+  constructor(sink = null) {
+    super();
+    this.sink = sink;
+  }
+  
+  async onError(error, event, context) {
+    if (!this.sink) return;
+    
+    const report = {
+      eventType: event.type,
+      eventId: event.metadata.id,
+      source: event.metadata.source,
+      error,
+      ...context,
+      timestamp: Date.now()
+    };
+    
+    if (typeof this.sink === 'function') {
+      await this.sink(report);
+    } else {
+      await this.sink.report(report);
+    }
   }
 }
 
@@ -369,15 +1257,23 @@ class ErrorHandlingMiddleware extends EventMiddleware {
  * @param {Object} [config] - Configuration options
  * @param {boolean} [config.enableLogging=true] - Enable logging middleware
  * @param {boolean} [config.enableErrorHandling=true] - Enable error middleware
+ * @param {EventStore|string} [config.eventStore='auto'] - Store for persistent events
+ * @param {EventStore|string} [config.deadLetterStore='memory'] - Store for failed deliveries
+ * @param {number} [config.maxDeadLetters=100] - Dead letters kept (0 disables dead-lettering)
+ * @param {Function|{report: Function}} [config.errorSink] - Receives reports of failed deliveries
  * @returns {EventBus} Configured EventBus instance
  */
 export function createEventBus(config = {}) {
   const {
     enableLogging = true,
-    enableErrorHandling = true
+    enableErrorHandling = true,
+    eventStore,
+    deadLetterStore,
+    maxDeadLetters,
+    errorSink
   } = config;
   
-  const eventBus = new EventBus();
+  const eventBus = new EventBus({ eventStore, deadLetterStore, maxDeadLetters });
   
   // Add middlewares based on configuration (OCP)
   if (enableLogging) {
@@ -385,7 +1281,7 @@ export function createEventBus(config = {}) {
   }
   
   if (enableErrorHandling) {
-    eventBus.addMiddleware(new ErrorHandlingMiddleware());
+    eventBus.addMiddleware(new ErrorHandlingMiddleware(errorSink));
   }
   
   return eventBus;
@@ -400,5 +1296,5 @@ export function createEventBus(config = {}) {
  */
 const defaultEventBus = createEventBus();
 
-export { EventBus, EventListener, EventPublisher, EventMiddleware };
+export { EventBus, EventListener, EventPublisher, EventMiddleware, ErrorHandlingMiddleware };
 export default defaultEventBus;
@@ -0,0 +1,536 @@
+/**
+ * EventBus tests
+ */
+
+import { IDBFactory } from 'fake-indexeddb';
+import { EventBus, ErrorHandlingMiddleware } from './event-bus.js';
+import {
+    MemoryEventStore,
+    IndexedDBEventStore,
+    IndexedDBDeadLetterStore,
+    createEventStore,
+    createDeadLetterStore,
+    MemoryDeadLetterStore
+} from './event-store.js';
+
+const createListener = (name, calls) => ({
+    handleEvent: jest.fn(async (eventType) => {
+        calls.push(`${name}:${eventType}`);
+    })
+});
+
+describe('EventBus', () => {
+    let eventBus;
+    
+    beforeEach(() => {
+        eventBus = new EventBus();
+    });
+    
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+    
+    describe('wildcard subscriptions', () => {
+        test('should deliver by priority, then exact before patterns, then specificity', async () => {
+            const calls = [];
+            eventBus.subscribe('*', createListener('all', calls));
+            eventBus.subscribe('progress.*', createListener('progress', calls));
+            eventBus.subscribe('progress.lesson_completed', createListener('exact', calls));
+            eventBus.subscribe('progress.*', createListener('urgent', calls), 10);
+            
+            await eventBus.publish('progress.lesson_completed', {});
+            
+            expect(calls).toEqual([
+                'urgent:progress.lesson_completed',
+                'exact:progress.lesson_completed',
+                'progress:progress.lesson_completed',
+                'all:progress.lesson_completed'
+            ]);
+        });
+        
+        test('should match one segment with "*" and any depth with "**"', async () => {
+            const calls = [];
+            eventBus.subscribe('progress.*', createListener('progress', calls));
+            eventBus.subscribe('payment.**', createListener('payment', calls));
+            
+            await eventBus.publish('progress.lesson.nested', {});
+            await eventBus.publish('payment.card.verified', {});
+            
+            expect(calls).toEqual(['payment:payment.card.verified']);
+        });
+        
+        test('should treat ":" and "." as the same separator', async () => {
+            const calls = [];
+            eventBus.subscribe('payment:**', createListener('pattern', calls));
+            eventBus.subscribe('payment.verified', createListener('exact', calls));
+            
+            await eventBus.publish('payment:verified', {});
+            
+            expect(calls).toEqual(['exact:payment:verified', 'pattern:payment:verified']);
+        });
+        
+        test('should reject wildcards on publish and partial-segment patterns', async () => {
+            await expect(eventBus.publish('progress.*', {})).rejects.toThrow('wildcards');
+            expect(() => eventBus.subscribe('progress.lesson*', createListener('x', []))).toThrow('whole segments');
+        });
+    });
+    
+    describe('persistent events', () => {
+        let eventStore;
+        
+        const failingDurableSubscriber = (bus) => bus.subscribe('progress.*', {
+            handleEvent: async () => { throw new Error('tab closed'); }
+        }, { durableId: 'progress-tracker' });
+        
+        beforeEach(() => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            eventStore = new MemoryEventStore();
+            eventBus = new EventBus({ eventStore });
+        });
+        
+        test('should log persistent events until durable subscribers handle them', async () => {
+            failingDurableSubscriber(eventBus);
+            
+            await eventBus.publish('progress.lesson_completed', { lessonId: 7 }, { persistent: true });
+            
+            const stored = await eventStore.getAll();
+            expect(stored).toHaveLength(1);
+            expect(stored[0]).toMatchObject({
+                type: 'progress.lesson_completed',
+                data: { lessonId: 7 },
+                pending: ['progress-tracker']
+            });
+        });
+        
+        test('should not log events published without persistent', async () => {
+            failingDurableSubscriber(eventBus);
+            
+            await eventBus.publish('progress.synced', {});
+            
+            expect(await eventStore.getAll()).toEqual([]);
+        });
+        
+        test('should replay undelivered events to the durable subscriber on startup', async () => {
+            failingDurableSubscriber(eventBus);
+            await eventBus.publish('progress.lesson_completed', { lessonId: 7 }, { persistent: true });
+            
+            const calls = [];
+            const nextSession = new EventBus({ eventStore });
+            nextSession.subscribe('progress.*', {
+                handleEvent: async (eventType, eventData, metadata) => {
+                    calls.push({ eventType, eventData, replayed: metadata.replayed });
+                }
+            }, { durableId: 'progress-tracker' });
+            
+            await expect(nextSession.replayPersistentEvents())
+                .resolves.toEqual({ events: 1, delivered: 1, pending: 0 });
+            expect(calls).toEqual([
+                { eventType: 'progress.lesson_completed', eventData: { lessonId: 7 }, replayed: true }
+            ]);
+            expect(await eventStore.getAll()).toEqual([]);
+        });
+        
+        test('should keep events for durable subscribers that have not subscribed yet', async () => {
+            failingDurableSubscriber(eventBus);
+            await eventBus.publish('progress.lesson_completed', {}, { persistent: true });
+            
+            const nextSession = new EventBus({ eventStore });
+            
+            await expect(nextSession.replayPersistentEvents())
+                .resolves.toEqual({ events: 1, delivered: 0, pending: 1 });
+            expect(await eventStore.getAll()).toHaveLength(1);
+        });
+    });
+    
+    describe('delivery order', () => {
+        const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+        
+        const queueWhileDelivering = (publishQueued) => {
+            const delivered = [];
+            eventBus.subscribe('session.started', { handleEvent: async () => publishQueued() });
+            eventBus.subscribe('**', {
+                handleEvent: async (eventType, eventData) => {
+                    delivered.push(`${eventType}#${eventData}`);
+                }
+            });
+            return delivered;
+        };
+        
+        const track = (steps, name, ms) => ({
+            handleEvent: async () => {
+                steps.push(`${name}:start`);
+                await wait(ms);
+                steps.push(`${name}:end`);
+            }
+        });
+        
+        test('should take queued events by priority, FIFO on ties', async () => {
+            const delivered = queueWhileDelivering(() => {
+                eventBus.publish('sync.requested', 1);
+                eventBus.publish('notification.shown', 1, { priority: 5 });
+                eventBus.publish('lesson.saved', 1);
+                eventBus.publish('payment.verified', 1, { priority: 3 });
+            });
+            
+            await eventBus.publish('session.started', 0);
+            
+            expect(delivered).toEqual([
+                'session.started#0',
+                'notification.shown#1',
+                'payment.verified#1',
+                'sync.requested#1',
+                'lesson.saved#1'
+            ]);
+        });
+        
+        test('should never move an event ahead of an older event of the same type', async () => {
+            const delivered = queueWhileDelivering(() => {
+                eventBus.publish('progress.updated', 1);
+                eventBus.publish('sync.requested', 1);
+                eventBus.publish('progress.updated', 2, { priority: 9 });
+            });
+            
+            await eventBus.publish('session.started', 0);
+            
+            expect(delivered).toEqual([
+                'session.started#0',
+                'progress.updated#1',
+                'progress.updated#2',
+                'sync.requested#1'
+            ]);
+        });
+        
+        test('should run a sequential listener after earlier listeners and before later ones', async () => {
+            const steps = [];
+            eventBus.subscribe('lesson.saved', track(steps, 'slow', 20), 3);
+            eventBus.subscribe('lesson.saved', track(steps, 'fast', 1), 3);
+            eventBus.subscribe('lesson.saved', track(steps, 'writer', 5), { priority: 2, sequential: true });
+            eventBus.subscribe('lesson.saved', track(steps, 'after', 1), 1);
+            
+            await eventBus.publish('lesson.saved', {});
+            
+            expect(steps).toEqual([
+                'slow:start', 'fast:start', 'fast:end', 'slow:end',
+                'writer:start', 'writer:end',
+                'after:start', 'after:end'
+            ]);
+        });
+        
+        test('should deliver a sequential event to one listener at a time', async () => {
+            const steps = [];
+            eventBus.subscribe('lesson.saved', track(steps, 'slow', 20), 2);
+            eventBus.subscribe('lesson.saved', track(steps, 'fast', 1), 1);
+            
+            await eventBus.publish('lesson.saved', {}, { sequential: true });
+            
+            expect(steps).toEqual(['slow:start', 'slow:end', 'fast:start', 'fast:end']);
+        });
+    });
+    
+    describe('request/respond', () => {
+        const respondWithLessonStatus = () => eventBus.respond('progress:get_lesson_status', async (payload) => {
+            if (payload.lessonId === 0) {
+                throw new Error('Unknown lesson');
+            }
+            return { lessonId: payload.lessonId, completed: true };
+        });
+        
+        test('should resolve with the responder result', async () => {
+            respondWithLessonStatus();
+            
+            await expect(eventBus.request('progress.get_lesson_status', { lessonId: 7 }))
+                .resolves.toEqual({ lessonId: 7, completed: true });
+        });
+        
+        test('should pass a correlation id to the responder', async () => {
+            const responder = jest.fn(() => 'ok');
+            eventBus.respond('progress.get_summary', responder);
+            
+            await eventBus.request('progress.get_summary', {});
+            
+            expect(responder.mock.calls[0][1].correlationId).toMatch(/^req_/);
+        });
+        
+        test('should propagate responder errors', async () => {
+            respondWithLessonStatus();
+            
+            await expect(eventBus.request('progress.get_lesson_status', { lessonId: 0 })).rejects.toMatchObject({
+                code: 'RESPONDER_FAILED',
+                message: 'Unknown lesson',
+                requestType: 'progress.get_lesson_status'
+            });
+        });
+        
+        test('should allow a single responder per request type', () => {
+            respondWithLessonStatus();
+            
+            expect(() => eventBus.respond('progress.get_lesson_status', () => null)).toThrow('already registered');
+        });
+        
+        test('should reject when no responder is registered', async () => {
+            const stopResponding = respondWithLessonStatus();
+            stopResponding();
+            
+            await expect(eventBus.request('progress.get_lesson_status', {})).rejects.toMatchObject({
+                code: 'NO_RESPONDER'
+            });
+        });
+        
+        test('should time out when the responder does not answer', async () => {
+            eventBus.respond('payment.get_status', () => new Promise(() => {}));
+            
+            await expect(eventBus.request('payment.get_status', {}, { timeout: 20 })).rejects.toMatchObject({
+                code: 'REQUEST_TIMEOUT'
+            });
+        });
+    });
+    
+    describe('retry and dead letters', () => {
+        const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+        
+        const failingListener = (failures) => {
+            let failuresLeft = failures;
+            return {
+                handleEvent: jest.fn(async () => {
+                    if (failuresLeft-- > 0) throw new Error('offline');
+                })
+            };
+        };
+        
+        beforeEach(() => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+        
+        test('should retry a failing listener until it succeeds', async () => {
+            const listener = failingListener(2);
+            eventBus.subscribe('sync.completed', listener, { retry: { attempts: 3, delay: 1 } });
+            
+            await eventBus.publish('sync.completed', {});
+            await wait(20);
+            
+            expect(listener.handleEvent).toHaveBeenCalledTimes(3);
+            expect(listener.handleEvent.mock.calls[2][2].attempt).toBe(3);
+            expect(await eventBus.getDeadLetters()).toEqual([]);
+        });
+        
+        test('should not block other events while a retry is pending', async () => {
+            const delivered = [];
+            eventBus.subscribe('sync.completed', {
+                handleEvent: async () => {
+                    if (!delivered.includes('lesson.started')) throw new Error('offline');
+                    delivered.push('sync.completed');
+                }
+            }, { retry: { attempts: 2, delay: 30 } });
+            eventBus.subscribe('lesson.started', {
+                handleEvent: async (eventType) => { delivered.push(eventType); }
+            });
+            
+            await eventBus.publish('sync.completed', {});
+            await eventBus.publish('lesson.started', {});
+            expect(delivered).toEqual(['lesson.started']);
+            
+            await wait(60);
+            expect(delivered).toEqual(['lesson.started', 'sync.completed']);
+        });
+        
+        test('should acknowledge a persistent event after a successful retry', async () => {
+            const eventStore = new MemoryEventStore();
+            eventBus = new EventBus({ eventStore });
+            eventBus.subscribe('progress.lesson_completed', failingListener(1), {
+                durableId: 'progress-tracker',
+                retry: { attempts: 2, delay: 1 }
+            });
+            
+            await eventBus.publish('progress.lesson_completed', {}, { persistent: true });
+            expect(await eventStore.getAll()).toHaveLength(1);
+            
+            await wait(20);
+            expect(await eventStore.getAll()).toEqual([]);
+        });
+        
+        test('should dead-letter a delivery once attempts are used up', async () => {
+            const listener = failingListener(Infinity);
+            eventBus.subscribe('progress.lesson_completed', listener, { retry: { attempts: 2, delay: 1 } });
+            
+            await eventBus.publish('progress.lesson_completed', { lessonId: 7 });
+            await wait(20);
+            
+            expect(listener.handleEvent).toHaveBeenCalledTimes(2);
+            const deadLetters = await eventBus.getDeadLetters();
+            expect(deadLetters).toHaveLength(1);
+            expect(deadLetters[0]).toMatchObject({
+                eventType: 'progress.lesson_completed',
+                data: { lessonId: 7 },
+                attempts: 2,
+                error: { message: 'offline' }
+            });
+        });
+        
+        test('should evict the oldest dead letters beyond maxDeadLetters', async () => {
+            eventBus = new EventBus({ maxDeadLetters: 2 });
+            eventBus.subscribe('sync.failed', failingListener(Infinity));
+            
+            for (const batch of [1, 2, 3]) {
+                await eventBus.publish('sync.failed', { batch });
+                await wait(2);
+            }
+            
+            const deadLetters = await eventBus.getDeadLetters();
+            expect(deadLetters.map(deadLetter => deadLetter.data.batch)).toEqual([2, 3]);
+        });
+        
+        test('should not store dead letters when maxDeadLetters is 0', async () => {
+            const reports = [];
+            eventBus = new EventBus({ maxDeadLetters: 0 });
+            eventBus.addMiddleware(new ErrorHandlingMiddleware(report => reports.push(report)));
+            eventBus.subscribe('sync.failed', failingListener(Infinity));
+            
+            await eventBus.publish('sync.failed', {});
+            
+            expect(await eventBus.getDeadLetters()).toEqual([]);
+            expect(reports[0].deadLetterId).toBeNull();
+        });
+        
+        test('should report dead-lettered deliveries to the error sink', async () => {
+            const reports = [];
+            eventBus.addMiddleware(new ErrorHandlingMiddleware(report => reports.push(report)));
+            eventBus.subscribe('progress.lesson_completed', failingListener(Infinity));
+            
+            await eventBus.publish('progress.lesson_completed', {}, { source: 'lesson' });
+            
+            const [deadLetter] = await eventBus.getDeadLetters();
+            expect(reports).toHaveLength(1);
+            expect(reports[0]).toMatchObject({
+                eventType: 'progress.lesson_completed',
+                source: 'lesson',
+                attempts: 1,
+                deadLetterId: deadLetter.id
+            });
+            expect(reports[0].error.message).toBe('offline');
+        });
+        
+        test('should redeliver a dead letter and remove it on success', async () => {
+            const listener = failingListener(1);
+            eventBus.subscribe('progress.lesson_completed', listener);
+            await eventBus.publish('progress.lesson_completed', { lessonId: 7 });
+            
+            const [deadLetter] = await eventBus.getDeadLetters();
+            await expect(eventBus.redeliverDeadLetter(deadLetter.id)).resolves.toBe(true);
+            
+            expect(listener.handleEvent).toHaveBeenLastCalledWith(
+                'progress.lesson_completed',
+                { lessonId: 7 },
+                expect.objectContaining({ redelivered: true })
+            );
+            expect(await eventBus.getDeadLetters()).toEqual([]);
+        });
+    });
+    
+    test('should keep dead letters out of the persistent event log', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const eventStore = new MemoryEventStore();
+        const firstSession = new EventBus({ eventStore });
+        firstSession.subscribe('progress.lesson_completed', {
+            handleEvent: async () => { throw new Error('tab closed'); }
+        }, { durableId: 'progress-tracker' });
+        
+        await firstSession.publish('progress.lesson_completed', { lessonId: 7 }, { persistent: true });
+        
+        expect(await firstSession.getDeadLetters()).toHaveLength(1);
+        const logged = await eventStore.getAll();
+        expect(logged).toHaveLength(1);
+        expect(logged[0].pending).toEqual(['progress-tracker']);
+        
+        const secondSession = new EventBus({ eventStore });
+        secondSession.subscribe('progress.lesson_completed', {
+            handleEvent: async () => {}
+        }, { durableId: 'progress-tracker' });
+        
+        await expect(secondSession.replayPersistentEvents())
+            .resolves.toEqual({ events: 1, delivered: 1, pending: 0 });
+    });
+    
+    test('should skip dead letters when replaying from a shared store', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const sharedStore = new MemoryDeadLetterStore();
+        const firstSession = new EventBus({ eventStore: sharedStore, deadLetterStore: sharedStore });
+        firstSession.subscribe('progress.lesson_completed', {
+            handleEvent: async () => { throw new Error('tab closed'); }
+        }, { durableId: 'progress-tracker' });
+        
+        await firstSession.publish('progress.lesson_completed', { lessonId: 7 }, { persistent: true });
+        expect(await sharedStore.getAll()).toHaveLength(2);
+        
+        const secondSession = new EventBus({ eventStore: sharedStore });
+        secondSession.subscribe('progress.lesson_completed', {
+            handleEvent: async () => {}
+        }, { durableId: 'progress-tracker' });
+        
+        await expect(secondSession.replayPersistentEvents())
+            .resolves.toEqual({ events: 1, delivered: 1, pending: 0 });
+    });
+    
+    test('should default dead letters to their own store', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        await expect(createDeadLetterStore('auto')).resolves.toBeInstanceOf(MemoryDeadLetterStore);
+    });
+    
+    describe('IndexedDB event store', () => {
+        beforeEach(() => {
+            global.indexedDB = new IDBFactory();
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+        
+        afterEach(() => {
+            delete global.indexedDB;
+        });
+        
+        test('should open IndexedDB stores for auto', async () => {
+            await expect(createEventStore('auto')).resolves.toBeInstanceOf(IndexedDBEventStore);
+            await expect(createDeadLetterStore('auto')).resolves.toBeInstanceOf(IndexedDBDeadLetterStore);
+        });
+        
+        test('should warn when falling back to memory', async () => {
+            delete global.indexedDB;
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            
+            await expect(createEventStore('auto')).resolves.toBeInstanceOf(MemoryEventStore);
+            expect(warn).toHaveBeenCalledWith(expect.stringContaining('falling back to memory'));
+        });
+        
+        test('should replay events logged by a previous session', async () => {
+            const firstSession = new EventBus({ eventStore: 'auto' });
+            firstSession.subscribe('progress.lesson_completed', {
+                handleEvent: async () => { throw new Error('tab closed'); }
+            }, { durableId: 'progress-tracker' });
+            await firstSession.publish('progress.lesson_completed', { lessonId: 7 }, { persistent: true });
+            
+            const calls = [];
+            const secondSession = new EventBus({ eventStore: 'auto' });
+            secondSession.subscribe('progress.lesson_completed', {
+                handleEvent: async (eventType, eventData) => { calls.push(eventData); }
+            }, { durableId: 'progress-tracker' });
+            
+            await expect(secondSession.replayPersistentEvents())
+                .resolves.toEqual({ events: 1, delivered: 1, pending: 0 });
+            expect(calls).toEqual([{ lessonId: 7 }]);
+            
+            const reopened = await createEventStore('auto');
+            expect(await reopened.getAll()).toEqual([]);
+        });
+        
+        test('should keep dead letters apart from the event log', async () => {
+            const deadLetters = await createDeadLetterStore('indexedDB');
+            await deadLetters.put({ id: 'dl_1', type: 'progress.synced', data: {}, error: 'boom' });
+            
+            const reopened = await createDeadLetterStore('indexedDB');
+            const eventLog = await createEventStore('indexedDB');
+            
+            expect(await reopened.getAll()).toEqual([
+                expect.objectContaining({ id: 'dl_1', error: 'boom' })
+            ]);
+            expect(await eventLog.getAll()).toEqual([]);
+        });
+    });
+});
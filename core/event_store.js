@@ -0,0 +1,264 @@
+/**
+ * core/event-store.js
+ * Durable log for events published with `persistent: true`,
+ * and the EventBus dead-letter store
+ *
+ * Each record keeps the event plus the durable subscribers that have not
+ * acknowledged it yet; the EventBus removes a subscriber after a successful
+ * delivery and deletes the record once nobody is pending.
+ * Dead letters use the same contract but live in their own database, so
+ * they never show up in the replay log.
+ *
+ * Principles Applied:
+ * - ISP: Minimal store contract (initialize/getAll/put/delete)
+ * - DIP: EventBus depends on EventStore, not on IndexedDB
+ * - KISS: IndexedDB when available, in-memory otherwise
+ */
+
+import Database from './database.js';
+
+/**
+ * @typedef {Object} PersistentEventRecord
+ * @property {string} id - Event id (metadata.id)
+ * @property {string} type - Event type as published
+ * @property {*} data - Event payload
+ * @property {Object} metadata - Event metadata
+ * @property {string[]} pending - Durable subscriber ids still awaiting delivery
+ * @property {number} createdAt - Timestamp of the first write
+ */
+
+// ============================================
+// INTERFACE
+// ============================================
+
+/**
+ * @interface EventStore
+ * Contract for persistent event storage
+ */
+class EventStore {
+  constructor() {
+    if (this.constructor === EventStore) {
+      throw new Error('Cannot instantiate interface EventStore');
+    }
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether the store is usable
+   */
+  async initialize() {
+    throw new Error('initialize() must be implemented');
+  }
+
+  /**
+   * @returns {Promise<PersistentEventRecord[]>}
+   */
+  async getAll() {
+    throw new Error('getAll() must be implemented');
+  }
+
+  /**
+   * Insert or replace a record
+   * @param {PersistentEventRecord} record
+   * @returns {Promise<void>}
+   */
+  async put(record) {
+    throw new Error('put() must be implemented');
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    throw new Error('delete() must be implemented');
+  }
+}
+
+// ============================================
+// IMPLEMENTATIONS
+// ============================================
+
+/**
+ * In-memory store (tests, or environments without IndexedDB).
+ * Tracks delivery but does not survive a reload.
+ */
+class MemoryEventStore extends EventStore {
+  constructor() {
+    super();
+    this._records = new Map();
+  }
+
+  async initialize() {
+    return true;
+  }
+
+  async getAll() {
+    return Array.from(this._records.values(), record => ({ ...record, pending: [...record.pending] }));
+  }
+
+  async put(record) {
+    this._records.set(record.id, { ...record, pending: [...record.pending] });
+  }
+
+  async delete(id) {
+    this._records.delete(id);
+  }
+}
+
+/**
+ * IndexedDB store based on core/database.js
+ */
+class IndexedDBEventStore extends EventStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dbName='VakamovaEventLog']
+   * @param {string} [options.storeName='persistent_events']
+   */
+  constructor(options = {}) {
+    super();
+    this._dbName = options.dbName || 'VakamovaEventLog';
+    this._storeName = options.storeName || 'persistent_events';
+    this._database = null;
+  }
+
+  async initialize() {
+    if (typeof indexedDB === 'undefined') {
+      return false;
+    }
+
+    try {
+      this._database = new Database(this._dbName);
+      await this._database.init({
+        version: 1,
+        stores: [
+          { name: this._storeName, keyPath: 'id' },
+          { name: '_metadata', keyPath: 'id' }
+        ]
+      });
+      return true;
+    } catch (error) {
+      console.warn('IndexedDB event store unavailable:', error.message);
+      return false;
+    }
+  }
+
+  async getAll() {
+    return this._database.getAll(this._storeName, { forceRefresh: true, skipCache: true });
+  }
+
+  async put(record) {
+    if (await this._database.get(this._storeName, record.id)) {
+      await this._database.update(this._storeName, record.id, record);
+    } else {
+      await this._database.add(this._storeName, record);
+    }
+  }
+
+  async delete(id) {
+    await this._database.delete(this._storeName, id);
+  }
+}
+
+/**
+ * In-memory dead-letter store (the EventBus default)
+ */
+class MemoryDeadLetterStore extends EventStore {
+  constructor() {
+    super();
+    this._records = new Map();
+  }
+
+  async initialize() {
+    return true;
+  }
+
+  async getAll() {
+    return Array.from(this._records.values(), record => ({ ...record }));
+  }
+
+  async put(record) {
+    this._records.set(record.id, { ...record });
+  }
+
+  async delete(id) {
+    this._records.delete(id);
+  }
+}
+
+/**
+ * IndexedDB dead-letter store, separate from the persistent event log
+ */
+class IndexedDBDeadLetterStore extends IndexedDBEventStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dbName='VakamovaDeadLetters']
+   * @param {string} [options.storeName='dead_letters']
+   */
+  constructor(options = {}) {
+    super({ dbName: 'VakamovaDeadLetters', storeName: 'dead_letters', ...options });
+  }
+}
+
+// ============================================
+// FACTORIES
+// ============================================
+
+/**
+ * First available store among the candidates, else a fresh memory store
+ * @private
+ */
+async function openStore(store, createIndexedDBStore, MemoryStore) {
+  let candidates;
+
+  if (store instanceof EventStore || (store && typeof store.put === 'function')) {
+    candidates = [store];
+  } else if (store === 'memory') {
+    candidates = [];
+  } else if (store === 'indexedDB' || store === 'auto') {
+    candidates = [createIndexedDBStore()];
+  } else {
+    throw new Error(`Unknown event store: ${store}`);
+  }
+
+  for (const candidate of candidates) {
+    if (await candidate.initialize()) {
+      return candidate;
+    }
+  }
+
+  if (candidates.length > 0) {
+    console.warn('Event store unavailable, falling back to memory; stored events will not survive a reload');
+  }
+
+  const fallback = new MemoryStore();
+  await fallback.initialize();
+  return fallback;
+}
+
+/**
+ * Create the persistent event log with automatic fallback
+ * @param {string|EventStore} [store='auto'] - 'auto' | 'indexedDB' | 'memory' | store instance
+ * @param {Object} [options] - IndexedDBEventStore options
+ * @returns {Promise<EventStore>} First available store (memory as last resort)
+ */
+export async function createEventStore(store = 'auto', options = {}) {
+  return openStore(store, () => new IndexedDBEventStore(options), MemoryEventStore);
+}
+
+/**
+ * Create the dead-letter store with automatic fallback
+ * @param {string|EventStore} [store='memory'] - 'auto' | 'indexedDB' | 'memory' | store instance
+ * @param {Object} [options] - IndexedDBDeadLetterStore options
+ * @returns {Promise<EventStore>} First available store (memory as last resort)
+ */
+export async function createDeadLetterStore(store = 'memory', options = {}) {
+  return openStore(store, () => new IndexedDBDeadLetterStore(options), MemoryDeadLetterStore);
+}
+
+export {
+  EventStore,
+  MemoryEventStore,
+  IndexedDBEventStore,
+  MemoryDeadLetterStore,
+  IndexedDBDeadLetterStore
+};
@@ -0,0 +1,396 @@
+/**
+ * State Compression - فشرده‌سازی payload ذخیره شده State
+ * اصول رعایت شده: SRP, OCP, KISS
+ *
+ * قالب payload فشرده:  VKZ<version>:<codec>:<rawLength>:<data>
+ * payloadهای قدیمی (JSON خام بدون header) همچنان خوانده می‌شوند.
+ *
+ * codecها:
+ *   - deflate: CompressionStream مرورگر، خروجی base64
+ *   - lz: پیاده‌سازی LZ-string (compressToUTF16) برای محیط‌های بدون CompressionStream
+ *   - none: JSON خام
+ */
+
+export const PAYLOAD_FORMAT_VERSION = 1;
+
+const HEADER_PATTERN = /^VKZ(\d+):([a-z0-9-]+):(\d+):/;
+
+export const CompressionCodecs = {
+  NONE: 'none',
+  DEFLATE: 'deflate',
+  LZ: 'lz'
+};
+
+/**
+ * آیا CompressionStream/DecompressionStream در دسترس است
+ * @returns {boolean}
+ */
+export function isNativeCompressionSupported() {
+  return typeof CompressionStream !== 'undefined' &&
+    typeof DecompressionStream !== 'undefined' &&
+    typeof Response !== 'undefined' &&
+    typeof Blob !== 'undefined';
+}
+
+/**
+ * انتخاب codec واقعی بر اساس تنظیمات و توان محیط
+ * @param {string} codec - 'auto' | 'deflate' | 'lz' | 'none'
+ * @returns {string}
+ */
+export function resolveCodec(codec = 'auto') {
+  if (codec === 'auto' || codec === CompressionCodecs.DEFLATE) {
+    return isNativeCompressionSupported() ? CompressionCodecs.DEFLATE : CompressionCodecs.LZ;
+  }
+
+  if (codec === CompressionCodecs.LZ || codec === CompressionCodecs.NONE) {
+    return codec;
+  }
+
+  throw new Error(`Unknown compression codec: ${codec}`);
+}
+
+/**
+ * فشرده‌سازی JSON سریال شده
+ * اگر JSON کوچک‌تر از آستانه باشد یا فشرده‌سازی سودی نداشته باشد، JSON خام برمی‌گردد
+ * @param {string} json
+ * @param {Object} [options]
+ * @param {string} [options.codec='auto']
+ * @param {number} [options.thresholdBytes=1024]
+ * @returns {Promise<{payload: string, codec: string, rawLength: number, storedLength: number}>}
+ */
+export async function encodeStatePayload(json, options = {}) {
+  const { codec = 'auto', thresholdBytes = 1024 } = options;
+  const selectedCodec = resolveCodec(codec);
+  const raw = { payload: json, codec: CompressionCodecs.NONE, rawLength: json.length, storedLength: json.length };
+
+  if (selectedCodec === CompressionCodecs.NONE || json.length * 2 < thresholdBytes) {
+    return raw;
+  }
+
+  const data = selectedCodec === CompressionCodecs.DEFLATE
+    ? await deflateToBase64(json)
+    : lzCompress(json);
+
+  const payload = `VKZ${PAYLOAD_FORMAT_VERSION}:${selectedCodec}:${json.length}:${data}`;
+
+  if (payload.length >= json.length) {
+    return raw;
+  }
+
+  return { payload, codec: selectedCodec, rawLength: json.length, storedLength: payload.length };
+}
+
+/**
+ * بازگرداندن JSON از payload (فشرده یا خام)
+ * @param {string} payload
+ * @returns {Promise<string>}
+ */
+export async function decodeStatePayload(payload) {
+  const header = readPayloadHeader(payload);
+
+  if (header.codec === CompressionCodecs.NONE) {
+    return payload;
+  }
+
+  if (header.version > PAYLOAD_FORMAT_VERSION) {
+    throw new Error(`Unsupported payload format version: ${header.version}`);
+  }
+
+  const data = payload.slice(header.headerLength);
+  let json;
+
+  switch (header.codec) {
+    case CompressionCodecs.DEFLATE:
+      if (!isNativeCompressionSupported()) {
+        throw new Error('Codec deflate is not supported in this environment');
+      }
+      json = await inflateFromBase64(data);
+      break;
+
+    case CompressionCodecs.LZ:
+      json = lzDecompress(data);
+      break;
+
+    default:
+      throw new Error(`Unknown compression codec: ${header.codec}`);
+  }
+
+  if (json === null || json.length !== header.rawLength) {
+    throw new Error(`Corrupted ${header.codec} payload`);
+  }
+
+  return json;
+}
+
+/**
+ * خواندن header بدون باز کردن داده
+ * @param {string} payload
+ * @returns {{version: number, codec: string, rawLength: number, storedLength: number, headerLength: number}}
+ */
+export function readPayloadHeader(payload) {
+  const match = typeof payload === 'string' ? HEADER_PATTERN.exec(payload) : null;
+
+  if (!match) {
+    const length = typeof payload === 'string' ? payload.length : 0;
+    return { version: 0, codec: CompressionCodecs.NONE, rawLength: length, storedLength: length, headerLength: 0 };
+  }
+
+  return {
+    version: Number(match[1]),
+    codec: match[2],
+    rawLength: Number(match[3]),
+    storedLength: payload.length,
+    headerLength: match[0].length
+  };
+}
+
+// ==================== deflate (CompressionStream) ====================
+
+async function deflateToBase64(text) {
+  const bytes = await pipeBytes(new TextEncoder().encode(text), new CompressionStream('deflate'));
+  return bytesToBase64(bytes);
+}
+
+async function inflateFromBase64(base64) {
+  const bytes = await pipeBytes(base64ToBytes(base64), new DecompressionStream('deflate'));
+  return new TextDecoder().decode(bytes);
+}
+
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export function bytesToBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+
+  return btoa(binary);
+}
+
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  return bytes;
+}
+
+// ==================== LZ-string (سازگار با compressToUTF16) ====================
+
+/**
+ * فشرده‌سازی LZW به رشته UTF-16 امن (۱۵ بیت در هر کاراکتر)
+ * @param {string} input
+ * @returns {string}
+ */
+export function lzCompress(input) {
+  if (input == null) return '';
+  return compressBits(input, 15, value => String.fromCharCode(value + 32)) + ' ';
+}
+
+/**
+ * @param {string} compressed
+ * @returns {string|null} null اگر داده خراب باشد
+ */
+export function lzDecompress(compressed) {
+  if (compressed == null) return '';
+  if (compressed === '') return null;
+  return decompressBits(compressed.length, 16384, index => compressed.charCodeAt(index) - 32);
+}
+
+function compressBits(input, bitsPerChar, charFromInt) {
+  const dictionary = new Map();
+  const pendingChars = new Set();
+  const output = [];
+
+  let word = '';
+  let dictSize = 3;
+  let numBits = 2;
+  let enlargeIn = 2;
+  let buffer = 0;
+  let position = 0;
+
+  const writeBits = (value, count) => {
+    for (let i = 0; i < count; i++) {
+      buffer = (buffer << 1) | (value & 1);
+      value >>= 1;
+
+      if (position === bitsPerChar - 1) {
+        position = 0;
+        output.push(charFromInt(buffer));
+        buffer = 0;
+      } else {
+        position++;
+      }
+    }
+  };
+
+  const decreaseEnlarge = () => {
+    enlargeIn--;
+    if (enlargeIn === 0) {
+      enlargeIn = Math.pow(2, numBits);
+      numBits++;
+    }
+  };
+
+  const writeWord = () => {
+    if (pendingChars.has(word)) {
+      const code = word.charCodeAt(0);
+
+      if (code < 256) {
+        writeBits(0, numBits);
+        writeBits(code, 8);
+      } else {
+        writeBits(1, numBits);
+        writeBits(code, 16);
+      }
+
+      decreaseEnlarge();
+      pendingChars.delete(word);
+    } else {
+      writeBits(dictionary.get(word), numBits);
+    }
+
+    decreaseEnlarge();
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input.charAt(i);
+
+    if (!dictionary.has(char)) {
+      dictionary.set(char, dictSize++);
+      pendingChars.add(char);
+    }
+
+    const extended = word + char;
+
+    if (dictionary.has(extended)) {
+      word = extended;
+    } else {
+      writeWord();
+      dictionary.set(extended, dictSize++);
+      word = char;
+    }
+  }
+
+  if (word !== '') {
+    writeWord();
+  }
+
+  // علامت پایان
+  writeBits(2, numBits);
+
+  // خالی کردن بیت‌های باقی‌مانده
+  while (true) {
+    buffer <<= 1;
+    if (position === bitsPerChar - 1) {
+      output.push(charFromInt(buffer));
+      break;
+    }
+    position++;
+  }
+
+  return output.join('');
+}
+
+function decompressBits(length, resetValue, nextValue) {
+  const dictionary = [0, 1, 2];
+  const result = [];
+
+  let enlargeIn = 4;
+  let dictSize = 4;
+  let numBits = 3;
+  let value = nextValue(0);
+  let position = resetValue;
+  let index = 1;
+
+  const readBits = (count) => {
+    let bits = 0;
+
+    for (let power = 1; power !== 1 << count; power <<= 1) {
+      const bit = value & position;
+      position >>= 1;
+
+      if (position === 0) {
+        position = resetValue;
+        value = nextValue(index++);
+      }
+
+      if (bit > 0) bits |= power;
+    }
+
+    return bits;
+  };
+
+  let char;
+  switch (readBits(2)) {
+    case 0:
+      char = String.fromCharCode(readBits(8));
+      break;
+    case 1:
+      char = String.fromCharCode(readBits(16));
+      break;
+    case 2:
+      return '';
+    default:
+      return null;
+  }
+
+  dictionary[3] = char;
+  let word = char;
+  result.push(char);
+
+  while (true) {
+    if (index > length) return null;
+
+    let code = readBits(numBits);
+
+    switch (code) {
+      case 0:
+        dictionary[dictSize++] = String.fromCharCode(readBits(8));
+        code = dictSize - 1;
+        enlargeIn--;
+        break;
+      case 1:
+        dictionary[dictSize++] = String.fromCharCode(readBits(16));
+        code = dictSize - 1;
+        enlargeIn--;
+        break;
+      case 2:
+        return result.join('');
+      default:
+        break;
+    }
+
+    if (enlargeIn === 0) {
+      enlargeIn = Math.pow(2, numBits);
+      numBits++;
+    }
+
+    let entry;
+    if (dictionary[code]) {
+      entry = dictionary[code];
+    } else if (code === dictSize) {
+      entry = word + word.charAt(0);
+    } else {
+      return null;
+    }
+
+    result.push(entry);
+    dictionary[dictSize++] = word + entry.charAt(0);
+    enlargeIn--;
+    word = entry;
+
+    if (enlargeIn === 0) {
+      enlargeIn = Math.pow(2, numBits);
+      numBits++;
+    }
+  }
+}
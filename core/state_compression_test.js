@@ -0,0 +1,79 @@
+/**
+ * 🧪 تست State Compression
+ * تست‌های رفت و برگشت codecها و قالب payload
+ */
+
+import {
+    encodeStatePayload,
+    decodeStatePayload,
+    readPayloadHeader,
+    resolveCodec,
+    lzCompress,
+    lzDecompress,
+    CompressionCodecs,
+    PAYLOAD_FORMAT_VERSION
+} from './state-compression.js';
+
+const largeState = JSON.stringify({
+    lessons: Array.from({ length: 50 }, (_, i) => ({
+        id: `lesson_${i}`,
+        title: `درس شماره ${i} - الفبای فارسی`,
+        completed: i % 2 === 0
+    }))
+});
+
+describe('state compression', () => {
+    test.each(['deflate', 'lz'])('should round-trip a payload with the %s codec', async codec => {
+        const encoded = await encodeStatePayload(largeState, { codec });
+
+        expect(encoded.codec).toBe(codec);
+        expect(encoded.storedLength).toBeLessThan(encoded.rawLength);
+        expect(await decodeStatePayload(encoded.payload)).toBe(largeState);
+    });
+
+    test('should write a versioned header', async () => {
+        const { payload } = await encodeStatePayload(largeState, { codec: 'lz' });
+        const header = readPayloadHeader(payload);
+
+        expect(header.version).toBe(PAYLOAD_FORMAT_VERSION);
+        expect(header.codec).toBe(CompressionCodecs.LZ);
+        expect(header.rawLength).toBe(largeState.length);
+    });
+
+    test('should keep payloads below the threshold as raw JSON', async () => {
+        const json = JSON.stringify({ user: { email: 'ali@test.com' } });
+        const encoded = await encodeStatePayload(json, { codec: 'deflate' });
+
+        expect(encoded.codec).toBe(CompressionCodecs.NONE);
+        expect(encoded.payload).toBe(json);
+    });
+
+    test('should read legacy payloads without a header', async () => {
+        const legacy = JSON.stringify({ _version: 3 });
+
+        expect(readPayloadHeader(legacy).codec).toBe(CompressionCodecs.NONE);
+        expect(await decodeStatePayload(legacy)).toBe(legacy);
+    });
+
+    test('should reject a corrupted payload', async () => {
+        const { payload } = await encodeStatePayload(largeState, { codec: 'lz' });
+        const corrupted = payload.replace(`:${largeState.length}:`, `:${largeState.length + 1}:`);
+
+        await expect(decodeStatePayload(corrupted)).rejects.toThrow('Corrupted lz payload');
+    });
+
+    test('should reject a newer payload format', async () => {
+        await expect(decodeStatePayload(`VKZ${PAYLOAD_FORMAT_VERSION + 1}:lz:2:xx`))
+            .rejects.toThrow('Unsupported payload format version');
+    });
+
+    test('should round-trip non-ASCII text through LZ-string', () => {
+        const text = 'سلام دنیا 👋 hello';
+
+        expect(lzDecompress(lzCompress(text))).toBe(text);
+    });
+
+    test('should reject an unknown codec name', () => {
+        expect(() => resolveCodec('brotli')).toThrow('Unknown compression codec');
+    });
+});
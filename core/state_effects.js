@@ -0,0 +1,204 @@
+/**
+ * State Effects - اجرای عملیات ناهمگام (thunk / effect) برای State Manager
+ * اصول رعایت شده: SRP, DIP, KISS
+ *
+ * دو شکل قابل dispatch است:
+ *   - تابع (thunk):  (dispatch, getState, context) => Promise
+ *   - توصیف‌گر effect: { effect, key, mode, loading }
+ *     key در صورت نبود از type گرفته می‌شود؛ effect کلیددار به طور پیش‌فرض takeLatest است
+ *
+ * context شامل signal (AbortSignal)، isCancelled و services تزریق شده است
+ */
+
+// حالت‌های همزمانی effectهای هم‌کلید
+export const EffectModes = {
+  // همه اجراها مستقل هستند
+  TAKE_EVERY: 'takeEvery',
+  // اجرای جدید، اجرای قبلی را لغو می‌کند (مثال: تعویض سریع درس)
+  TAKE_LATEST: 'takeLatest',
+  // تا وقتی اجرای قبلی تمام نشده، اجرای جدید نادیده گرفته می‌شود
+  TAKE_LEADING: 'takeLeading'
+};
+
+class EffectRunner {
+  /**
+   * @param {Object} stateManager - باید dispatch و getState داشته باشد
+   * @param {Object} options
+   * @param {Object} [options.services] - وابستگی‌های قابل دسترس در effect (apiClient, database, ...)
+   */
+  constructor(stateManager, options = {}) {
+    this._stateManager = stateManager;
+    this._services = { ...options.services };
+
+    // effectهای در حال اجرا: id -> { id, key, controller, promise, startedAt }
+    this._running = new Map();
+    this._effectIdCounter = 0;
+
+    // تعداد effectهایی که در loading سراسری شمرده می‌شوند
+    this._loadingCount = 0;
+  }
+
+  /**
+   * آیا ورودی dispatch یک effect است
+   */
+  static isEffect(action) {
+    return typeof action === 'function' ||
+      (!!action && typeof action === 'object' && typeof action.effect === 'function');
+  }
+
+  /**
+   * اجرای thunk یا توصیف‌گر effect
+   * @param {Function|Object} effect
+   * @returns {Promise<*>} نتیجه effect؛ برای effect لغو شده undefined
+   */
+  run(effect) {
+    const descriptor = this._normalize(effect);
+
+    if (descriptor.key && descriptor.mode === EffectModes.TAKE_LEADING) {
+      const active = this._findByKey(descriptor.key);
+      if (active) return active.promise;
+    }
+
+    if (descriptor.key && descriptor.mode === EffectModes.TAKE_LATEST) {
+      this.cancel(descriptor.key);
+    }
+
+    const task = {
+      id: ++this._effectIdCounter,
+      key: descriptor.key,
+      controller: new AbortController(),
+      startedAt: Date.now(),
+      promise: null
+    };
+
+    this._running.set(task.id, task);
+    task.promise = this._execute(task, descriptor);
+    return task.promise;
+  }
+
+  /**
+   * لغو همه effectهای در حال اجرا با کلید مشخص
+   * @param {string} key
+   * @returns {number} تعداد effectهای لغو شده
+   */
+  cancel(key) {
+    let count = 0;
+
+    this._running.forEach(task => {
+      if (task.key === key && !task.controller.signal.aborted) {
+        task.controller.abort();
+        count++;
+      }
+    });
+
+    return count;
+  }
+
+  /**
+   * لغو همه effectها (مثلاً هنگام خروج کاربر)
+   */
+  cancelAll() {
+    this._running.forEach(task => task.controller.abort());
+  }
+
+  /**
+   * لیست effectهای در حال اجرا
+   * @returns {Array<{id: number, key: string|null, startedAt: number}>}
+   */
+  getRunning() {
+    return Array.from(this._running.values()).map(({ id, key, startedAt }) => ({ id, key, startedAt }));
+  }
+
+  /**
+   * تنظیم یا افزودن سرویس‌های در دسترس effectها
+   * @param {Object} services
+   */
+  setServices(services) {
+    this._services = { ...this._services, ...services };
+  }
+
+  async _execute(task, descriptor) {
+    const signal = task.controller.signal;
+    const isCancelled = () => signal.aborted;
+
+    // dispatch مخصوص این effect: بعد از لغو، actionها نادیده گرفته می‌شوند
+    const dispatch = (action) => {
+      if (isCancelled()) return undefined;
+      return this._stateManager.dispatch(action);
+    };
+    const getState = () => this._stateManager.getState();
+
+    if (descriptor.loading) this._startLoading();
+
+    try {
+      const result = await descriptor.effect(dispatch, getState, {
+        signal,
+        isCancelled,
+        services: this._services
+      });
+      return isCancelled() ? undefined : result;
+    } catch (error) {
+      // خطای ناشی از abort برای effect لغو شده، خطا محسوب نمی‌شود
+      if (isCancelled()) return undefined;
+      throw error;
+    } finally {
+      this._running.delete(task.id);
+      if (descriptor.loading) this._endLoading();
+    }
+  }
+
+  _normalize(effect) {
+    if (typeof effect === 'function') {
+      return { effect, key: null, mode: EffectModes.TAKE_EVERY, loading: true };
+    }
+
+    const key = effect.key || effect.type || null;
+    const mode = effect.mode || (key ? EffectModes.TAKE_LATEST : EffectModes.TAKE_EVERY);
+    if (!Object.values(EffectModes).includes(mode)) {
+      throw new Error(`Unknown effect mode: ${mode}`);
+    }
+
+    return {
+      effect: effect.effect,
+      key,
+      mode,
+      loading: effect.loading !== false
+    };
+  }
+
+  _findByKey(key) {
+    for (const task of this._running.values()) {
+      if (task.key === key && !task.controller.signal.aborted) {
+        return task;
+      }
+    }
+    return null;
+  }
+
+  _startLoading() {
+    this._loadingCount++;
+    if (this._loadingCount === 1) {
+      this._stateManager.dispatch({ type: 'UI_LOADING_START' });
+    }
+  }
+
+  _endLoading() {
+    this._loadingCount = Math.max(0, this._loadingCount - 1);
+    if (this._loadingCount === 0) {
+      this._stateManager.dispatch({ type: 'UI_LOADING_END' });
+    }
+  }
+}
+
+/**
+ * ساخت توصیف‌گر effect (کمک‌کننده برای ActionCreators ماژول‌ها)
+ * @param {string} key - کلید همزمانی (مثال: 'lesson_load')
+ * @param {Function} effect - (dispatch, getState, context) => Promise
+ * @param {Object} [options] - mode و loading
+ * @returns {Object}
+ */
+export function createEffect(key, effect, options = {}) {
+  return { key, effect, ...options };
+}
+
+export { EffectRunner };
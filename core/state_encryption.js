@@ -0,0 +1,255 @@
+/**
+ * State Encryption - رمزنگاری AES-GCM برای sliceهای حساس State
+ * اصول رعایت شده: SRP, DIP, KISS
+ *
+ * - کلیدها با Web Crypto و به صورت non-extractable ساخته می‌شوند
+ *   و خود CryptoKey (نه بایت‌های کلید) در IndexedDB نگه داشته می‌شود
+ * - هر مقدار رمز شده یک envelope است: { __encrypted, kid, iv, data }
+ *   نام slice به عنوان additionalData استفاده می‌شود تا envelope به slice دیگری منتقل نشود
+ * - با rotateKey کلید جدید فعال می‌شود؛ کلیدهای قبلی تا حذف صریح برای خواندن باقی می‌مانند
+ */
+
+import Database from './database.js';
+import { bytesToBase64, base64ToBytes } from './state-compression.js';
+
+const ENVELOPE_VERSION = 1;
+const ACTIVE_KEY_RECORD = '__active__';
+
+/**
+ * @interface EncryptionKeyStore
+ * محل نگهداری CryptoKeyها
+ */
+class EncryptionKeyStore {
+  constructor() {
+    if (this.constructor === EncryptionKeyStore) {
+      throw new Error('Cannot instantiate interface EncryptionKeyStore');
+    }
+  }
+
+  /** @returns {Promise<boolean>} */
+  async initialize() {
+    throw new Error('Method initialize() must be implemented');
+  }
+
+  /** @returns {Promise<Object|null>} رکورد { id, ... } */
+  async get(id) {
+    throw new Error('Method get() must be implemented');
+  }
+
+  /** @param {Object} record - رکورد با کلید id */
+  async put(record) {
+    throw new Error('Method put() must be implemented');
+  }
+
+  async delete(id) {
+    throw new Error('Method delete() must be implemented');
+  }
+}
+
+/**
+ * نگهداری کلیدها در IndexedDB بر پایه core/database.js
+ */
+class IndexedDBKeyStore extends EncryptionKeyStore {
+  constructor(options = {}) {
+    super();
+    this._dbName = options.dbName || 'VakamovaKeyStore';
+    this._storeName = 'crypto_keys';
+    this._database = null;
+  }
+
+  async initialize() {
+    if (typeof indexedDB === 'undefined') {
+      return false;
+    }
+
+    try {
+      this._database = new Database(this._dbName);
+      await this._database.init({
+        version: 1,
+        stores: [
+          { name: this._storeName, keyPath: 'id' },
+          { name: '_metadata', keyPath: 'id' }
+        ]
+      });
+      return true;
+    } catch (error) {
+      console.warn('IndexedDB key store unavailable:', error.message);
+      return false;
+    }
+  }
+
+  async get(id) {
+    return (await this._database.get(this._storeName, id)) || null;
+  }
+
+  async put(record) {
+    if (await this._database.get(this._storeName, record.id)) {
+      await this._database.update(this._storeName, record.id, record);
+    } else {
+      await this._database.add(this._storeName, record);
+    }
+  }
+
+  async delete(id) {
+    await this._database.delete(this._storeName, id);
+  }
+}
+
+class StateEncryption {
+  /**
+   * @param {Object} [options]
+   * @param {EncryptionKeyStore} [options.keyStore] - پیش‌فرض: IndexedDBKeyStore
+   * @param {Object} [options.crypto] - پیش‌فرض: globalThis.crypto
+   */
+  constructor(options = {}) {
+    this._keyStore = options.keyStore || new IndexedDBKeyStore(options);
+    this._crypto = options.crypto || globalThis.crypto;
+
+    // kid -> CryptoKey
+    this._keys = new Map();
+    this._activeKeyId = null;
+    this._isAvailable = false;
+  }
+
+  /**
+   * بارگذاری کلید فعال؛ اگر وجود نداشت کلید جدید ساخته می‌شود
+   * @returns {Promise<boolean>} آیا رمزنگاری در دسترس است
+   */
+  async initialize() {
+    if (this._isAvailable) return true;
+
+    if (!this._crypto || !this._crypto.subtle) {
+      console.warn('Web Crypto not available. Encrypted slices will not be persisted.');
+      return false;
+    }
+
+    if (!(await this._keyStore.initialize())) {
+      console.warn('Key store not available. Encrypted slices will not be persisted.');
+      return false;
+    }
+
+    const active = await this._keyStore.get(ACTIVE_KEY_RECORD);
+    const activeKey = active ? await this._loadKey(active.keyId) : null;
+
+    if (activeKey) {
+      this._activeKeyId = active.keyId;
+    } else {
+      await this.rotateKey();
+    }
+
+    this._isAvailable = true;
+    return true;
+  }
+
+  isAvailable() {
+    return this._isAvailable;
+  }
+
+  getActiveKeyId() {
+    return this._activeKeyId;
+  }
+
+  /**
+   * ساخت کلید جدید و فعال کردن آن
+   * @returns {Promise<string>} شناسه کلید جدید
+   */
+  async rotateKey() {
+    const key = await this._crypto.subtle.generateKey(
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+
+    const keyId = `key_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    await this._keyStore.put({ id: keyId, key, createdAt: new Date().toISOString() });
+    await this._keyStore.put({ id: ACTIVE_KEY_RECORD, keyId });
+
+    this._keys.set(keyId, key);
+    this._activeKeyId = keyId;
+    return keyId;
+  }
+
+  /**
+   * حذف کلید قبلی (بعد از رمزنگاری مجدد داده‌ها)
+   * @param {string} keyId
+   */
+  async deleteKey(keyId) {
+    if (!keyId || keyId === this._activeKeyId) return false;
+
+    await this._keyStore.delete(keyId);
+    this._keys.delete(keyId);
+    return true;
+  }
+
+  /**
+   * @param {*} value - مقدار قابل سریال‌سازی با JSON
+   * @param {string} context - نام slice
+   * @returns {Promise<Object>} envelope
+   */
+  async encrypt(value, context) {
+    let key = await this._loadKey(this._activeKeyId);
+
+    // کلید فعال حذف شده (پاک شدن بخشی از storage): کلید تازه می‌سازیم
+    if (!key) {
+      await this.rotateKey();
+      key = this._keys.get(this._activeKeyId);
+    }
+
+    const iv = this._crypto.getRandomValues(new Uint8Array(12));
+    const data = await this._crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(context) },
+      key,
+      new TextEncoder().encode(JSON.stringify(value))
+    );
+
+    return {
+      __encrypted: ENVELOPE_VERSION,
+      kid: this._activeKeyId,
+      iv: bytesToBase64(iv),
+      data: bytesToBase64(new Uint8Array(data))
+    };
+  }
+
+  /**
+   * @param {Object} envelope
+   * @param {string} context - نام slice
+   * @returns {Promise<*>}
+   */
+  async decrypt(envelope, context) {
+    if (!StateEncryption.isEnvelope(envelope)) {
+      throw new Error('Invalid encrypted envelope');
+    }
+
+    const key = await this._loadKey(envelope.kid);
+    if (!key) {
+      throw new Error(`Encryption key ${envelope.kid} not found`);
+    }
+
+    const data = await this._crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(envelope.iv), additionalData: new TextEncoder().encode(context) },
+      key,
+      base64ToBytes(envelope.data)
+    );
+
+    return JSON.parse(new TextDecoder().decode(data));
+  }
+
+  static isEnvelope(value) {
+    return !!value && typeof value === 'object' && value.__encrypted === ENVELOPE_VERSION &&
+      typeof value.kid === 'string' && typeof value.iv === 'string' && typeof value.data === 'string';
+  }
+
+  async _loadKey(keyId) {
+    if (!keyId) return null;
+    if (this._keys.has(keyId)) return this._keys.get(keyId);
+
+    const record = await this._keyStore.get(keyId);
+    if (!record || !record.key) return null;
+
+    this._keys.set(keyId, record.key);
+    return record.key;
+  }
+}
+
+export { StateEncryption, EncryptionKeyStore, IndexedDBKeyStore };
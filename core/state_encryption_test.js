@@ -0,0 +1,57 @@
+/**
+ * 🧪 تست State Encryption
+ * تست‌های نگهداری کلید در IndexedDB و رمزنگاری sliceها
+ */
+
+import { IDBFactory } from 'fake-indexeddb';
+import { StateEncryption, IndexedDBKeyStore } from './state-encryption.js';
+
+describe('StateEncryption with IndexedDBKeyStore', () => {
+    beforeEach(() => {
+        global.indexedDB = new IDBFactory();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        delete global.indexedDB;
+        jest.restoreAllMocks();
+    });
+
+    test('should initialize the key store on a new database', async () => {
+        expect(await new IndexedDBKeyStore().initialize()).toBe(true);
+    });
+
+    test('should create and store an active key', async () => {
+        const encryption = new StateEncryption();
+
+        expect(await encryption.initialize()).toBe(true);
+        expect(encryption.isAvailable()).toBe(true);
+        expect(encryption.getActiveKeyId()).toEqual(expect.any(String));
+    });
+
+    test('should decrypt with the key loaded from IndexedDB in a new session', async () => {
+        const first = new StateEncryption();
+        await first.initialize();
+        const envelope = await first.encrypt({ email: 'ali@test.com' }, 'user');
+
+        const second = new StateEncryption();
+        await second.initialize();
+
+        expect(second.getActiveKeyId()).toBe(first.getActiveKeyId());
+        expect(await second.decrypt(envelope, 'user')).toEqual({ email: 'ali@test.com' });
+    });
+
+    test('should keep rotated keys readable until deleted', async () => {
+        const encryption = new StateEncryption();
+        await encryption.initialize();
+        const oldKeyId = encryption.getActiveKeyId();
+        const envelope = await encryption.encrypt({ token: 'abc' }, 'user');
+
+        await encryption.rotateKey();
+        const reopened = new StateEncryption();
+        await reopened.initialize();
+
+        expect(reopened.getActiveKeyId()).not.toBe(oldKeyId);
+        expect(await reopened.decrypt(envelope, 'user')).toEqual({ token: 'abc' });
+    });
+});
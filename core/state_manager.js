@@ -3,34 +3,277 @@
  * اصول رعایت شده: SRP, OCP, DIP, KISS
  */
 
+import { EffectRunner } from './state-effects.js';
+
+// action داخلی برای گرفتن مقدار اولیه slice هنگام ثبت reducer
+const SLICE_INIT_ACTION = '@@vakamova/SLICE_INIT';
+
+// action داخلی برای جایگزینی مستقیم sliceها (همگام‌سازی تب‌ها، بازیابی، DevTools)
+export const HYDRATE_ACTION = '@@vakamova/HYDRATE';
+
+// action اعلام شده بعد از replaceState (بدون reducer)
+export const REPLACE_STATE_ACTION = '@@vakamova/REPLACE_STATE';
+
+/**
+ * ترکیب reducerهای sliceها در یک reducer ریشه
+ * فقط sliceهایی که واقعاً تغییر کرده‌اند کپی می‌شوند و اگر هیچ sliceی
+ * تغییر نکند همان state قبلی برگردانده می‌شود
+ * @param {Object<string, Function>} reducers - نگاشت نام slice به reducer
+ * @returns {Function} reducer ریشه (state, action) => state
+ */
+export function combineReducers(reducers) {
+  const sliceNames = Object.keys(reducers);
+  
+  return (state = {}, action) => {
+    let nextState = state;
+    
+    for (const sliceName of sliceNames) {
+      const prevSlice = state[sliceName];
+      const nextSlice = reducers[sliceName](prevSlice, action, state);
+      
+      if (nextSlice !== prevSlice) {
+        if (nextState === state) {
+          nextState = { ...state };
+        }
+        nextState[sliceName] = nextSlice;
+      }
+    }
+    
+    return nextState;
+  };
+}
+
+/**
+ * ساخت reducer یک slice از روی نگاشت نوع action به handler
+ * actionهایی که handler ندارند slice را دست‌نخورده می‌گذارند
+ * نوع‌های شناخته‌شده در reducer.actionTypes نگه داشته می‌شوند
+ * @param {*} initialState - مقدار اولیه slice
+ * @param {Object<string, Function>} handlers - نگاشت type به (slice, action, rootState) => slice
+ * @returns {Function}
+ */
+export function createReducer(initialState, handlers) {
+  const reducer = (sliceState = initialState, action, rootState) => {
+    const handler = handlers[action.type];
+    return handler ? handler(sliceState, action, rootState) : sliceState;
+  };
+  
+  reducer.actionTypes = Object.keys(handlers);
+  return reducer;
+}
+
+/**
+ * freeze عمیق؛ شاخه‌هایی که قبلاً freeze شده‌اند (sliceهای دست‌نخورده) پیمایش نمی‌شوند
+ * @param {*} value
+ * @returns {*} همان value
+ */
+function deepFreeze(value) {
+  if (!value || typeof value !== 'object' || Object.isFrozen(value)) {
+    return value;
+  }
+  
+  Object.freeze(value);
+  Object.values(value).forEach(deepFreeze);
+  return value;
+}
+
+/**
+ * تغییرات بین دو state به صورت مسیر -> { from, to }
+ * شاخه‌هایی که reference یکسان دارند پیمایش نمی‌شوند
+ * @param {Object} prev
+ * @param {Object} next
+ * @returns {Object<string, {from: *, to: *}>}
+ */
+export function diffStates(prev, next) {
+  const changes = {};
+  
+  const checkObject = (obj1, obj2, path = '') => {
+    const allKeys = new Set([...Object.keys(obj1 || {}), ...Object.keys(obj2 || {})]);
+    
+    for (const key of allKeys) {
+      const currentPath = path ? `${path}.${key}` : key;
+      const val1 = obj1 ? obj1[key] : undefined;
+      const val2 = obj2 ? obj2[key] : undefined;
+      
+      if (val1 !== val2) {
+        if (typeof val1 === 'object' && typeof val2 === 'object') {
+          checkObject(val1, val2, currentPath);
+        } else {
+          changes[currentPath] = {
+            from: val1,
+            to: val2
+          };
+        }
+      }
+    }
+  };
+  
+  checkObject(prev, next);
+  return changes;
+}
+
+/**
+ * جایگزینی sliceها با مقادیر داده شده (کلیدهای متادیتا مثل _version نادیده گرفته می‌شوند)
+ */
+function hydrateSlices(state, slices) {
+  const entries = Object.entries(slices || {}).filter(([key, value]) =>
+    !key.startsWith('_') && state[key] !== value
+  );
+  
+  if (entries.length === 0) return state;
+  
+  const nextState = { ...state };
+  entries.forEach(([key, value]) => {
+    nextState[key] = value;
+  });
+  return nextState;
+}
+
+// ==================== Reducerهای هسته ====================
+
+const coreReducers = {
+  // مدیریت کاربر
+  user: createReducer(undefined, {
+    USER_LOGIN: (user, action) => ({
+      ...action.payload,
+      lastLogin: new Date().toISOString()
+    }),
+    USER_LOGOUT: () => null,
+    USER_UPDATE: (user, action) => ({ ...user, ...action.payload })
+  }),
+  
+  // مدیریت دروس
+  lessons: createReducer(undefined, {
+    LESSON_LOADED: (lessons, action) => ({
+      ...lessons,
+      [action.payload.id]: action.payload
+    })
+  }),
+  
+  progress: createReducer(undefined, {
+    LESSON_COMPLETED: (progress, action) => ({
+      ...progress,
+      [action.payload.lessonId]: {
+        completed: true,
+        score: action.payload.score,
+        completedAt: new Date().toISOString()
+      }
+    })
+  }),
+  
+  // UI State
+  ui: createReducer(undefined, {
+    UI_LOADING_START: (ui) => ({ ...ui, isLoading: true }),
+    UI_LOADING_END: (ui) => ({ ...ui, isLoading: false })
+  })
+};
+
+// تنظیمات پیش‌فرض تاریخچه (undo/redo)
+const DEFAULT_HISTORY_OPTIONS = {
+  enabled: true,
+  limit: 50,
+  // sliceهایی که در undo/redo دست نمی‌خورند و تغییرشان تاریخچه نمی‌سازد
+  excludeSlices: ['ui']
+};
+
 class VakamovaStateManager {
-  constructor(initialState = {}) {
+  /**
+   * @param {Object} initialState - وضعیت اولیه
+   * @param {Object} options
+   * @param {Object} [options.history] - تنظیمات تاریخچه (enabled, limit, excludeSlices)
+   * @param {Object} [options.effects] - تنظیمات effectها (services)
+   * @param {StateValidator} [options.validator] - اعتبارسنج schema برای هر انتقال
+   * @param {StateSanitizer} [options.sanitizer] - sanitizer قبل از commit
+   * @param {EventBus} [options.eventBus] - مقصد رویداد state.validation_failed
+   */
+  constructor(initialState = {}, options = {}) {
+    // فلاگ برای حالت توسعه
+    this._isDevelopment = true;
+    
     // وضعیت فعلی برنامه
-    this._state = initialState;
+    this._setState(initialState);
     
     // لیست شنودکننده‌های تغییرات state
     this._listeners = new Set();
     
+    // شنودکننده‌های actionهای commit شده (همگام‌سازی تب‌ها، DevTools)
+    this._actionListeners = new Set();
+    
     // میدلورها برای گسترش قابلیت‌ها
     this._middlewares = [];
     
-    // فلاگ برای حالت توسعه
-    this._isDevelopment = true;
+    // reducerهای sliceها (هر ماژول slice خودش را ثبت می‌کند)
+    this._reducers = {};
+    this._rootReducer = combineReducers(this._reducers);
+    
+    // sliceهای هسته
+    Object.entries(coreReducers).forEach(([sliceName, reducerFn]) => {
+      this.registerReducer(sliceName, reducerFn);
+    });
+    
+    // تاریخچه stateها برای undo/redo (هر نقطه با _version شناسایی می‌شود)
+    this._historyOptions = { ...DEFAULT_HISTORY_OPTIONS, ...options.history };
+    this._historyGroup = null;
+    this.clearHistory();
+    
+    // اجرای effectهای ناهمگام (thunk و توصیف‌گر effect)
+    this._effects = new EffectRunner(this, options.effects);
+    
+    // batch در حال اجرا (actionهای جمع شده تا commit)
+    this._batch = null;
+    
+    // اعتبارسنجی و sanitize قبل از commit (وابستگی‌ها تزریق می‌شوند)
+    this._validator = null;
+    this._sanitizer = null;
+    this._eventBus = null;
+    this.configureValidation({
+      validator: options.validator,
+      sanitizer: options.sanitizer,
+      eventBus: options.eventBus
+    });
   }
 
   /**
    * دریافت وضعیت فعلی
-   * اصل DIP: برگرداندن کپی برای جلوگیری از تغییر مستقیم
+   * state تغییرناپذیر است: هر تغییر یک شیء جدید می‌سازد و sliceهای
+   * دست‌نخورده همان reference قبلی را نگه می‌دارند (در حالت توسعه freeze می‌شود)
    */
   getState() {
-    return JSON.parse(JSON.stringify(this._state));
+    return this._state;
+  }
+
+  /**
+   * جایگزینی کامل state بدون reducer، اعتبارسنجی و افزایش _version (برای ابزارهای توسعه)
+   * نقطه تاریخچه جدیدی ساخته نمی‌شود؛ نقطه فعلی به state جدید اشاره می‌کند
+   * @param {Object} state
+   * @param {Object} [meta] - meta action اعلام شده به شنودکننده‌ها
+   */
+  replaceState(state, meta = {}) {
+    if (!state || typeof state !== 'object') {
+      throw new Error('State must be an object');
+    }
+    
+    const prevState = this._state;
+    this._setState(state);
+    this._history[this._historyIndex] = {
+      ...this._history[this._historyIndex],
+      version: this._state._version || 0,
+      state: this._state
+    };
+    
+    this._notifyListeners();
+    this._notifyActionListeners({ type: REPLACE_STATE_ACTION, meta }, prevState);
   }
 
   /**
    * تغییر وضعیت با action
    * اصل SRP: فقط یک وظیفه - تغییر state
+   * تابع‌ها و توصیف‌گرهای effect به EffectRunner سپرده می‌شوند و Promise برمی‌گردانند
    */
   dispatch(action) {
+    if (EffectRunner.isEffect(action)) {
+      return this._effects.run(action);
+    }
+    
     if (!action || typeof action !== 'object' || !action.type) {
       throw new Error('Action must be an object with type property');
     }
@@ -44,76 +287,126 @@ class VakamovaStateManager {
 
     if (!processedAction) return;
 
+    // داخل batch فقط state میانی ساخته می‌شود؛ commit در پایان batch است
+    if (this._batch) {
+      this._state = this._reduce(this._state, processedAction);
+      this._batch.actions.push(processedAction);
+      return;
+    }
+
     // اعمال تغییرات بر اساس نوع action
-    const prevState = this.getState();
+    const prevState = this._state;
     const nextState = this._reduce(prevState, processedAction);
+    
+    // بدون تغییر، نیازی به اطلاع‌رسانی نیست
+    if (nextState === prevState) return;
 
-    // اعتبارسنجی تغییرات
-    if (this._validateStateTransition(prevState, nextState)) {
-      this._state = nextState;
-      
-      // اطلاع‌رسانی به همه شنودکننده‌ها
-      this._notifyListeners();
-      
-      // لاگ در حالت توسعه
-      if (this._isDevelopment) {
-        this._logStateChange(action.type, prevState, nextState);
+    this._commit(prevState, nextState, processedAction);
+  }
+
+  /**
+   * اجرای چند dispatch به صورت اتمیک
+   * state نهایی یکبار اعتبارسنجی، یکبار لاگ و یکبار به شنودکننده‌ها اعلام می‌شود
+   * و در صورت رد شدن اعتبارسنجی یا خطا، همه تغییرات برگردانده می‌شوند
+   * @param {Function} fn - تابع همگام شامل dispatchها
+   * @param {string} [label='@@BATCH'] - نام batch در لاگ و تاریخچه
+   * @returns {boolean} آیا تغییرات commit شد
+   */
+  batch(fn, label = '@@BATCH') {
+    if (typeof fn !== 'function') {
+      throw new Error('Batch callback must be a function');
+    }
+    
+    // batchهای تو در تو بخشی از batch بیرونی هستند
+    if (this._batch) {
+      fn();
+      return true;
+    }
+    
+    const prevState = this._state;
+    this._batch = { actions: [] };
+    let actions;
+    let nextState;
+    
+    try {
+      const result = fn();
+      if (result && typeof result.then === 'function') {
+        console.warn('Batch callback returned a Promise; dispatches after await are not batched');
       }
+    } finally {
+      // state میانی کنار گذاشته می‌شود؛ در صورت خطا یعنی rollback
+      actions = this._batch.actions;
+      this._batch = null;
+      nextState = this._state;
+      this._state = prevState;
+    }
+    
+    if (nextState === prevState) return true;
+    
+    return this._commit(prevState, nextState, {
+      type: label,
+      meta: { batch: true, actions }
+    });
+  }
+
+  /**
+   * dispatch لیستی از actionها در یک batch
+   * @param {Object[]} actions
+   * @param {string} [label]
+   * @returns {boolean} آیا تغییرات commit شد
+   */
+  dispatchMany(actions, label) {
+    if (!Array.isArray(actions)) {
+      throw new Error('dispatchMany expects an array of actions');
+    }
+    
+    return this.batch(() => {
+      actions.forEach(action => this.dispatch(action));
+    }, label);
+  }
+
+  /**
+   * ترمیم (sanitize) و اعتبارسنجی state جدید، سپس ثبت، تاریخچه، اطلاع‌رسانی و لاگ
+   * اعتبارسنجی روی خروجی sanitizer انجام می‌شود تا مقادیر قابل ترمیم رد نشوند
+   * @returns {boolean} آیا state جدید پذیرفته شد
+   */
+  _commit(prevState, candidateState, action) {
+    const nextState = this._sanitizeState(prevState, candidateState);
+    
+    if (!this._validateStateTransition(prevState, nextState, action)) {
+      return false;
+    }
+    
+    this._setState(nextState);
+    this._recordHistory(action, prevState, nextState);
+    
+    // اطلاع‌رسانی به همه شنودکننده‌ها
+    this._notifyListeners();
+    this._notifyActionListeners(action, prevState);
+    
+    // لاگ در حالت توسعه
+    if (this._isDevelopment) {
+      this._logStateChange(action.type, prevState, nextState);
     }
+    
+    return true;
   }
 
   /**
    * تابع reducer اصلی - تغییر state بر اساس action
-   * اصل OCP: قابل گسترش بدون تغییر کد اصلی
+   * اصل OCP: هر ماژول slice خودش را با registerReducer ثبت می‌کند
    */
   _reduce(state, action) {
-    const newState = { ...state };
-    
-    switch (action.type) {
-      // مدیریت کاربر
-      case 'USER_LOGIN':
-        newState.user = action.payload;
-        newState.user.lastLogin = new Date().toISOString();
-        break;
-        
-      case 'USER_LOGOUT':
-        newState.user = null;
-        break;
-        
-      case 'USER_UPDATE':
-        newState.user = { ...newState.user, ...action.payload };
-        break;
-        
-      // مدیریت دروس
-      case 'LESSON_LOADED':
-        newState.lessons = {
-          ...newState.lessons,
-          [action.payload.id]: action.payload
-        };
-        break;
-        
-      case 'LESSON_COMPLETED':
-        if (!newState.progress) newState.progress = {};
-        newState.progress[action.payload.lessonId] = {
-          completed: true,
-          score: action.payload.score,
-          completedAt: new Date().toISOString()
-        };
-        break;
-        
-      // UI State
-      case 'UI_LOADING_START':
-        newState.ui = { ...newState.ui, isLoading: true };
-        break;
-        
-      case 'UI_LOADING_END':
-        newState.ui = { ...newState.ui, isLoading: false };
-        break;
-        
-      default:
-        // برای actionهای نامعلوم، state را تغییر نمی‌دهیم
+    const newState = action.type === HYDRATE_ACTION
+      ? hydrateSlices(state, action.payload)
+      : this._rootReducer(state, action);
+    
+    // action هیچ sliceی را تغییر نداد (no-op یا ناشناخته)، state را تغییر نمی‌دهیم
+    if (newState === state) {
+      if (action.type !== HYDRATE_ACTION && !this._isKnownActionType(action.type)) {
         console.warn(`Unknown action type: ${action.type}`);
-        return state;
+      }
+      return state;
     }
     
     // افزودن timestamp به همه تغییرات
@@ -123,6 +416,358 @@ class VakamovaStateManager {
     return newState;
   }
 
+  /**
+   * آیا reducerی برای این نوع action handler دارد
+   * reducerهای دست‌نویس (بدون actionTypes) همه نوع‌ها را می‌شناسند
+   * @param {string} type
+   * @returns {boolean}
+   */
+  _isKnownActionType(type) {
+    return Object.values(this._reducers).some(reducerFn =>
+      !Array.isArray(reducerFn.actionTypes) || reducerFn.actionTypes.includes(type)
+    );
+  }
+
+  /**
+   * ثبت reducer برای یک slice از state
+   * reducer به شکل (sliceState, action, rootState) => newSliceState است
+   * و برای actionهای نامربوط باید همان sliceState را برگرداند
+   * @param {string} sliceName - نام کلید slice در state (مثال: 'payment')
+   * @param {Function} reducerFn - تابع reducer مخصوص slice
+   * @returns {Function} تابع لغو ثبت
+   */
+  registerReducer(sliceName, reducerFn) {
+    if (!sliceName || typeof sliceName !== 'string' || sliceName.startsWith('_')) {
+      throw new Error('Slice name must be a non-empty string not starting with "_"');
+    }
+    
+    if (typeof reducerFn !== 'function') {
+      throw new Error('Reducer must be a function');
+    }
+    
+    if (this._reducers[sliceName]) {
+      console.warn(`Reducer for slice ${sliceName} is already registered. Overwriting...`);
+    }
+    
+    this._reducers = { ...this._reducers, [sliceName]: reducerFn };
+    this._rootReducer = combineReducers(this._reducers);
+    
+    // مقدار اولیه slice را از خود reducer می‌گیریم
+    if (this._state[sliceName] === undefined) {
+      const initialSlice = reducerFn(undefined, { type: SLICE_INIT_ACTION }, this._state);
+      if (initialSlice !== undefined) {
+        this._setState({ ...this._state, [sliceName]: initialSlice });
+        
+        // نقاط قدیمی تاریخچه هم باید slice جدید را داشته باشند
+        (this._history || []).forEach(entry => {
+          if (entry.state[sliceName] === undefined) {
+            entry.state = { ...entry.state, [sliceName]: initialSlice };
+          }
+        });
+      }
+    }
+    
+    return () => {
+      if (this._reducers[sliceName] === reducerFn) {
+        this.unregisterReducer(sliceName);
+      }
+    };
+  }
+
+  /**
+   * حذف reducer یک slice (داده‌های slice در state باقی می‌ماند)
+   * @param {string} sliceName
+   * @returns {boolean}
+   */
+  unregisterReducer(sliceName) {
+    if (!this._reducers[sliceName]) return false;
+    
+    const { [sliceName]: removed, ...rest } = this._reducers;
+    this._reducers = rest;
+    this._rootReducer = combineReducers(this._reducers);
+    return true;
+  }
+
+  /**
+   * نام sliceهای ثبت شده
+   * @returns {string[]}
+   */
+  getRegisteredSlices() {
+    return Object.keys(this._reducers);
+  }
+
+  /**
+   * مقدار اولیه یک slice از روی reducer آن (مثلاً برای پاک کردن slice بعد از خروج)
+   * @param {string} sliceName
+   * @returns {*} undefined اگر reducer ثبت نشده باشد
+   */
+  getInitialSliceState(sliceName) {
+    const reducerFn = this._reducers[sliceName];
+    return reducerFn ? reducerFn(undefined, { type: SLICE_INIT_ACTION }, this._state) : undefined;
+  }
+
+  /**
+   * validator تنظیم شده با configureValidation (یا null)
+   * @returns {StateValidator|null}
+   */
+  getValidator() {
+    return this._validator;
+  }
+
+  // ==================== تاریخچه (Undo/Redo) ====================
+
+  /**
+   * بازگشت به نقطه قبلی تاریخچه
+   * @returns {boolean} آیا undo انجام شد
+   */
+  undo() {
+    if (!this.canUndo()) return false;
+    return this._restoreHistoryEntry(this._historyIndex - 1);
+  }
+
+  /**
+   * رفتن به نقطه بعدی تاریخچه
+   * @returns {boolean} آیا redo انجام شد
+   */
+  redo() {
+    if (!this.canRedo()) return false;
+    return this._restoreHistoryEntry(this._historyIndex + 1);
+  }
+
+  /**
+   * پرش به نسخه مشخصی از state بر اساس _version
+   * @param {number} version
+   * @returns {boolean} آیا نسخه در تاریخچه پیدا شد
+   */
+  jumpTo(version) {
+    const index = this._history.findIndex(entry => entry.version === version);
+    if (index === -1) return false;
+    if (index === this._historyIndex) return true;
+    return this._restoreHistoryEntry(index);
+  }
+
+  canUndo() {
+    return this._historyIndex > 0;
+  }
+
+  canRedo() {
+    return this._historyIndex < this._history.length - 1;
+  }
+
+  /**
+   * خلاصه تاریخچه بدون خود stateها
+   * @returns {{entries: Array<Object>, currentVersion: number, canUndo: boolean, canRedo: boolean}}
+   */
+  getHistory() {
+    return {
+      entries: this._history.map((entry, index) => ({
+        version: entry.version,
+        action: entry.action,
+        timestamp: entry.timestamp,
+        isCurrent: index === this._historyIndex
+      })),
+      currentVersion: this._history[this._historyIndex].version,
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo()
+    };
+  }
+
+  /**
+   * پاک کردن تاریخچه؛ state فعلی تنها نقطه تاریخچه می‌شود
+   */
+  clearHistory() {
+    this._history = [this._createHistoryEntry(this._state, '@@INIT')];
+    this._historyIndex = 0;
+  }
+
+  /**
+   * تغییر تنظیمات تاریخچه در زمان اجرا
+   * @param {Object} options - enabled, limit, excludeSlices
+   */
+  configureHistory(options = {}) {
+    this._historyOptions = { ...this._historyOptions, ...options };
+    this._trimHistory();
+  }
+
+  /**
+   * اجرای چند dispatch به عنوان یک نقطه تاریخچه
+   * undo بعدی همه آن‌ها را با هم برمی‌گرداند
+   * @param {string} label - نام گروه در تاریخچه
+   * @param {Function} fn - تابع همگام شامل dispatchها
+   * @returns {*} خروجی fn
+   */
+  groupHistory(label, fn) {
+    if (typeof fn !== 'function') {
+      throw new Error('History group callback must be a function');
+    }
+    
+    // گروه‌های تو در تو در گروه بیرونی ادغام می‌شوند
+    if (this._historyGroup) {
+      return fn();
+    }
+    
+    this._historyGroup = { key: `${label}_${Date.now()}`, label };
+    try {
+      return fn();
+    } finally {
+      this._historyGroup = null;
+    }
+  }
+
+  /**
+   * ثبت state جدید در تاریخچه
+   * actionهای هم‌گروه (groupHistory یا action.meta.historyGroup) یک نقطه می‌سازند
+   * و action با meta.recordHistory === false در همه نقاط اعمال می‌شود
+   */
+  _recordHistory(action, prevState, nextState) {
+    if (!this._historyOptions.enabled) return;
+    
+    // تغییرات بیرونی (مثل HYDRATE تب‌های دیگر) نقطه نمی‌سازند و با undo هم برنمی‌گردند
+    if (action.meta?.recordHistory === false) {
+      this._rebaseHistory(prevState, nextState);
+      return;
+    }
+    
+    // تغییری فقط در sliceهای مستثنی، نقطه جدیدی نمی‌سازد
+    if (!this._hasTrackedChanges(prevState, nextState)) {
+      this._history[this._historyIndex] = {
+        ...this._history[this._historyIndex],
+        version: nextState._version || 0,
+        state: nextState
+      };
+      return;
+    }
+    
+    const groupKey = this._historyGroup?.key || action.meta?.historyGroup || null;
+    const label = this._historyGroup?.label || action.type;
+    const current = this._history[this._historyIndex];
+    const entry = this._createHistoryEntry(nextState, label, groupKey);
+    
+    // آینده با هر تغییر جدید از بین می‌رود
+    this._history.length = this._historyIndex + 1;
+    
+    if (groupKey && current.groupKey === groupKey) {
+      this._history[this._historyIndex] = entry;
+    } else {
+      this._history.push(entry);
+      this._historyIndex++;
+    }
+    
+    this._trimHistory();
+  }
+
+  /**
+   * اعمال sliceهای تغییر کرده روی همه نقاط تاریخچه
+   */
+  _rebaseHistory(prevState, nextState) {
+    const changed = Object.keys(nextState).filter(key =>
+      !key.startsWith('_') && prevState[key] !== nextState[key]
+    );
+    
+    this._history.forEach((entry, index) => {
+      if (index === this._historyIndex) {
+        this._history[index] = { ...entry, version: nextState._version || 0, state: nextState };
+        return;
+      }
+      
+      const state = { ...entry.state };
+      changed.forEach(key => {
+        state[key] = nextState[key];
+      });
+      this._history[index] = { ...entry, state };
+    });
+  }
+
+  _createHistoryEntry(state, action, groupKey = null) {
+    return {
+      version: state._version || 0,
+      action,
+      groupKey,
+      timestamp: new Date().toISOString(),
+      state
+    };
+  }
+
+  /**
+   * آیا sliceی خارج از excludeSlices تغییر کرده است
+   */
+  _hasTrackedChanges(prevState, nextState) {
+    const excluded = new Set([...this._historyOptions.excludeSlices, '_lastUpdated', '_version']);
+    const keys = new Set([...Object.keys(prevState || {}), ...Object.keys(nextState || {})]);
+    
+    for (const key of keys) {
+      if (!excluded.has(key) && prevState[key] !== nextState[key]) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  _trimHistory() {
+    const overflow = this._history.length - Math.max(1, this._historyOptions.limit);
+    if (overflow > 0) {
+      this._history.splice(0, overflow);
+      this._historyIndex = Math.max(0, this._historyIndex - overflow);
+    }
+  }
+
+  /**
+   * بازگرداندن یک نقطه تاریخچه
+   * sliceهای مستثنی مقدار فعلی خود را نگه می‌دارند
+   */
+  _restoreHistoryEntry(index) {
+    const entry = this._history[index];
+    const restored = { ...entry.state };
+    
+    for (const sliceName of this._historyOptions.excludeSlices) {
+      if (sliceName in this._state) {
+        restored[sliceName] = this._state[sliceName];
+      } else {
+        delete restored[sliceName];
+      }
+    }
+    
+    const prevState = this._state;
+    this._setState(restored);
+    this._historyIndex = index;
+    
+    this._notifyListeners();
+    this._notifyActionListeners({ type: '@@vakamova/HISTORY_JUMP', meta: { version: entry.version } }, prevState);
+    
+    if (this._isDevelopment) {
+      this._logStateChange(`@@HISTORY_JUMP_TO_${entry.version}`, prevState, restored);
+    }
+    
+    return true;
+  }
+
+  // ==================== Effectها ====================
+
+  /**
+   * لغو effectهای در حال اجرا با کلید مشخص
+   * @param {string} key
+   * @returns {number} تعداد effectهای لغو شده
+   */
+  cancelEffect(key) {
+    return this._effects.cancel(key);
+  }
+
+  cancelAllEffects() {
+    this._effects.cancelAll();
+  }
+
+  getRunningEffects() {
+    return this._effects.getRunning();
+  }
+
+  /**
+   * تزریق سرویس‌هایی که effectها از context.services می‌گیرند
+   * @param {Object} services - مثال: { apiClient, database }
+   */
+  setEffectServices(services) {
+    this._effects.setServices(services);
+  }
+
   /**
    * ثبت شنودکننده برای تغییرات state
    */
@@ -139,6 +784,25 @@ class VakamovaStateManager {
     };
   }
 
+  /**
+   * ثبت شنودکننده برای actionهای commit شده
+   * listener به شکل (action, nextState, prevState) است؛ برای batch یک action
+   * با meta.actions و برای undo/redo یک action از نوع HISTORY_JUMP دریافت می‌شود
+   * @param {Function} listener
+   * @returns {Function} تابع لغو اشتراک
+   */
+  subscribeToActions(listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('Listener must be a function');
+    }
+    
+    this._actionListeners.add(listener);
+    
+    return () => {
+      this._actionListeners.delete(listener);
+    };
+  }
+
   /**
    * ثبت میدلور جدید
    */
@@ -150,27 +814,121 @@ class VakamovaStateManager {
     this._middlewares.push(middleware);
   }
 
+  /**
+   * تنظیم اعتبارسنجی انتقال state
+   * @param {Object} config
+   * @param {StateValidator} [config.validator] - مثلاً createAppStateValidator(createVakamovaStateSchema())
+   * @param {StateSanitizer} [config.sanitizer] - پیش‌فرض: sanitizer خود validator
+   * @param {EventBus} [config.eventBus] - برای انتشار state.validation_failed
+   */
+  configureValidation({ validator, sanitizer, eventBus } = {}) {
+    if (validator !== undefined) {
+      if (validator && typeof validator.validate !== 'function') {
+        throw new Error('Validator must implement validate(state)');
+      }
+      this._validator = validator;
+    }
+    
+    if (sanitizer !== undefined || validator !== undefined) {
+      const resolved = sanitizer !== undefined ? sanitizer : (this._validator?.sanitizer || null);
+      if (resolved && typeof resolved.sanitizePartial !== 'function') {
+        throw new Error('Sanitizer must implement sanitizePartial()');
+      }
+      this._sanitizer = resolved;
+    }
+    
+    if (eventBus !== undefined) {
+      this._eventBus = eventBus;
+    }
+  }
+
   /**
    * اعتبارسنجی انتقال state
+   * با validator تزریق شده کل state بررسی می‌شود، در غیر این صورت بررسی پایه
+   */
+  _validateStateTransition(prevState, nextState, action = null) {
+    const errors = this._validator
+      ? this._validator.validate(nextState).errors
+      : this._basicValidation(nextState);
+    
+    if (errors.length === 0) {
+      return true;
+    }
+    
+    console.error(`State transition rejected (${action?.type || 'unknown'}):`, errors);
+    this._emitValidationFailed(action, prevState, errors);
+    return false;
+  }
+
+  /**
+   * بررسی پایه وقتی validator تزریق نشده
+   * @returns {ValidationError[]}
    */
-  _validateStateTransition(prevState, nextState) {
+  _basicValidation(nextState) {
     // بررسی ساختار اصلی
     if (!nextState || typeof nextState !== 'object') {
-      console.error('Invalid state: must be an object');
-      return false;
+      return [{
+        path: 'root',
+        message: 'Invalid state: must be an object',
+        code: 'TYPE_MISMATCH',
+        expected: 'object',
+        actual: typeof nextState
+      }];
     }
     
-    // می‌توانید قوانین اعتبارسنجی خاص خود را اضافه کنید
-    // مثلاً: کاربر باید دارای ایمیل معتبر باشد
+    // کاربر باید دارای ایمیل معتبر باشد
     if (nextState.user && nextState.user.email) {
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
       if (!emailRegex.test(nextState.user.email)) {
-        console.error('Invalid email in user state');
-        return false;
+        return [{
+          path: 'user.email',
+          message: 'Invalid email in user state',
+          code: 'PATTERN_MISMATCH',
+          expected: `pattern: ${emailRegex.source}`,
+          actual: nextState.user.email
+        }];
       }
     }
     
-    return true;
+    return [];
+  }
+
+  /**
+   * انتشار رویداد state.validation_failed با مسیرهای مشکل‌دار
+   */
+  _emitValidationFailed(action, prevState, errors) {
+    if (!this._eventBus) return;
+    
+    const payload = {
+      action: action ? action.type : null,
+      paths: [...new Set(errors.map(error => error.path))],
+      errors,
+      version: prevState?._version || 0,
+      timestamp: Date.now()
+    };
+    
+    Promise.resolve()
+      .then(() => this._eventBus.publish('state.validation_failed', payload, { source: 'state_manager' }))
+      .catch(error => console.error('Failed to publish state.validation_failed:', error));
+  }
+
+  /**
+   * sanitize فقط sliceهای تغییر کرده تا sliceهای دیگر reference خود را نگه دارند
+   */
+  _sanitizeState(prevState, nextState) {
+    if (!this._sanitizer) return nextState;
+    
+    const changedSlices = {};
+    Object.keys(nextState).forEach(key => {
+      if (!key.startsWith('_') && nextState[key] !== prevState[key]) {
+        changedSlices[key] = nextState[key];
+      }
+    });
+    
+    if (Object.keys(changedSlices).length === 0) return nextState;
+    
+    const schema = this._validator?.schema || { structure: {} };
+    return this._sanitizer.sanitizePartial(nextState, changedSlices, schema);
   }
 
   /**
@@ -200,38 +958,21 @@ class VakamovaStateManager {
    * پیدا کردن تغییرات بین دو state
    */
   _findChanges(prev, next) {
-    const changes = {};
-    
-    const checkObject = (obj1, obj2, path = '') => {
-      const allKeys = new Set([...Object.keys(obj1 || {}), ...Object.keys(obj2 || {})]);
-      
-      for (const key of allKeys) {
-        const currentPath = path ? `${path}.${key}` : key;
-        const val1 = obj1 ? obj1[key] : undefined;
-        const val2 = obj2 ? obj2[key] : undefined;
-        
-        if (val1 !== val2) {
-          if (typeof val1 === 'object' && typeof val2 === 'object') {
-            checkObject(val1, val2, currentPath);
-          } else {
-            changes[currentPath] = {
-              from: val1,
-              to: val2
-            };
-          }
-        }
-      }
-    };
-    
-    checkObject(prev, next);
-    return changes;
+    return diffStates(prev, next);
+  }
+
+  /**
+   * جایگزینی state فعلی (در حالت توسعه freeze می‌شود تا تغییر مستقیم خطا بدهد)
+   */
+  _setState(nextState) {
+    this._state = this._isDevelopment ? deepFreeze(nextState) : nextState;
   }
 
   /**
    * اطلاع‌رسانی به شنودکننده‌ها
    */
   _notifyListeners() {
-    const currentState = this.getState();
+    const currentState = this._state;
     this._listeners.forEach(listener => {
       try {
         listener(currentState);
@@ -241,6 +982,20 @@ class VakamovaStateManager {
     });
   }
 
+  /**
+   * اطلاع‌رسانی action commit شده
+   */
+  _notifyActionListeners(action, prevState) {
+    const currentState = this._state;
+    this._actionListeners.forEach(listener => {
+      try {
+        listener(action, currentState, prevState);
+      } catch (error) {
+        console.error('Action listener error:', error);
+      }
+    });
+  }
+
   /**
    * تنظیم حالت توسعه
    */
@@ -252,9 +1007,9 @@ class VakamovaStateManager {
 // ایجاد نمونه واحد (Singleton) از State Manager
 let stateManagerInstance = null;
 
-export function createStateManager(initialState = {}) {
+export function createStateManager(initialState = {}, options = {}) {
   if (!stateManagerInstance) {
-    stateManagerInstance = new VakamovaStateManager(initialState);
+    stateManagerInstance = new VakamovaStateManager(initialState, options);
   }
   return stateManagerInstance;
 }
@@ -298,5 +1053,42 @@ export const ActionCreators = {
   
   endLoading: () => ({
     type: 'UI_LOADING_END'
+  }),
+  
+  hydrateState: (slices, meta = {}) => ({
+    type: HYDRATE_ACTION,
+    payload: slices,
+    meta
   })
 };
+
+export { createEffect, EffectModes } from './state-effects.js';
+
+/**
+ * افزودن Action Creatorهای یک ماژول بدون تغییر کد هسته
+ * creatorها زیر نام ماژول قرار می‌گیرند (مثال: ActionCreators.payment.verify)
+ * @param {string} moduleName - نام ماژول
+ * @param {Object<string, Function>} creators - توابع سازنده action
+ * @returns {Object} فضای نام creatorهای ماژول
+ */
+export function extendActionCreators(moduleName, creators) {
+  if (!moduleName || typeof moduleName !== 'string') {
+    throw new Error('Module name must be a non-empty string');
+  }
+  
+  const existing = ActionCreators[moduleName];
+  if (typeof existing === 'function') {
+    throw new Error(`Action creator name ${moduleName} is reserved by core`);
+  }
+  
+  Object.entries(creators || {}).forEach(([name, creator]) => {
+    if (typeof creator !== 'function') {
+      throw new Error(`Action creator ${moduleName}.${name} must be a function`);
+    }
+  });
+  
+  ActionCreators[moduleName] = { ...existing, ...creators };
+  return ActionCreators[moduleName];
+}
+
+export { VakamovaStateManager };
@@ -0,0 +1,440 @@
+/**
+ * 🧪 تست State Manager
+ * تست‌های واحد reducerها و dispatch
+ */
+
+import {
+    VakamovaStateManager,
+    ActionCreators,
+    combineReducers,
+    createReducer,
+    createEffect,
+    extendActionCreators
+} from './state-manager.js';
+import { createAppStateValidator } from './state-validator.js';
+
+// Mock localStorage برای لاگ‌های حالت توسعه
+global.localStorage = {
+    getItem: jest.fn(() => null),
+    setItem: jest.fn(),
+    removeItem: jest.fn()
+};
+
+describe('VakamovaStateManager reducers', () => {
+    let stateManager;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        stateManager = new VakamovaStateManager({});
+        stateManager.setDevelopmentMode(false);
+    });
+
+    test('should register core slices by default', () => {
+        expect(stateManager.getRegisteredSlices()).toEqual(
+            expect.arrayContaining(['user', 'lessons', 'progress', 'ui'])
+        );
+    });
+
+    test('should handle core actions', () => {
+        stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+        stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 80));
+
+        const state = stateManager.getState();
+        expect(state.user.email).toBe('ali@test.com');
+        expect(state.user.lastLogin).toBeDefined();
+        expect(state.progress.lesson_1.score).toBe(80);
+        expect(state._version).toBe(2);
+    });
+
+    test('should route module actions to registered slice', () => {
+        stateManager.registerReducer('payment', createReducer({ status: 'idle' }, {
+            PAYMENT_VERIFIED: (slice, action) => ({ ...slice, status: 'verified', id: action.payload })
+        }));
+
+        expect(stateManager.getState().payment).toEqual({ status: 'idle' });
+
+        stateManager.dispatch({ type: 'PAYMENT_VERIFIED', payload: 'pay_1' });
+        expect(stateManager.getState().payment).toEqual({ status: 'verified', id: 'pay_1' });
+    });
+
+    test('should ignore unknown actions', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        stateManager.dispatch({ type: 'UNKNOWN_ACTION' });
+
+        expect(stateManager.getState()._version).toBeUndefined();
+        expect(warn).toHaveBeenCalled();
+        warn.mockRestore();
+    });
+
+    test('should not warn about known actions that change nothing', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        stateManager.dispatch(ActionCreators.logoutUser());
+        stateManager.dispatch(ActionCreators.logoutUser());
+
+        expect(warn).not.toHaveBeenCalled();
+        warn.mockRestore();
+    });
+
+    test('should stop routing after unregister', () => {
+        const unregister = stateManager.registerReducer('sync', createReducer({ count: 0 }, {
+            SYNC_DONE: (slice) => ({ count: slice.count + 1 })
+        }));
+
+        unregister();
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        stateManager.dispatch({ type: 'SYNC_DONE' });
+
+        expect(stateManager.getState().sync).toEqual({ count: 0 });
+        warn.mockRestore();
+    });
+});
+
+describe('VakamovaStateManager structural sharing', () => {
+    let stateManager;
+
+    beforeEach(() => {
+        stateManager = new VakamovaStateManager({});
+    });
+
+    test('should keep reference of unchanged slices', () => {
+        stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+        const before = stateManager.getState();
+
+        stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 60));
+        const after = stateManager.getState();
+
+        expect(after).not.toBe(before);
+        expect(after.user).toBe(before.user);
+        expect(stateManager.getState()).toBe(after);
+    });
+
+    test('should freeze state in development mode', () => {
+        stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+
+        expect(Object.isFrozen(stateManager.getState().user)).toBe(true);
+    });
+
+    test('should preserve Date values', () => {
+        const joinedAt = new Date('2024-01-01');
+        stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com', joinedAt }));
+
+        expect(stateManager.getState().user.joinedAt).toBeInstanceOf(Date);
+    });
+});
+
+describe('VakamovaStateManager batch', () => {
+    let stateManager;
+
+    beforeEach(() => {
+        stateManager = new VakamovaStateManager({});
+        stateManager.setDevelopmentMode(false);
+    });
+
+    test('should notify listeners once per batch', () => {
+        const listener = jest.fn();
+        stateManager.subscribe(listener);
+
+        const committed = stateManager.dispatchMany([
+            ActionCreators.loginUser({ email: 'ali@test.com' }),
+            ActionCreators.completeLesson('lesson_1', 100),
+            ActionCreators.endLoading()
+        ]);
+
+        expect(committed).toBe(true);
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(stateManager.getState().progress.lesson_1.score).toBe(100);
+    });
+
+    test('should roll back all actions when final state is invalid', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const listener = jest.fn();
+        stateManager.subscribe(listener);
+
+        const committed = stateManager.batch(() => {
+            stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 100));
+            stateManager.dispatch(ActionCreators.loginUser({ email: 'invalid-email' }));
+        });
+
+        expect(committed).toBe(false);
+        expect(listener).not.toHaveBeenCalled();
+        expect(stateManager.getState().progress).toBeUndefined();
+        console.error.mockRestore();
+    });
+
+    test('should roll back when batch callback throws', () => {
+        expect(() => stateManager.batch(() => {
+            stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 100));
+            throw new Error('boom');
+        })).toThrow('boom');
+
+        expect(stateManager.getState().progress).toBeUndefined();
+    });
+});
+
+describe('VakamovaStateManager validation', () => {
+    const schema = {
+        user: {
+            type: 'object',
+            required: false,
+            properties: {
+                email: { type: 'string', pattern: '^[^@]+@[^@]+\\.[^@]+$' },
+                name: { type: 'string', required: false, maxLength: 20 }
+            }
+        }
+    };
+
+    let stateManager;
+    let eventBus;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        eventBus = { publish: jest.fn(async () => {}) };
+        stateManager = new VakamovaStateManager({}, {
+            validator: createAppStateValidator(schema, { enableSanitization: true }),
+            eventBus
+        });
+        stateManager.setDevelopmentMode(false);
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    test('should reject transitions that fail the schema', async () => {
+        stateManager.dispatch(ActionCreators.loginUser({ email: 'not-an-email' }));
+
+        expect(stateManager.getState().user).toBeUndefined();
+
+        await Promise.resolve();
+        expect(eventBus.publish).toHaveBeenCalledWith(
+            'state.validation_failed',
+            expect.objectContaining({
+                action: 'USER_LOGIN',
+                paths: ['user.email']
+            }),
+            expect.any(Object)
+        );
+    });
+
+    test('should sanitize changed slices before commit', () => {
+        stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 10));
+        const progress = stateManager.getState().progress;
+
+        stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com', name: '  Ali  ' }));
+
+        expect(stateManager.getState().user.name).toBe('Ali');
+        expect(stateManager.getState().progress).toBe(progress);
+    });
+
+    test('should accept values the sanitizer can repair', () => {
+        const repairing = new VakamovaStateManager({}, {
+            validator: createAppStateValidator({
+                user: {
+                    type: 'object',
+                    required: false,
+                    properties: {
+                        email: { type: 'string' },
+                        level: { type: 'number', min: 1, max: 100 }
+                    }
+                }
+            }, { enableSanitization: true }),
+            eventBus
+        });
+        repairing.setDevelopmentMode(false);
+
+        repairing.dispatch(ActionCreators.loginUser({ email: 'ali@test.com', level: '250' }));
+
+        expect(repairing.getState().user.level).toBe(100);
+        expect(console.error).not.toHaveBeenCalled();
+    });
+});
+
+describe('combineReducers', () => {
+    test('should keep state reference when no slice changes', () => {
+        const reducer = combineReducers({
+            a: (slice = 1) => slice
+        });
+        const state = { a: 1, other: true };
+
+        expect(reducer(state, { type: 'ANY' })).toBe(state);
+    });
+});
+
+describe('extendActionCreators', () => {
+    test('should add module creators under namespace', () => {
+        extendActionCreators('profile', {
+            setAvatar: (url) => ({ type: 'PROFILE_AVATAR_SET', payload: url })
+        });
+
+        expect(ActionCreators.profile.setAvatar('a.png')).toEqual({
+            type: 'PROFILE_AVATAR_SET',
+            payload: 'a.png'
+        });
+    });
+
+    test('should not override core creators', () => {
+        expect(() => extendActionCreators('loginUser', {})).toThrow();
+    });
+});
+
+describe('VakamovaStateManager history', () => {
+    let stateManager;
+
+    beforeEach(() => {
+        stateManager = new VakamovaStateManager({});
+        stateManager.setDevelopmentMode(false);
+    });
+
+    test('should undo and redo tracked changes', () => {
+        stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+        stateManager.dispatch(ActionCreators.updateUser({ name: 'Ali' }));
+
+        expect(stateManager.undo()).toBe(true);
+        expect(stateManager.getState().user.name).toBeUndefined();
+
+        expect(stateManager.redo()).toBe(true);
+        expect(stateManager.getState().user.name).toBe('Ali');
+    });
+
+    test('should jump to a version', () => {
+        stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 50));
+        stateManager.dispatch(ActionCreators.completeLesson('lesson_2', 70));
+
+        expect(stateManager.jumpTo(1)).toBe(true);
+        expect(stateManager.getState().progress.lesson_2).toBeUndefined();
+        expect(stateManager.jumpTo(99)).toBe(false);
+    });
+
+    test('should not track or restore excluded slices', () => {
+        stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 50));
+        stateManager.dispatch(ActionCreators.startLoading());
+
+        expect(stateManager.getHistory().entries).toHaveLength(2);
+
+        stateManager.undo();
+        expect(stateManager.getState().ui.isLoading).toBe(true);
+    });
+
+    test('should group dispatches into one history entry', () => {
+        stateManager.groupHistory('finish_lesson', () => {
+            stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 90));
+            stateManager.dispatch(ActionCreators.updateUser({ level: 2 }));
+        });
+
+        expect(stateManager.getHistory().entries).toHaveLength(2);
+
+        stateManager.undo();
+        const state = stateManager.getState();
+        expect(state.progress).toBeUndefined();
+        expect(state.user).toBeUndefined();
+    });
+
+    test('should respect history limit', () => {
+        stateManager.configureHistory({ limit: 3 });
+
+        for (let i = 0; i < 5; i++) {
+            stateManager.dispatch(ActionCreators.completeLesson(`lesson_${i}`, i));
+        }
+
+        expect(stateManager.getHistory().entries).toHaveLength(3);
+    });
+
+    test('should apply non-recordable actions to every history entry', () => {
+        stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 50));
+        stateManager.dispatch(ActionCreators.hydrateState(
+            { user: { email: 'ali@test.com' } },
+            { remote: true, recordHistory: false }
+        ));
+
+        expect(stateManager.getHistory().entries).toHaveLength(2);
+
+        stateManager.undo();
+        expect(stateManager.getState().progress).toBeUndefined();
+        expect(stateManager.getState().user.email).toBe('ali@test.com');
+
+        stateManager.redo();
+        expect(stateManager.getState().user.email).toBe('ali@test.com');
+    });
+});
+
+describe('VakamovaStateManager effects', () => {
+    let stateManager;
+
+    beforeEach(() => {
+        stateManager = new VakamovaStateManager({});
+        stateManager.setDevelopmentMode(false);
+    });
+
+    test('should run thunks with injected services', async () => {
+        const apiClient = { get: jest.fn(async () => ({ id: 'lesson_1', title: 'Intro' })) };
+        stateManager.setEffectServices({ apiClient });
+
+        const lesson = await stateManager.dispatch(async (dispatch, getState, { services }) => {
+            const data = await services.apiClient.get('/lessons/lesson_1');
+            dispatch(ActionCreators.loadLesson(data));
+            return data;
+        });
+
+        expect(lesson.title).toBe('Intro');
+        expect(stateManager.getState().lessons.lesson_1.title).toBe('Intro');
+    });
+
+    test('should track loading while effects run', async () => {
+        let resolveEffect;
+        const promise = stateManager.dispatch(() => new Promise(resolve => { resolveEffect = resolve; }));
+
+        expect(stateManager.getState().ui.isLoading).toBe(true);
+
+        resolveEffect();
+        await promise;
+        expect(stateManager.getState().ui.isLoading).toBe(false);
+    });
+
+    test('should cancel superseded effects with takeLatest', async () => {
+        const loadLesson = (id, delay) => createEffect('lesson_select', async (dispatch) => {
+            await new Promise(resolve => setTimeout(resolve, delay));
+            dispatch(ActionCreators.loadLesson({ id }));
+            return id;
+        });
+
+        const first = stateManager.dispatch(loadLesson('lesson_1', 20));
+        const second = stateManager.dispatch(loadLesson('lesson_2', 5));
+
+        expect(await second).toBe('lesson_2');
+        expect(await first).toBeUndefined();
+        expect(stateManager.getState().lessons.lesson_1).toBeUndefined();
+        expect(stateManager.getRunningEffects()).toHaveLength(0);
+    });
+
+    test('should default effects keyed by type to takeLatest', async () => {
+        const selectLesson = (id, delay) => ({
+            type: 'LESSON_SELECT',
+            effect: async () => {
+                await new Promise(resolve => setTimeout(resolve, delay));
+                return id;
+            }
+        });
+
+        const first = stateManager.dispatch(selectLesson('lesson_1', 20));
+        const second = stateManager.dispatch(selectLesson('lesson_2', 5));
+
+        expect(await second).toBe('lesson_2');
+        expect(await first).toBeUndefined();
+    });
+
+    test('should ignore new effects while leading one runs', async () => {
+        const effect = jest.fn(async () => 'done');
+        const descriptor = createEffect('sync', effect, { mode: 'takeLeading' });
+
+        const [a, b] = await Promise.all([
+            stateManager.dispatch(descriptor),
+            stateManager.dispatch(descriptor)
+        ]);
+
+        expect(effect).toHaveBeenCalledTimes(1);
+        expect(a).toBe('done');
+        expect(b).toBe('done');
+    });
+});
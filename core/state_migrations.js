@@ -0,0 +1,109 @@
+/**
+ * State Migrations - مهاجرت State ذخیره شده بین نسخه‌های اسکیما
+ * اصول رعایت شده: SRP, OCP, KISS
+ *
+ * هر migration، State نسخه (version - 1) را به نسخه version می‌برد.
+ * نسخه اسکیما با کلید _schemaVersion در payload ذخیره می‌شود؛
+ * داده‌های قدیمی بدون این کلید نسخه 0 حساب می‌شوند.
+ *
+ *   defaultStateMigrations.register(2, (state) => ({
+ *     ...state,
+ *     lessons: { ...state.lessons, currentLevel: state.lessons?.level || 1 }
+ *   }), 'rename lessons.level to currentLevel');
+ */
+
+class StateMigrationRegistry {
+  constructor() {
+    // version -> { version, migrate, description }
+    this._migrations = new Map();
+  }
+
+  /**
+   * ثبت migration برای رسیدن به نسخه version
+   * @param {number} version - عدد صحیح مثبت
+   * @param {Function} migrate - (state) => state جدید
+   * @param {string} [description]
+   */
+  register(version, migrate, description = '') {
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error('Migration version must be a positive integer');
+    }
+
+    if (typeof migrate !== 'function') {
+      throw new Error('Migration must be a function');
+    }
+
+    if (this._migrations.has(version)) {
+      console.warn(`State migration v${version} is already registered. Overwriting...`);
+    }
+
+    this._migrations.set(version, { version, migrate, description });
+    return this;
+  }
+
+  unregister(version) {
+    return this._migrations.delete(version);
+  }
+
+  /**
+   * آخرین نسخه ثبت شده (بدون migration برابر 0)
+   * @returns {number}
+   */
+  getLatestVersion() {
+    return this._migrations.size ? Math.max(...this._migrations.keys()) : 0;
+  }
+
+  /**
+   * فهرست migrationها به ترتیب نسخه
+   * @returns {Array<{version: number, description: string}>}
+   */
+  list() {
+    return [...this._migrations.values()]
+      .sort((a, b) => a.version - b.version)
+      .map(({ version, description }) => ({ version, description }));
+  }
+
+  /**
+   * اجرای migrationها به ترتیب از fromVersion تا toVersion
+   * @param {Object} state
+   * @param {number} fromVersion
+   * @param {number} [toVersion] - پیش‌فرض: آخرین نسخه
+   * @returns {{state: Object, fromVersion: number, toVersion: number, applied: number[]}}
+   */
+  migrate(state, fromVersion, toVersion = this.getLatestVersion()) {
+    if (fromVersion > toVersion) {
+      throw new Error(`Cannot downgrade persisted state from v${fromVersion} to v${toVersion}`);
+    }
+
+    let current = state;
+    const applied = [];
+
+    for (let version = fromVersion + 1; version <= toVersion; version++) {
+      const migration = this._migrations.get(version);
+
+      if (!migration) {
+        throw new Error(`Missing state migration for v${version}`);
+      }
+
+      try {
+        current = migration.migrate(current);
+      } catch (error) {
+        throw new Error(`State migration v${version} failed: ${error.message}`);
+      }
+
+      if (!current || typeof current !== 'object') {
+        throw new Error(`State migration v${version} must return an object`);
+      }
+
+      current._schemaVersion = version;
+      applied.push(version);
+    }
+
+    return { state: current, fromVersion, toVersion, applied };
+  }
+}
+
+// رجیستری پیش‌فرض که StatePersistence استفاده می‌کند
+export const defaultStateMigrations = new StateMigrationRegistry();
+
+export { StateMigrationRegistry };
@@ -0,0 +1,95 @@
+/**
+ * 🧪 تست State Migrations
+ * تست‌های ترتیب اجرا و خطاهای migration
+ */
+
+import { StateMigrationRegistry } from './state-migrations.js';
+
+describe('StateMigrationRegistry', () => {
+    let migrations;
+
+    beforeEach(() => {
+        migrations = new StateMigrationRegistry();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should apply migrations in version order regardless of registration order', () => {
+        const order = [];
+        migrations.register(3, state => { order.push(3); return { ...state, c: true }; });
+        migrations.register(1, state => { order.push(1); return { ...state, a: true }; });
+        migrations.register(2, state => { order.push(2); return { ...state, b: true }; });
+
+        const result = migrations.migrate({}, 0);
+
+        expect(order).toEqual([1, 2, 3]);
+        expect(result.applied).toEqual([1, 2, 3]);
+        expect(result.state).toEqual({ a: true, b: true, c: true, _schemaVersion: 3 });
+    });
+
+    test('should start after the persisted version', () => {
+        const first = jest.fn(state => state);
+        migrations.register(1, first);
+        migrations.register(2, state => ({ ...state, level: state.level + 1 }));
+
+        const result = migrations.migrate({ level: 1 }, 1);
+
+        expect(first).not.toHaveBeenCalled();
+        expect(result.state.level).toBe(2);
+        expect(result.applied).toEqual([2]);
+    });
+
+    test('should stop at the requested target version', () => {
+        migrations.register(1, state => ({ ...state, a: true }));
+        migrations.register(2, state => ({ ...state, b: true }));
+
+        const result = migrations.migrate({}, 0, 1);
+
+        expect(result.state).toEqual({ a: true, _schemaVersion: 1 });
+    });
+
+    test('should report the latest version and list migrations in order', () => {
+        migrations.register(2, state => state, 'second');
+        migrations.register(1, state => state, 'first');
+
+        expect(migrations.getLatestVersion()).toBe(2);
+        expect(migrations.list()).toEqual([
+            { version: 1, description: 'first' },
+            { version: 2, description: 'second' }
+        ]);
+    });
+
+    test('should fail on a gap in the migration chain', () => {
+        migrations.register(1, state => state);
+        migrations.register(3, state => state);
+
+        expect(() => migrations.migrate({}, 0)).toThrow('Missing state migration for v2');
+    });
+
+    test('should name the failing migration', () => {
+        migrations.register(1, () => {
+            throw new Error('boom');
+        });
+
+        expect(() => migrations.migrate({}, 0)).toThrow('State migration v1 failed: boom');
+    });
+
+    test('should require migrations to return an object', () => {
+        migrations.register(1, () => null);
+
+        expect(() => migrations.migrate({}, 0)).toThrow('must return an object');
+    });
+
+    test('should refuse to downgrade', () => {
+        migrations.register(1, state => state);
+
+        expect(() => migrations.migrate({}, 2)).toThrow('Cannot downgrade');
+    });
+
+    test('should validate registration arguments', () => {
+        expect(() => migrations.register(0, state => state)).toThrow('positive integer');
+        expect(() => migrations.register(1, 'not a function')).toThrow('must be a function');
+    });
+});
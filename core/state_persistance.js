@@ -3,42 +3,174 @@
  * اصول رعایت شده: SRP, DIP, KISS, DRY
  */
 
+import { createStateStorage, isQuotaExceededError } from './state-storage.js';
+import { encodeStatePayload, decodeStatePayload, readPayloadHeader } from './state-compression.js';
+import { defaultStateMigrations } from './state-migrations.js';
+import { StatePolicies } from './state-policies.js';
+import { StateEncryption } from './state-encryption.js';
+import { RestorePointStore, RestorePointReasons } from './state-restore-points.js';
+import { ActionCreators } from './state-manager.js';
+
+// sliceهایی که _applyLoadedState با actionهای اختصاصی بازیابی می‌کند
+const CORE_SLICES = ['user', 'lessons', 'progress', 'ui'];
+
+/**
+ * API عمومی ناهمگام است (از زمان آداپتورهای ذخیره‌سازی و IndexedDB):
+ * initialize، loadState، saveStateImmediately، clearPersistedState و getStorageInfo
+ * Promise برمی‌گردانند و فراخواننده‌ها باید await کنند؛ قبلاً مقدار را همگام برمی‌گرداندند
+ */
 class StatePersistence {
   constructor(stateManager, options = {}) {
     this._stateManager = stateManager;
     this._options = {
       storageKey: 'vakamova_app_state',
+      // 'auto' (IndexedDB و در صورت نبود localStorage)، 'indexedDB'، 'localStorage' یا نمونه آداپتور
+      storage: 'auto',
+      storageOptions: {},
       autoSave: true,
       saveDebounceMs: 1000,
       maxStateSizeMB: 5,
+      // 'auto' (deflate و در صورت نبود CompressionStream، LZ-string)، 'deflate'، 'lz' یا 'none'
+      compression: 'auto',
+      // payloadهای کوچک‌تر از این مقدار فشرده نمی‌شوند
+      compressionThresholdBytes: 1024,
+      // رجیستری migrationها و نسخه فعلی اسکیما (پیش‌فرض: آخرین migration ثبت شده)
+      migrations: defaultStateMigrations,
+      schemaVersion: null,
+      // سیاست هر مسیر (persist، storageKey، ttlMs، sessionOnly) - state-policies.js
+      slicePolicies: {},
+      whitelist: null,
+      blacklist: [],
+      // نمونه StateEncryption (پیش‌فرض: کلید AES-GCM در IndexedDB، فقط اگر sliceی encrypt داشته باشد)
+      encryption: null,
+      // validator با sanitizer برای ترمیم State خراب هنگام بارگذاری (پیش‌فرض: validator مدیر State)
+      validator: null,
+      // حلقه restore pointها (false برای غیرفعال کردن)
+      restorePoints: {},
+      // در حالت چند تبی فقط تب رهبر ذخیره می‌کند (مثال: () => tabSync.isLeader())
+      shouldSave: null,
       ...options
     };
     
+    this._options.restorePoints = options.restorePoints === false ? null : {
+      maxPoints: 5,
+      // سقف حجم کل restore pointها؛ در localStorage با State زنده سهمیه مشترک دارند
+      maxBytes: 2 * 1024 * 1024,
+      // restore point زمان‌بندی شده (0 برای غیرفعال کردن)
+      intervalMs: 15 * 60 * 1000,
+      ...options.restorePoints
+    };
+    
     this._saveTimeout = null;
     this._isInitialized = false;
     
-    // حجم ذخیره‌سازی را بررسی می‌کنیم
-    this._checkStorageAvailability();
+    // آداپتور ذخیره‌سازی در initialize انتخاب می‌شود
+    this._storage = null;
+    this._storageAvailable = false;
+    
+    // نوشتن‌ها پشت سر هم اجرا می‌شوند تا ترتیب حفظ شود
+    this._writeChain = Promise.resolve();
+    // تعداد ذخیره‌های در صف یا در حال اجرا (برای snapshot هنگام بسته شدن صفحه)
+    this._pendingSaves = 0;
+    
+    // آمار آخرین ذخیره (برای getStorageInfo)
+    this._lastSaveMetrics = null;
+    
+    // بعد از migration، بک‌آپ (snapshot قبل از migration) تا پایان جلسه بازنویسی نمی‌شود
+    this._backupLocked = false;
+    // بعد از شکست یا rollback یک migration، ذخیره متوقف می‌شود تا داده قبلی بازنویسی نشود
+    this._savingSuspended = false;
+    this._migrationStatus = null;
+    // گزارش ترمیم آخرین بارگذاری
+    this._repairReport = null;
+    
+    this._policies = new StatePolicies(this._options.slicePolicies, {
+      whitelist: this._options.whitelist,
+      blacklist: this._options.blacklist,
+      baseStorageKey: this._options.storageKey
+    });
+    
+    // آداپتور sliceهای sessionOnly (در نبود sessionStorage همان آداپتور اصلی)
+    this._sessionStorage = null;
+    // slice -> { ref, updatedAt }: زمان آخرین تغییر هر slice برای TTL
+    this._sliceUpdates = new Map();
+    // slice -> reference آخرین مقدار نوشته شده در کلید جداگانه
+    this._writtenSliceRefs = new Map();
+    // بعد از USER_LOGOUT تا ورود بعدی، sliceهای sessionOnly ذخیره نمی‌شوند
+    this._sessionCleared = false;
+    
+    // بدون رمزنگاری در دسترس، sliceهای encrypt اصلاً ذخیره نمی‌شوند
+    this._encryption = null;
+    
+    this._restorePoints = null;
+    this._restorePointTimer = null;
+    this._lastRestorePointVersion = null;
+    this._isRecovering = false;
   }
 
   /**
    * راه‌اندازی خودکار ذخیره‌سازی
    * اصل SRP: فقط ذخیره‌سازی، نه منطق دیگر
    */
-  initialize() {
-    if (this._isInitialized) return;
+  async initialize() {
+    if (this._isInitialized) return true;
+    
+    // انتخاب آداپتور با fallback خودکار به localStorage
+    await this._checkStorageAvailability();
+    
+    try {
+      this._sessionStorage = (await createStateStorage('sessionStorage')) || this._storage;
+    } catch (error) {
+      this._sessionStorage = this._storage;
+    }
+    
+    await this._initializeEncryption();
+    
+    if (this._storage && this._options.restorePoints) {
+      this._restorePoints = new RestorePointStore(this._storage, {
+        baseKey: this._options.storageKey,
+        maxPoints: this._options.restorePoints.maxPoints,
+        maxBytes: this._options.restorePoints.maxBytes
+      });
+    }
     
     // بارگذاری وضعیت ذخیره شده
-    this.loadState();
+    await this.loadState();
     
     // گوش دادن به تغییرات State برای ذخیره خودکار
     if (this._options.autoSave) {
       this._setupAutoSave();
     }
     
-    // ذخیره وضعیت قبل از بسته شدن صفحه
-    window.addEventListener('beforeunload', () => {
-      this.saveStateImmediately();
+    // پاک کردن sliceهای sessionOnly (و restore point قبل از) خروج کاربر
+    this._unsubscribeSessionActions = this._stateManager.subscribeToActions(
+      (action, nextState, prevState) => this._handleSessionAction(action, prevState, nextState)
+    );
+    
+    if (this._restorePoints && this._options.restorePoints.intervalMs > 0) {
+      this._restorePointTimer = setInterval(
+        () => this._createScheduledRestorePoint(),
+        this._options.restorePoints.intervalMs
+      );
+    }
+    
+    // ذخیره وضعیت قبل از بسته شدن یا پنهان شدن صفحه
+    // نوشتن ناهمگام (رمزنگاری، فشرده‌سازی، IndexedDB) معمولاً قبل از بسته شدن تمام نمی‌شود،
+    // پس همان لحظه یک snapshot بدون sliceهای رمزی در localStorage نوشته می‌شود؛
+    // چه ذخیره debounce شده هنوز شروع نشده باشد و چه نوشتن قبلی هنوز تمام نشده باشد
+    this._handlePageHide = () => {
+      if (this._saveTimeout || this._pendingSaves > 0) {
+        this._writeUnloadSnapshot();
+      }
+      if (this._saveTimeout) {
+        this.saveStateImmediately();
+      }
+    };
+    window.addEventListener('beforeunload', this._handlePageHide);
+    document.addEventListener('visibilitychange', this._handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        this._handlePageHide();
+      }
     });
     
     this._isInitialized = true;
@@ -57,6 +189,151 @@ class StatePersistence {
     this._unsubscribeAutoSave = unsubscribe;
   }
 
+  async _initializeEncryption() {
+    if (!this._options.encryption && this._policies.getEncryptedSlices().length === 0) {
+      return;
+    }
+    
+    const encryption = this._options.encryption || new StateEncryption();
+    
+    try {
+      this._encryption = (await encryption.initialize()) ? encryption : null;
+    } catch (error) {
+      console.warn('State encryption unavailable:', error.message);
+      this._encryption = null;
+    }
+  }
+
+  /**
+   * چرخش کلید رمزنگاری: کلید جدید فعال، داده‌ها و restore pointها دوباره رمز و کلید قبلی حذف می‌شود
+   * @returns {Promise<boolean>}
+   */
+  async rotateEncryptionKey() {
+    if (!this._encryption) return false;
+    
+    await this._writeChain;
+    const previousKeyId = this._encryption.getActiveKeyId();
+    await this._encryption.rotateKey();
+    
+    // همه sliceهای جداگانه با کلید جدید بازنویسی شوند
+    this._writtenSliceRefs.clear();
+    const saved = await this.saveStateImmediately();
+    const pointsRotated = await this._reencryptRestorePoints();
+    
+    // تا وقتی داده قدیمی (snapshot قبل از migration یا restore point) با کلید قبلی خوانده می‌شود، حذفش نمی‌کنیم
+    if (saved && pointsRotated && !this._backupLocked) {
+      await this._encryption.deleteKey(previousKeyId);
+    }
+    
+    this._logEncryption('key_rotated');
+    return saved;
+  }
+
+  /**
+   * بازنویسی restore pointها با کلید فعال (در صف نوشتن)
+   * @returns {Promise<boolean>} false اگر نقطه‌ای هنوز به کلید قبلی وابسته باشد
+   */
+  _reencryptRestorePoints() {
+    if (!this._restorePoints) {
+      return Promise.resolve(true);
+    }
+    
+    const activeKeyId = this._encryption.getActiveKeyId();
+    
+    const rotate = this._writeChain.then(async () => {
+      let rotated = true;
+      
+      for (const point of await this._restorePoints.list()) {
+        try {
+          const payload = await this._restorePoints.get(point.id);
+          if (!payload) continue;
+          
+          const state = await this._decompressStateIfNeeded(payload);
+          const slices = Object.keys(state).filter(slice =>
+            !slice.startsWith('_') && StateEncryption.isEnvelope(state[slice]) && state[slice].kid !== activeKeyId
+          );
+          if (slices.length === 0) continue;
+          
+          for (const slice of slices) {
+            const value = await this._encryption.decrypt(state[slice], slice);
+            state[slice] = await this._encryption.encrypt(value, slice);
+          }
+          
+          await this._restorePoints.replace(point.id, await this._compressStateIfNeeded(state, { trackMetrics: false }));
+        } catch (error) {
+          rotated = false;
+          this._logEncryption('restore_point_not_rotated', null, `${point.id}: ${error.message}`);
+        }
+      }
+      
+      return rotated;
+    });
+    
+    this._writeChain = rotate;
+    return rotate;
+  }
+
+  /**
+   * رمز کردن sliceهای encrypt در blob اصلی و رکوردهای جداگانه (درجا)
+   */
+  async _encryptSlices(stateToSave, sliceRecords) {
+    const encryptedSlices = this._policies.getEncryptedSlices();
+    
+    for (const slice of encryptedSlices) {
+      if (!(slice in stateToSave)) continue;
+      
+      if (this._encryption) {
+        stateToSave[slice] = await this._encryption.encrypt(stateToSave[slice], slice);
+      } else {
+        delete stateToSave[slice];
+      }
+    }
+    
+    for (let i = sliceRecords.length - 1; i >= 0; i--) {
+      const { slice, record } = sliceRecords[i];
+      if (!encryptedSlices.includes(slice)) continue;
+      
+      if (this._encryption) {
+        record.value = await this._encryption.encrypt(record.value, slice);
+      } else {
+        sliceRecords.splice(i, 1);
+      }
+    }
+  }
+
+  /**
+   * باز کردن sliceهای رمز شده
+   * اگر کلید پیدا نشود (مثلاً IndexedDB پاک شده) آن slice کنار گذاشته می‌شود
+   */
+  async _decryptSlices(state) {
+    for (const slice of Object.keys(state)) {
+      if (slice.startsWith('_') || !StateEncryption.isEnvelope(state[slice])) continue;
+      
+      try {
+        if (!this._encryption) {
+          throw new Error('Encryption not available');
+        }
+        state[slice] = await this._encryption.decrypt(state[slice], slice);
+      } catch (error) {
+        delete state[slice];
+        delete state._sliceUpdatedAt?.[slice];
+        this._logEncryption('slice_reset', slice, error.message);
+        console.warn(`Encrypted slice "${slice}" could not be restored and was reset:`, error.message);
+      }
+    }
+    
+    return state;
+  }
+
+  /**
+   * تعیین یا تغییر سیاست ذخیره یک مسیر
+   * @param {string} path - 'lessons' یا 'user.token'
+   * @param {Object} policy - { persist, storageKey, ttlMs, sessionOnly }
+   */
+  setSlicePolicy(path, policy) {
+    this._policies.setPolicy(path, policy);
+  }
+
   /**
    * ذخیره با تاخیر (برای عملکرد بهتر)
    */
@@ -72,35 +349,168 @@ class StatePersistence {
 
   /**
    * ذخیره فوری وضعیت
+   * snapshot همین لحظه گرفته می‌شود و نوشتن در صف نوشتن‌ها قرار می‌گیرد
+   * @returns {Promise<boolean>}
    */
   saveStateImmediately() {
+    if (this._saveTimeout) {
+      clearTimeout(this._saveTimeout);
+      this._saveTimeout = null;
+    }
+    
+    if (!this._storage || this._savingSuspended ||
+        (this._options.shouldSave && !this._options.shouldSave())) {
+      return Promise.resolve(false);
+    }
+    
+    let stateToSave;
+    let sliceRecords;
+    
     try {
       const state = this._stateManager.getState();
       
       // حذف داده‌های موقت از State قبل از ذخیره
-      const stateToSave = this._prepareStateForSave(state);
+      stateToSave = this._prepareStateForSave(state);
       
-      // فشرده سازی اگر حجم زیاد شد
-      const processedState = this._compressStateIfNeeded(stateToSave);
-      
-      // ذخیره در localStorage
-      localStorage.setItem(
-        this._options.storageKey,
-        JSON.stringify(processedState)
-      );
+      // جدا کردن sliceهایی که کلید جداگانه دارند
+      sliceRecords = this._extractSeparateSlices(stateToSave, state);
+    } catch (error) {
+      this._logSaveOperation('error', null, error.message);
+      return Promise.resolve(false);
+    }
+    
+    this._pendingSaves++;
+    
+    const write = this._writeChain.then(async () => {
+      try {
+        await this._encryptSlices(stateToSave, sliceRecords);
+        
+        // فشرده سازی payload
+        const payload = await this._compressStateIfNeeded(stateToSave);
+        
+        await this._writeStatePayload(payload);
+        
+        // ذخیره بک‌آپ نسخه قبلی
+        await this._createBackup(payload);
+        
+        await this._saveSliceRecords(sliceRecords);
+        
+        // snapshot فقط وقتی کهنه است که ذخیره جدیدتری در صف نباشد
+        if (this._pendingSaves === 1) {
+          this._removeUnloadSnapshot();
+        }
+        
+        this._logSaveOperation('success', stateToSave);
+        return true;
+      } catch (error) {
+        this._logSaveOperation('error', null, error.message);
+        return false;
+      } finally {
+        this._pendingSaves--;
+      }
+    });
+    
+    this._writeChain = write;
+    return write;
+  }
+
+  /**
+   * نوشتن payload اصلی؛ با پر شدن سهمیه، restore pointها فدای State زنده می‌شوند
+   */
+  async _writeStatePayload(payload) {
+    try {
+      await this._storage.setItem(this._options.storageKey, payload);
+    } catch (error) {
+      if (!isQuotaExceededError(error) || !this._restorePoints ||
+          (await this._restorePoints.list()).length === 0) {
+        throw error;
+      }
       
-      // ذخیره بک‌آپ نسخه قبلی
-      this._createBackup(stateToSave);
+      await this._restorePoints.clear();
+      this._logRecovery('restore_points_evicted', error.message);
+      await this._storage.setItem(this._options.storageKey, payload);
+    }
+  }
+
+  /**
+   * نوشتن همگام snapshot هنگام بسته شدن صفحه
+   * sliceهای encrypt و sessionOnly در آن نیستند؛ بعد از اولین ذخیره موفق حذف می‌شود
+   */
+  _writeUnloadSnapshot() {
+    if (!this._storage || this._savingSuspended ||
+        (this._options.shouldSave && !this._options.shouldSave())) {
+      return false;
+    }
+    
+    try {
+      const snapshot = this._prepareStateForSave(this._stateManager.getState());
+      this._policies.getEncryptedSlices().forEach(slice => delete snapshot[slice]);
+      this._policies.getSeparateSlices().forEach(slice => {
+        if (this._policies.getSlicePolicy(slice).sessionOnly) {
+          delete snapshot[slice];
+        }
+      });
       
-      this._logSaveOperation('success', stateToSave);
+      localStorage.setItem(this._unloadKey(), JSON.stringify(snapshot));
       return true;
-      
     } catch (error) {
-      this._logSaveOperation('error', null, error.message);
+      // localStorage در دسترس نیست یا پر است؛ ذخیره ناهمگام همچنان تلاش می‌کند
       return false;
     }
   }
 
+  _readUnloadSnapshot() {
+    try {
+      const snapshot = JSON.parse(localStorage.getItem(this._unloadKey()) || 'null');
+      return snapshot && typeof snapshot === 'object' ? snapshot : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _removeUnloadSnapshot() {
+    try {
+      localStorage.removeItem(this._unloadKey());
+    } catch (error) {
+      // localStorage در دسترس نیست
+    }
+  }
+
+  _unloadKey() {
+    return `${this._options.storageKey}_unload`;
+  }
+
+  /**
+   * ادغام snapshot زمان بسته شدن اگر از payload ذخیره شده جدیدتر باشد
+   * sliceهای رمزی از payload اصلی می‌مانند
+   */
+  _mergeUnloadSnapshot(state, snapshot) {
+    if (!snapshot || !this._validateLoadedState(snapshot)) {
+      return state;
+    }
+    
+    if (!state) {
+      this._logLoadOperation('unload_snapshot_applied');
+      return snapshot;
+    }
+    
+    const isNewer = (Date.parse(snapshot._persistedAt) || 0) > (Date.parse(state._persistedAt) || 0);
+    if (!isNewer || (snapshot._schemaVersion || 0) !== (state._schemaVersion || 0)) {
+      return state;
+    }
+    
+    Object.keys(snapshot).forEach(slice => {
+      if (!slice.startsWith('_')) {
+        state[slice] = snapshot[slice];
+      }
+    });
+    state._sliceUpdatedAt = { ...state._sliceUpdatedAt, ...snapshot._sliceUpdatedAt };
+    state._persistedAt = snapshot._persistedAt;
+    
+    this._logLoadOperation('unload_snapshot_applied');
+    return state;
+  }
+
   /**
    * آماده‌سازی State برای ذخیره
    * اصل DIP: وابسته به ساختار StateManager
@@ -109,54 +519,447 @@ class StatePersistence {
     // کپی از State می‌گیریم
     const stateCopy = JSON.parse(JSON.stringify(state));
     
-    // حذف داده‌های موقت که نباید ذخیره شوند
-    delete stateCopy.ui?.isLoading;
+    // حذف مسیرهای غیرقابل ذخیره (ui.isLoading و سیاست‌های persist: false)
+    this._policies.applyPathRules(stateCopy);
     delete stateCopy._lastUpdated;
     
+    // زمان آخرین تغییر هر slice (مبنای TTL)
+    stateCopy._sliceUpdatedAt = this._collectSliceUpdates(state, stateCopy);
+    
     // اضافه کردن متادیتای ذخیره
     stateCopy._persistedAt = new Date().toISOString();
     stateCopy._persistedVersion = stateCopy._version || 0;
+    stateCopy._schemaVersion = this.getSchemaVersion();
     
     return stateCopy;
   }
 
+  /**
+   * زمان آخرین تغییر sliceها؛ slice دست‌نخورده (همان reference) زمان قبلی را نگه می‌دارد
+   */
+  _collectSliceUpdates(state, stateCopy) {
+    const now = Date.now();
+    const updatedAt = {};
+    
+    Object.keys(stateCopy).forEach(slice => {
+      if (slice.startsWith('_')) return;
+      
+      let info = this._sliceUpdates.get(slice);
+      if (!info || info.ref !== state[slice]) {
+        info = { ref: state[slice], updatedAt: now };
+        this._sliceUpdates.set(slice, info);
+      }
+      updatedAt[slice] = info.updatedAt;
+    });
+    
+    return updatedAt;
+  }
+
+  /**
+   * برداشتن sliceهای دارای کلید جداگانه از stateToSave
+   * @returns {Array<{slice: string, key: string, sessionOnly: boolean, ref: *, record: Object}>}
+   */
+  _extractSeparateSlices(stateToSave, state) {
+    const records = [];
+    
+    this._policies.getSeparateSlices().forEach(slice => {
+      if (!(slice in stateToSave)) return;
+      
+      const policy = this._policies.getSlicePolicy(slice);
+      const value = stateToSave[slice];
+      delete stateToSave[slice];
+      
+      if (policy.sessionOnly && this._sessionCleared) return;
+      
+      records.push({
+        slice,
+        key: this._policies.getStorageKey(slice),
+        sessionOnly: policy.sessionOnly,
+        ref: state[slice],
+        record: {
+          slice,
+          value,
+          updatedAt: stateToSave._sliceUpdatedAt[slice],
+          _schemaVersion: stateToSave._schemaVersion
+        }
+      });
+    });
+    
+    return records;
+  }
+
+  /**
+   * نوشتن sliceهای جداگانه؛ sliceهای بدون تغییر دوباره نوشته نمی‌شوند
+   */
+  async _saveSliceRecords(records) {
+    for (const { slice, key, sessionOnly, ref, record } of records) {
+      if (this._writtenSliceRefs.get(slice) === ref) continue;
+      
+      const { payload } = await encodeStatePayload(JSON.stringify(record), {
+        codec: this._options.compression,
+        thresholdBytes: this._options.compressionThresholdBytes
+      });
+      
+      await this._getSliceStorage(sessionOnly).setItem(key, payload);
+      this._writtenSliceRefs.set(slice, ref);
+    }
+  }
+
+  _getSliceStorage(sessionOnly) {
+    return sessionOnly && this._sessionStorage ? this._sessionStorage : this._storage;
+  }
+
+  /**
+   * افزودن sliceهای جداگانه به State بارگذاری شده
+   * رکوردهایی که با نسخه اسکیمای blob اصلی نمی‌خوانند کنار گذاشته می‌شوند
+   */
+  async _loadSeparateSlices(state) {
+    state._sliceUpdatedAt = state._sliceUpdatedAt || {};
+    
+    for (const slice of this._policies.getSeparateSlices()) {
+      const policy = this._policies.getSlicePolicy(slice);
+      const payload = await this._getSliceStorage(policy.sessionOnly).getItem(this._policies.getStorageKey(slice));
+      if (!payload) continue;
+      
+      try {
+        const record = await this._decompressStateIfNeeded(payload);
+        
+        if ((record._schemaVersion || 0) !== (state._schemaVersion || 0)) {
+          this._logLoadOperation('slice_version_mismatch', null, slice);
+          continue;
+        }
+        
+        state[slice] = record.value;
+        state._sliceUpdatedAt[slice] = record.updatedAt;
+      } catch (error) {
+        this._logLoadOperation('slice_error', null, `${slice}: ${error.message}`);
+      }
+    }
+    
+    return state;
+  }
+
+  /**
+   * حذف sliceهایی که TTL آنها گذشته است
+   */
+  _dropExpiredSlices(state) {
+    const now = Date.now();
+    const persistedAt = Date.parse(state._persistedAt) || 0;
+    
+    Object.keys(state).forEach(slice => {
+      if (slice.startsWith('_')) return;
+      
+      const { ttlMs } = this._policies.getSlicePolicy(slice);
+      if (!ttlMs) return;
+      
+      const updatedAt = state._sliceUpdatedAt?.[slice] || persistedAt;
+      if (now - updatedAt > ttlMs) {
+        delete state[slice];
+        delete state._sliceUpdatedAt?.[slice];
+        this._logLoadOperation('slice_expired', null, slice);
+      }
+    });
+    
+    return state;
+  }
+
+  /**
+   * پاک کردن sliceهای sessionOnly از حافظه ذخیره
+   * @returns {Promise<void>}
+   */
+  clearSessionSlices() {
+    const clear = this._writeChain.then(async () => {
+      for (const slice of this._policies.getSeparateSlices()) {
+        const policy = this._policies.getSlicePolicy(slice);
+        if (!policy.sessionOnly) continue;
+        
+        try {
+          await this._getSliceStorage(true).removeItem(this._policies.getStorageKey(slice));
+        } catch (error) {
+          // حذف ناموفق مانع خروج کاربر نمی‌شود
+        }
+        this._writtenSliceRefs.delete(slice);
+      }
+    });
+    
+    this._writeChain = clear;
+    return clear;
+  }
+
+  /**
+   * برگرداندن sliceهای sessionOnly در حافظه به مقدار اولیه
+   * sliceهایی که خود action خروج تغییرشان داده (مثل user) دست نمی‌خورند
+   */
+  _resetSessionSlices(prevState, nextState) {
+    if (!prevState || !nextState) return;
+    
+    const slices = {};
+    this._policies.getSeparateSlices().forEach(slice => {
+      if (this._policies.getSlicePolicy(slice).sessionOnly && nextState[slice] === prevState[slice]) {
+        slices[slice] = this._stateManager.getInitialSliceState(slice);
+      }
+    });
+    
+    if (Object.keys(slices).length > 0) {
+      this._stateManager.dispatch(ActionCreators.hydrateState(slices, { sessionCleared: true }));
+    }
+  }
+
+  _handleSessionAction(action, prevState, nextState) {
+    const types = action.meta?.batch && Array.isArray(action.meta.actions)
+      ? action.meta.actions.map(item => item.type)
+      : [action.type];
+    
+    const logoutIndex = types.lastIndexOf('USER_LOGOUT');
+    const loginIndex = types.lastIndexOf('USER_LOGIN');
+    
+    if (logoutIndex > loginIndex) {
+      if (prevState) {
+        this.createRestorePoint(RestorePointReasons.BEFORE_LOGOUT, prevState);
+      }
+      this._sessionCleared = true;
+      this.clearSessionSlices();
+      this._resetSessionSlices(prevState, nextState);
+    } else if (loginIndex > -1) {
+      this._sessionCleared = false;
+    }
+  }
+
   /**
    * بارگذاری وضعیت ذخیره شده
+   * @returns {Promise<Object|null>}
    */
-  loadState() {
+  async loadState() {
+    if (!this._storage) {
+      this._logLoadOperation('no_storage');
+      return null;
+    }
+    
     try {
-      const savedData = localStorage.getItem(this._options.storageKey);
+      const savedData = await this._readWithLegacyFallback(this._options.storageKey);
+      const unloadSnapshot = this._readUnloadSnapshot();
       
-      if (!savedData) {
+      if (!savedData && !unloadSnapshot) {
         this._logLoadOperation('no_data');
         return null;
       }
       
-      const parsedState = JSON.parse(savedData);
+      // بازیابی اگر فشرده شده بود
+      let decodedState = savedData ? await this._decompressStateIfNeeded(savedData) : null;
       
       // بررسی سلامت داده‌های بارگذاری شده
-      if (!this._validateLoadedState(parsedState)) {
+      if (decodedState && !this._validateLoadedState(decodedState)) {
         this._logLoadOperation('invalid_data');
-        this._attemptRecovery();
+        await this._attemptRecovery();
         return null;
       }
       
-      // بازیابی اگر فشرده شده بود
-      const restoredState = this._decompressStateIfNeeded(parsedState);
+      // sliceهای کلیدهای جداگانه و حذف داده‌های منقضی
+      if (decodedState) {
+        await this._loadSeparateSlices(decodedState);
+        await this._decryptSlices(decodedState);
+      }
+      
+      // تغییرات آخر جلسه قبل که نوشتن ناهمگامشان تمام نشده بود
+      decodedState = this._mergeUnloadSnapshot(decodedState, unloadSnapshot);
+      if (!decodedState) {
+        this._logLoadOperation('no_data');
+        return null;
+      }
+      this._dropExpiredSlices(decodedState);
+      
+      // رساندن داده‌های نسخه قدیمی به اسکیمای فعلی
+      let restoredState;
+      try {
+        restoredState = await this._migrateLoadedState(decodedState, savedData || JSON.stringify(decodedState));
+      } catch (error) {
+        this._logLoadOperation('migration_failed', null, error.message);
+        return null;
+      }
+      
+      // ترمیم مقادیر خراب با اسکیما به جای دور ریختن State
+      restoredState = this._repairLoadedState(restoredState);
       
       // اعمال State بارگذاری شده
       this._applyLoadedState(restoredState);
+      this._seedSliceUpdates(restoredState);
+      
+      // State مهاجرت شده بلافاصله با نسخه جدید ذخیره می‌شود
+      if (this._migrationStatus?.status === 'migrated') {
+        await this.saveStateImmediately();
+      }
       
       this._logLoadOperation('success', restoredState);
       return restoredState;
       
     } catch (error) {
       this._logLoadOperation('error', null, error.message);
-      this._attemptRecovery();
+      await this._attemptRecovery();
       return null;
     }
   }
 
+  /**
+   * نسخه فعلی اسکیمای State
+   * @returns {number}
+   */
+  getSchemaVersion() {
+    if (Number.isInteger(this._options.schemaVersion)) {
+      return this._options.schemaVersion;
+    }
+    return this._options.migrations ? this._options.migrations.getLatestVersion() : 0;
+  }
+
+  /**
+   * وضعیت آخرین migration بارگذاری (یا null اگر لازم نبود)
+   * @returns {{status: string, fromVersion: number, toVersion: number, applied: number[], error: string|null}|null}
+   */
+  getMigrationStatus() {
+    return this._migrationStatus ? { ...this._migrationStatus } : null;
+  }
+
+  /**
+   * گزارش ترمیم آخرین بارگذاری (یا null اگر validator قابل ترمیم تنظیم نشده)
+   * @returns {{repaired: boolean, repairs: Array<{path: string, action: string, from: *, to: *}>, errors: Array}|null}
+   */
+  getRepairReport() {
+    return this._repairReport ? { ...this._repairReport } : null;
+  }
+
+  /**
+   * ترمیم State بارگذاری شده با validator.repair (پیش‌فرض‌ها، تبدیل نوع، محدود کردن بازه)
+   * خطاهای باقی‌مانده فقط گزارش می‌شوند؛ تصمیم نهایی با اعتبارسنجی انتقال در مدیر State است
+   */
+  _repairLoadedState(state) {
+    const validator = this._options.validator || this._stateManager.getValidator?.() || null;
+    
+    if (!validator || typeof validator.repair !== 'function') {
+      return state;
+    }
+    
+    const { repairedState, report, errors } = validator.repair(state);
+    this._repairReport = { ...report, errors };
+    
+    if (report.repaired) {
+      this._logRepair(errors.length ? 'partially_repaired' : 'repaired', report.repairs, errors);
+    }
+    
+    return repairedState;
+  }
+
+  /**
+   * اجرای migrationها روی State بارگذاری شده
+   * snapshot قبل از migration در کلید _backup نگه داشته می‌شود
+   * در صورت شکست، payload اصلی از snapshot برگردانده و ذخیره متوقف می‌شود
+   */
+  async _migrateLoadedState(state, savedData) {
+    const fromVersion = Number.isInteger(state._schemaVersion) ? state._schemaVersion : 0;
+    const toVersion = this.getSchemaVersion();
+    
+    if (fromVersion === toVersion) {
+      return state;
+    }
+    
+    this._migrationStatus = { status: 'running', fromVersion, toVersion, applied: [], error: null };
+    
+    try {
+      if (fromVersion > toVersion) {
+        throw new Error(`Persisted state schema v${fromVersion} is newer than supported v${toVersion}`);
+      }
+      
+      await this._storage.setItem(`${this._options.storageKey}_backup`, savedData);
+      this._backupLocked = true;
+      
+      if (this._restorePoints) {
+        await this._restorePoints.add(savedData, {
+          reason: RestorePointReasons.BEFORE_MIGRATION,
+          version: state._version,
+          schemaVersion: fromVersion
+        });
+      }
+      
+      const result = this._options.migrations.migrate(state, fromVersion, toVersion);
+      
+      if (!this._validateLoadedState(result.state)) {
+        throw new Error('Migrated state failed validation');
+      }
+      
+      this._migrationStatus = { ...this._migrationStatus, status: 'migrated', applied: result.applied };
+      this._logMigration('success', fromVersion, toVersion);
+      return result.state;
+      
+    } catch (error) {
+      this._migrationStatus = { ...this._migrationStatus, status: 'failed', error: error.message };
+      this._logMigration('failed', fromVersion, toVersion, error.message);
+      console.error('State migration failed, persisted data kept as-is:', error.message);
+      
+      await this._restoreSnapshot(savedData);
+      throw error;
+    }
+  }
+
+  /**
+   * بازگرداندن payload قبل از migration به کلید اصلی (مثلاً بعد از برگشت به نسخه قبلی برنامه)
+   * ذخیره تا پایان جلسه متوقف می‌شود تا State مهاجرت شده آن را بازنویسی نکند
+   * @returns {Promise<boolean>}
+   */
+  async rollbackMigration() {
+    if (!this._storage || !this._backupLocked) {
+      return false;
+    }
+    
+    try {
+      await this._writeChain;
+      const snapshot = await this._storage.getItem(`${this._options.storageKey}_backup`);
+      if (!snapshot) return false;
+      
+      await this._restoreSnapshot(snapshot);
+      
+      if (this._migrationStatus) {
+        this._migrationStatus = { ...this._migrationStatus, status: 'rolled_back' };
+      }
+      this._logMigration('rolled_back', this._migrationStatus?.fromVersion, this._migrationStatus?.toVersion);
+      return true;
+    } catch (error) {
+      this._logMigration('rollback_failed', null, null, error.message);
+      return false;
+    }
+  }
+
+  async _restoreSnapshot(snapshot) {
+    this._savingSuspended = true;
+    
+    if (this._saveTimeout) {
+      clearTimeout(this._saveTimeout);
+      this._saveTimeout = null;
+    }
+    
+    await this._storage.setItem(this._options.storageKey, snapshot);
+  }
+
+  /**
+   * خواندن کلید؛ اگر در آداپتور فعلی نبود، داده قدیمی localStorage منتقل می‌شود
+   */
+  async _readWithLegacyFallback(key) {
+    const data = await this._storage.getItem(key);
+    if (data || this._storage.name === 'localStorage') {
+      return data;
+    }
+    
+    try {
+      const legacyData = localStorage.getItem(key);
+      if (legacyData) {
+        await this._storage.setItem(key, legacyData);
+        localStorage.removeItem(key);
+        return legacyData;
+      }
+    } catch (error) {
+      // localStorage در دسترس نیست
+    }
+    
+    return null;
+  }
+
   /**
    * اعمال State بارگذاری شده به State Manager
    */
@@ -197,6 +1000,31 @@ class StatePersistence {
         }
       });
     }
+    
+    // sliceهای ماژول‌ها (ثبت شده با registerReducer)
+    const moduleSlices = {};
+    this._stateManager.getRegisteredSlices().forEach(slice => {
+      if (!CORE_SLICES.includes(slice) && loadedState[slice] !== undefined) {
+        moduleSlices[slice] = loadedState[slice];
+      }
+    });
+    
+    if (Object.keys(moduleSlices).length > 0) {
+      this._stateManager.dispatch(ActionCreators.hydrateState(moduleSlices, { persisted: true }));
+    }
+  }
+
+  /**
+   * TTL از زمان تغییر ذخیره شده ادامه پیدا می‌کند، نه از زمان بارگذاری
+   */
+  _seedSliceUpdates(loadedState) {
+    const state = this._stateManager.getState();
+    
+    Object.entries(loadedState._sliceUpdatedAt || {}).forEach(([slice, updatedAt]) => {
+      if (slice in loadedState && updatedAt) {
+        this._sliceUpdates.set(slice, { ref: state[slice], updatedAt });
+      }
+    });
   }
 
   /**
@@ -227,42 +1055,224 @@ class StatePersistence {
   }
 
   /**
-   * تلاش برای بازیابی از بک‌آپ
+   * تلاش برای بازیابی از جدیدترین بک‌آپ یا restore point معتبر
    */
-  _attemptRecovery() {
+  async _attemptRecovery() {
+    // loadState داخل بازیابی دوباره بازیابی را شروع نمی‌کند
+    if (this._isRecovering) return false;
+    this._isRecovering = true;
+    
     try {
-      const backupKey = `${this._options.storageKey}_backup`;
-      const backupData = localStorage.getItem(backupKey);
+      const candidates = await this._collectRecoveryCandidates();
       
-      if (backupData) {
-        const backupState = JSON.parse(backupData);
+      for (const candidate of candidates) {
+        await this._storage.setItem(this._options.storageKey, candidate.payload);
         
-        if (this._validateLoadedState(backupState)) {
-          localStorage.setItem(this._options.storageKey, backupData);
-          this.loadState(); // تلاش مجدد
-          this._logRecovery('backup_restored');
+        if (await this.loadState()) { // تلاش مجدد
+          this._logRecovery('backup_restored', null, candidate.source);
           return true;
         }
       }
+      
+      this._logRecovery('no_valid_backup');
     } catch (error) {
       // در صورت خطا، وضعیت خالی شروع می‌کنیم
       this._logRecovery('recovery_failed', error.message);
+    } finally {
+      this._isRecovering = false;
     }
     
     return false;
   }
 
+  // ==================== Restore Points ====================
+
+  /**
+   * ساخت restore point از State فعلی (یا State داده شده)
+   * sliceهای sessionOnly در restore point ذخیره نمی‌شوند
+   * @param {string} [reason='manual']
+   * @param {Object} [state]
+   * @returns {Promise<Object|null>} متادیتای restore point
+   */
+  createRestorePoint(reason = RestorePointReasons.MANUAL, state = this._stateManager.getState()) {
+    if (!this._restorePoints) {
+      return Promise.resolve(null);
+    }
+    
+    // snapshot همین لحظه؛ رمزنگاری و فشرده‌سازی در صف نوشتن
+    const snapshot = this._prepareStateForSave(state);
+    this._policies.getSeparateSlices().forEach(slice => {
+      if (this._policies.getSlicePolicy(slice).sessionOnly) {
+        delete snapshot[slice];
+      }
+    });
+    
+    const create = this._writeChain.then(async () => {
+      try {
+        await this._encryptSlices(snapshot, []);
+        const payload = await this._compressStateIfNeeded(snapshot, { trackMetrics: false });
+        
+        const point = await this._restorePoints.add(payload, {
+          reason,
+          version: snapshot._version,
+          schemaVersion: snapshot._schemaVersion
+        });
+        
+        this._lastRestorePointVersion = snapshot._version;
+        this._logRecovery('restore_point_created', null, point.id);
+        return point;
+      } catch (error) {
+        this._logRecovery('restore_point_failed', error.message);
+        return null;
+      }
+    });
+    
+    this._writeChain = create;
+    return create;
+  }
+
+  /**
+   * فهرست restore pointها (جدیدترین اول)
+   * @returns {Promise<Array<Object>>}
+   */
+  async listRestorePoints() {
+    return this._restorePoints ? this._restorePoints.list() : [];
+  }
+
+  /**
+   * مشاهده محتوای یک restore point بدون اعمال آن
+   * @param {string} id
+   * @returns {Promise<Object|null>} { ...متادیتا, state, valid }
+   */
+  async previewRestorePoint(id) {
+    const loaded = await this._readRestorePoint(id);
+    if (!loaded) return null;
+    
+    const point = (await this.listRestorePoints()).find(item => item.id === id) || { id };
+    return { ...point, state: loaded.state, valid: this._validateLoadedState(loaded.state) };
+  }
+
   /**
-   * ایجاد بک‌آپ از State
+   * بازگرداندن State به یک restore point
+   * قبل از آن از State فعلی یک restore point گرفته می‌شود
+   * @param {string} id
+   * @returns {Promise<boolean>}
    */
-  _createBackup(state) {
+  async restoreRestorePoint(id) {
+    const loaded = await this._readRestorePoint(id);
+    
+    if (!loaded || !this._validateLoadedState(loaded.state)) {
+      this._logRecovery('restore_point_invalid', null, id);
+      return false;
+    }
+    
+    await this.createRestorePoint(RestorePointReasons.BEFORE_RESTORE);
+    
+    let restoredState;
+    try {
+      restoredState = await this._migrateLoadedState(loaded.state, loaded.payload);
+    } catch (error) {
+      this._logRecovery('restore_point_failed', error.message, id);
+      return false;
+    }
+    
+    restoredState = this._repairLoadedState(restoredState);
+    
+    // جایگزینی کامل sliceها (برخلاف _applyLoadedState که ادغام می‌کند)؛
+    // sliceهای قابل ذخیره‌ای که در restore point نبودند خالی می‌شوند
+    const slices = {};
+    Object.keys(this._stateManager.getState()).forEach(slice => {
+      const policy = this._policies.getSlicePolicy(slice);
+      if (!slice.startsWith('_') && policy.persist && !policy.sessionOnly) {
+        slices[slice] = undefined;
+      }
+    });
+    Object.keys(restoredState).forEach(slice => {
+      if (!slice.startsWith('_')) {
+        slices[slice] = restoredState[slice];
+      }
+    });
+    
+    this._stateManager.dispatch(ActionCreators.hydrateState(slices, { restorePoint: id }));
+    this._seedSliceUpdates(restoredState);
+    
+    await this.saveStateImmediately();
+    this._logRecovery('restore_point_applied', null, id);
+    return true;
+  }
+
+  async _readRestorePoint(id) {
+    if (!this._restorePoints) return null;
+    
+    try {
+      const payload = await this._restorePoints.get(id);
+      if (!payload) return null;
+      
+      const state = await this._decompressStateIfNeeded(payload);
+      await this._decryptSlices(state);
+      return { payload, state };
+    } catch (error) {
+      this._logRecovery('restore_point_unreadable', error.message, id);
+      return null;
+    }
+  }
+
+  /**
+   * restore point زمان‌بندی شده؛ اگر State از نقطه قبلی تغییری نکرده باشد ساخته نمی‌شود
+   */
+  _createScheduledRestorePoint() {
+    const state = this._stateManager.getState();
+    if (state._version === this._lastRestorePointVersion) return;
+    
+    this.createRestorePoint(RestorePointReasons.SCHEDULED, state);
+  }
+
+  /**
+   * payloadهای قابل بازیابی (بک‌آپ و restore pointها)، معتبر و جدیدترین اول
+   */
+  async _collectRecoveryCandidates() {
+    const candidates = [];
+    
+    const backup = await this._readWithLegacyFallback(`${this._options.storageKey}_backup`);
+    if (backup) {
+      candidates.push({ source: 'backup', payload: backup });
+    }
+    
+    for (const point of await this.listRestorePoints()) {
+      const payload = await this._restorePoints.get(point.id);
+      if (payload) {
+        candidates.push({ source: point.id, payload });
+      }
+    }
+    
+    const valid = [];
+    for (const candidate of candidates) {
+      try {
+        const state = await this._decompressStateIfNeeded(candidate.payload);
+        if (this._validateLoadedState(state)) {
+          valid.push({ ...candidate, timestamp: Date.parse(state._persistedAt) || 0 });
+        }
+      } catch (error) {
+        // payload خراب؛ سراغ بعدی می‌رویم
+      }
+    }
+    
+    return valid.sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * ایجاد بک‌آپ از payload ذخیره شده
+   */
+  async _createBackup(payload) {
+    if (this._backupLocked) return;
+    
     try {
       const backupKey = `${this._options.storageKey}_backup`;
-      const currentBackup = localStorage.getItem(backupKey);
+      const currentBackup = await this._storage.getItem(backupKey);
       
       // فقط اگر State تغییر کرده، بک‌آپ می‌گیریم
-      if (!currentBackup || currentBackup !== JSON.stringify(state)) {
-        localStorage.setItem(backupKey, JSON.stringify(state));
+      if (!currentBackup || currentBackup !== payload) {
+        await this._storage.setItem(backupKey, payload);
       }
     } catch (error) {
       // بک‌آپ اختیاری است، خطا را نادیده می‌گیریم
@@ -270,63 +1280,108 @@ class StatePersistence {
   }
 
   /**
-   * فشرده‌سازی State اگر حجم زیاد شد
+   * سریال‌سازی و فشرده‌سازی State
+   * اگر حجم از maxStateSizeMB بیشتر شد، اول داده‌های موقت حذف می‌شوند
+   * @param {Object} state
+   * @param {Object} [options]
+   * @param {boolean} [options.trackMetrics=true] - ثبت آمار برای getStorageInfo
+   * @returns {Promise<string>} payload قابل ذخیره
    */
-  _compressStateIfNeeded(state) {
-    const stateString = JSON.stringify(state);
+  async _compressStateIfNeeded(state, { trackMetrics = true } = {}) {
+    const startedAt = Date.now();
+    let stateString = JSON.stringify(state);
     const sizeMB = (new TextEncoder().encode(stateString).length) / (1024 * 1024);
     
     if (sizeMB > this._options.maxStateSizeMB) {
       // حذف داده‌های قدیمی
-      const compressed = { ...state };
+      const pruned = { ...state };
       
       // حذف لاگ‌های قدیمی
-      if (compressed._logs && Array.isArray(compressed._logs)) {
-        compressed._logs = compressed._logs.slice(-20); // ۲۰ لاگ آخر
+      if (pruned._logs && Array.isArray(pruned._logs)) {
+        pruned._logs = pruned._logs.slice(-20); // ۲۰ لاگ آخر
       }
       
       // حذف داده‌های موقت
-      delete compressed._temp;
-      delete compressed._cache;
+      delete pruned._temp;
+      delete pruned._cache;
       
-      this._logCompression('compressed', sizeMB);
-      return compressed;
+      stateString = JSON.stringify(pruned);
+      this._logCompression('pruned', sizeMB);
     }
     
-    return state;
+    const encoded = await encodeStatePayload(stateString, {
+      codec: this._options.compression,
+      thresholdBytes: this._options.compressionThresholdBytes
+    });
+    
+    const metrics = {
+      codec: encoded.codec,
+      rawBytes: encoded.rawLength * 2,
+      storedBytes: encoded.storedLength * 2,
+      durationMs: Date.now() - startedAt
+    };
+    
+    if (trackMetrics) {
+      this._lastSaveMetrics = metrics;
+      
+      if (encoded.codec !== 'none') {
+        this._logCompression('compressed', sizeMB, metrics);
+      }
+    }
+    
+    return encoded.payload;
   }
 
   /**
-   * بازیابی State فشرده
+   * بازیابی State از payload (فشرده یا JSON خام قدیمی)
+   * @returns {Promise<Object>}
    */
-  _decompressStateIfNeeded(state) {
-    // اگر در آینده الگوریتم فشرده‌سازی پیچیده‌تری اضافه کنیم
-    // اینجا آن را مدیریت می‌کنیم
-    return state;
+  async _decompressStateIfNeeded(payload) {
+    const json = await decodeStatePayload(payload);
+    return JSON.parse(json);
   }
 
   /**
-   * بررسی دسترسی به localStorage
+   * انتخاب آداپتور ذخیره‌سازی در دسترس
    */
-  _checkStorageAvailability() {
+  async _checkStorageAvailability() {
     try {
-      const testKey = '__vakamova_test__';
-      localStorage.setItem(testKey, 'test');
-      localStorage.removeItem(testKey);
-      this._storageAvailable = true;
+      this._storage = await createStateStorage(this._options.storage, this._options.storageOptions);
     } catch (error) {
-      this._storageAvailable = false;
-      console.warn('LocalStorage not available. State will not be persisted.');
+      this._storage = null;
+    }
+    
+    this._storageAvailable = !!this._storage;
+    if (!this._storageAvailable) {
+      console.warn('No storage available. State will not be persisted.');
     }
   }
 
   /**
    * پاک‌سازی State ذخیره شده
+   * @returns {Promise<boolean>}
    */
-  clearPersistedState() {
+  async clearPersistedState() {
+    if (!this._storage) return false;
+    
     try {
-      localStorage.removeItem(this._options.storageKey);
-      localStorage.removeItem(`${this._options.storageKey}_backup`);
+      await this._writeChain;
+      await this._storage.removeItem(this._options.storageKey);
+      await this._storage.removeItem(`${this._options.storageKey}_backup`);
+      this._removeUnloadSnapshot();
+      
+      for (const slice of this._policies.getSeparateSlices()) {
+        const { sessionOnly } = this._policies.getSlicePolicy(slice);
+        await this._getSliceStorage(sessionOnly).removeItem(this._policies.getStorageKey(slice));
+      }
+      if (this._restorePoints) {
+        await this._restorePoints.clear();
+      }
+      
+      this._writtenSliceRefs.clear();
+      this._sliceUpdates.clear();
+      this._backupLocked = false;
+      this._savingSuspended = false;
       this._logClearOperation('success');
       return true;
     } catch (error) {
@@ -337,18 +1392,44 @@ class StatePersistence {
 
   /**
    * دریافت اطلاعات وضعیت ذخیره‌سازی
+   * اندازه‌ها بر حسب بایت UTF-16 (همان معیار سهمیه localStorage) هستند
+   * @returns {Promise<Object>}
    */
-  getStorageInfo() {
+  async getStorageInfo() {
     try {
-      const data = localStorage.getItem(this._options.storageKey);
-      const backup = localStorage.getItem(`${this._options.storageKey}_backup`);
+      if (!this._storage) {
+        throw new Error('Storage not available');
+      }
+      
+      const data = await this._storage.getItem(this._options.storageKey);
+      const backup = await this._storage.getItem(`${this._options.storageKey}_backup`);
+      const header = readPayloadHeader(data);
+      const state = data ? await this._decompressStateIfNeeded(data) : null;
+      
+      const rawBytes = header.rawLength * 2;
+      const storedBytes = header.storedLength * 2;
       
       return {
         hasData: !!data,
         hasBackup: !!backup,
-        dataSize: data ? (new Blob([data]).size / 1024).toFixed(2) + ' KB' : '0 KB',
-        lastPersisted: data ? new Date(JSON.parse(data)._persistedAt || 0).toLocaleString() : 'Never',
-        storageAvailable: this._storageAvailable
+        dataSize: (storedBytes / 1024).toFixed(2) + ' KB',
+        lastPersisted: state ? new Date(state._persistedAt || 0).toLocaleString() : 'Never',
+        storageAvailable: this._storageAvailable,
+        storageType: this._storage.name,
+        restorePoints: (await this.listRestorePoints()).length,
+        encryption: {
+          available: !!this._encryption,
+          slices: this._policies.getEncryptedSlices()
+        },
+        compression: {
+          codec: header.codec,
+          formatVersion: header.version,
+          rawBytes,
+          storedBytes,
+          ratio: rawBytes ? Number((storedBytes / rawBytes).toFixed(3)) : 1,
+          savedBytes: rawBytes - storedBytes,
+          lastDurationMs: this._lastSaveMetrics ? this._lastSaveMetrics.durationMs : null
+        }
       };
     } catch (error) {
       return {
@@ -357,6 +1438,10 @@ class StatePersistence {
         dataSize: '0 KB',
         lastPersisted: 'Never',
         storageAvailable: false,
+        storageType: null,
+        restorePoints: 0,
+        encryption: null,
+        compression: null,
         error: error.message
       };
     }
@@ -395,11 +1480,58 @@ class StatePersistence {
   /**
    * لاگ بازیابی
    */
-  _logRecovery(status, error = null) {
+  _logRecovery(status, error = null, source = null) {
     const logEntry = {
       type: 'recovery',
       status,
       timestamp: new Date().toISOString(),
+      source,
+      error
+    };
+    
+    this._storeLog(logEntry);
+  }
+
+  /**
+   * لاگ ترمیم State
+   */
+  _logRepair(status, repairs, errors = []) {
+    const logEntry = {
+      type: 'repair',
+      status,
+      timestamp: new Date().toISOString(),
+      repairs: repairs.map(({ path, action }) => ({ path, action })),
+      remainingErrors: errors.map(error => error.path)
+    };
+    
+    this._storeLog(logEntry);
+  }
+
+  /**
+   * لاگ migration
+   */
+  _logMigration(status, fromVersion, toVersion, error = null) {
+    const logEntry = {
+      type: 'migration',
+      status,
+      timestamp: new Date().toISOString(),
+      fromVersion,
+      toVersion,
+      error
+    };
+    
+    this._storeLog(logEntry);
+  }
+
+  /**
+   * لاگ رمزنگاری
+   */
+  _logEncryption(status, slice = null, error = null) {
+    const logEntry = {
+      type: 'encryption',
+      status,
+      timestamp: new Date().toISOString(),
+      slice,
       error
     };
     
@@ -409,12 +1541,14 @@ class StatePersistence {
   /**
    * لاگ فشرده‌سازی
    */
-  _logCompression(status, sizeMB) {
+  _logCompression(status, sizeMB, metrics = null) {
     const logEntry = {
       type: 'compression',
       status,
       timestamp: new Date().toISOString(),
-      sizeMB: sizeMB.toFixed(2)
+      sizeMB: sizeMB.toFixed(2),
+      codec: metrics?.codec,
+      storedBytes: metrics?.storedBytes
     };
     
     this._storeLog(logEntry);
@@ -461,11 +1595,28 @@ class StatePersistence {
       this._unsubscribeAutoSave = null;
     }
     
+    if (this._unsubscribeSessionActions) {
+      this._unsubscribeSessionActions();
+      this._unsubscribeSessionActions = null;
+    }
+    
     if (this._saveTimeout) {
       clearTimeout(this._saveTimeout);
       this._saveTimeout = null;
     }
     
+    if (this._restorePointTimer) {
+      clearInterval(this._restorePointTimer);
+      this._restorePointTimer = null;
+    }
+    
+    if (this._handlePageHide) {
+      window.removeEventListener('beforeunload', this._handlePageHide);
+      document.removeEventListener('visibilitychange', this._handleVisibilityChange);
+      this._handlePageHide = null;
+      this._handleVisibilityChange = null;
+    }
+    
     this._isInitialized = false;
   }
 }
@@ -488,7 +1639,9 @@ export function getStatePersistence() {
 }
 
 // Helper function برای استفاده آسان
-export function initializeStatePersistence(stateManager, options) {
+export async function initializeStatePersistence(stateManager, options) {
   const persistence = createStatePersistence(stateManager, options);
   return persistence.initialize();
-  }
+}
+
+export { StatePersistence };
@@ -0,0 +1,513 @@
+/**
+ * 🧪 تست State Persistence
+ * تست‌های رمزنگاری، چرخش کلید، سیاست‌ها، ذخیره هنگام بسته شدن صفحه و restore pointها
+ */
+
+import { StatePersistence } from './state-persistance.js';
+import { VakamovaStateManager, ActionCreators, createReducer } from './state-manager.js';
+import { StateStorageAdapter } from './state-storage.js';
+import { StateEncryption, EncryptionKeyStore } from './state-encryption.js';
+import { RestorePointStore } from './state-restore-points.js';
+import { StateMigrationRegistry } from './state-migrations.js';
+
+// Mock محیط مرورگر
+const localItems = new Map();
+global.localStorage = {
+    getItem: key => (localItems.has(key) ? localItems.get(key) : null),
+    setItem: (key, value) => localItems.set(key, String(value)),
+    removeItem: key => localItems.delete(key)
+};
+global.window = { addEventListener: jest.fn(), removeEventListener: jest.fn() };
+global.document = { visibilityState: 'visible', addEventListener: jest.fn(), removeEventListener: jest.fn() };
+
+// آداپتور ذخیره‌سازی در حافظه
+class MemoryStorage extends StateStorageAdapter {
+    constructor() {
+        super();
+        this.items = new Map();
+    }
+
+    get name() {
+        return 'memory';
+    }
+
+    async initialize() {
+        return true;
+    }
+
+    async getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    async setItem(key, value) {
+        if (this.quota && this._sizeWith(key, value) > this.quota) {
+            const error = new Error('The quota has been exceeded.');
+            error.name = 'QuotaExceededError';
+            throw error;
+        }
+        this.items.set(key, value);
+    }
+
+    _sizeWith(key, value) {
+        let size = value.length;
+        this.items.forEach((item, itemKey) => {
+            if (itemKey !== key) size += item.length;
+        });
+        return size;
+    }
+
+    async removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+// نگهداری کلیدها در حافظه
+class MemoryKeyStore extends EncryptionKeyStore {
+    constructor() {
+        super();
+        this.records = new Map();
+    }
+
+    async initialize() {
+        return true;
+    }
+
+    async get(id) {
+        return this.records.get(id) || null;
+    }
+
+    async put(record) {
+        this.records.set(record.id, record);
+    }
+
+    async delete(id) {
+        this.records.delete(id);
+    }
+}
+
+describe('StatePersistence', () => {
+    let stateManager;
+    let storage;
+    let keyStore;
+    let persistence;
+
+    const createPersistence = (options = {}) => new StatePersistence(stateManager, {
+        storage,
+        autoSave: false,
+        compression: 'none',
+        encryption: new StateEncryption({ keyStore }),
+        slicePolicies: { user: { encrypt: true } },
+        restorePoints: { intervalMs: 0 },
+        ...options
+    });
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        localItems.clear();
+        stateManager = new VakamovaStateManager({});
+        stateManager.setDevelopmentMode(false);
+        storage = new MemoryStorage();
+        keyStore = new MemoryKeyStore();
+        persistence = createPersistence();
+        await persistence.initialize();
+    });
+
+    afterEach(() => {
+        persistence.disable();
+        jest.restoreAllMocks();
+    });
+
+    // بارگذاری در یک «تب جدید» با همان storage و کلیدها
+    const reload = async (options = {}) => {
+        persistence.disable();
+        stateManager = new VakamovaStateManager({});
+        stateManager.setDevelopmentMode(false);
+        persistence = createPersistence(options);
+        await persistence.initialize();
+        return stateManager.getState();
+    };
+
+    const firePageHide = () => {
+        const [, handler] = window.addEventListener.mock.calls.find(([type]) => type === 'beforeunload');
+        handler();
+    };
+
+    describe('async API', () => {
+        test('should resolve storage info from the adapter', async () => {
+            stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 80));
+            await persistence.saveStateImmediately();
+
+            const info = await persistence.getStorageInfo();
+
+            expect(info.hasData).toBe(true);
+            expect(info.storageType).toBe('memory');
+            expect(info.encryption.slices).toEqual(['user']);
+        });
+
+        test('should clear persisted state and load nothing afterwards', async () => {
+            stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 80));
+            await persistence.saveStateImmediately();
+
+            expect(await persistence.clearPersistedState()).toBe(true);
+            expect(await persistence.loadState()).toBeNull();
+        });
+    });
+
+    describe('migrations', () => {
+        const savePayload = state => storage.setItem('vakamova_app_state', JSON.stringify(state));
+
+        test('should migrate an old payload on load and save it with the new version', async () => {
+            const migrations = new StateMigrationRegistry()
+                .register(1, state => ({ ...state, lessons: { ...state.lessons, migrated: { id: 'migrated' } } }));
+            await savePayload({ _version: 1, lessons: { l1: { id: 'l1' } } });
+
+            const state = await reload({ migrations });
+
+            expect(Object.keys(state.lessons)).toEqual(['l1', 'migrated']);
+            expect(persistence.getMigrationStatus()).toMatchObject({ status: 'migrated', applied: [1] });
+            expect(JSON.parse(await storage.getItem('vakamova_app_state'))._schemaVersion).toBe(1);
+        });
+
+        test('should keep the old payload when a migration fails', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const migrations = new StateMigrationRegistry().register(1, () => {
+                throw new Error('boom');
+            });
+            const payload = JSON.stringify({ _version: 1, lessons: { l1: { id: 'l1' } } });
+            await storage.setItem('vakamova_app_state', payload);
+
+            await reload({ migrations });
+
+            expect(persistence.getMigrationStatus().status).toBe('failed');
+            expect(await storage.getItem('vakamova_app_state')).toBe(payload);
+            expect(await persistence.saveStateImmediately()).toBe(false);
+        });
+    });
+
+    describe('encryption', () => {
+        test('should not store encrypted slices in plain text', async () => {
+            stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+            await persistence.saveStateImmediately();
+
+            const stored = await storage.getItem('vakamova_app_state');
+            expect(stored).not.toContain('ali@test.com');
+            expect(StateEncryption.isEnvelope(JSON.parse(stored).user)).toBe(true);
+        });
+
+        test('should decrypt encrypted slices on load', async () => {
+            stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+            await persistence.saveStateImmediately();
+
+            const state = await reload();
+
+            expect(state.user.email).toBe('ali@test.com');
+        });
+
+        test('should reset a slice whose key is gone', async () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+            stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 80));
+            await persistence.saveStateImmediately();
+            keyStore = new MemoryKeyStore();
+
+            const state = await reload();
+
+            expect(state.user).toBeUndefined();
+            expect(state.progress.lesson_1.score).toBe(80);
+        });
+    });
+
+    describe('slice policies', () => {
+        test('should not persist paths with persist: false', async () => {
+            persistence.setSlicePolicy('user.token', { persist: false });
+            stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com', token: 'secret' }));
+            await persistence.saveStateImmediately();
+
+            const state = await reload();
+
+            expect(state.user.email).toBe('ali@test.com');
+            expect(state.user.token).toBeUndefined();
+        });
+
+        test('should not persist ui.isLoading by default', async () => {
+            stateManager.dispatch(ActionCreators.startLoading());
+            await persistence.saveStateImmediately();
+
+            expect(JSON.parse(await storage.getItem('vakamova_app_state')).ui).not.toHaveProperty('isLoading');
+        });
+    });
+
+    describe('separate keys and TTL', () => {
+        test('should store a slice with storageKey under its own key', async () => {
+            await reload({ slicePolicies: { lessons: { storageKey: 'vakamova_lessons' } } });
+            stateManager.dispatch(ActionCreators.loadLesson({ id: 'l1', title: 'Alphabet' }));
+            await persistence.saveStateImmediately();
+
+            expect(JSON.parse(await storage.getItem('vakamova_app_state'))).not.toHaveProperty('lessons');
+            expect(await storage.getItem('vakamova_lessons')).toContain('Alphabet');
+
+            const state = await reload({ slicePolicies: { lessons: { storageKey: 'vakamova_lessons' } } });
+            expect(state.lessons.l1.title).toBe('Alphabet');
+        });
+
+        test('should not rewrite an unchanged separate slice', async () => {
+            await reload({ slicePolicies: { lessons: { storageKey: 'vakamova_lessons' } } });
+            stateManager.dispatch(ActionCreators.loadLesson({ id: 'l1', title: 'Alphabet' }));
+            await persistence.saveStateImmediately();
+            const setItem = jest.spyOn(storage, 'setItem');
+
+            stateManager.dispatch(ActionCreators.completeLesson('l1', 70));
+            await persistence.saveStateImmediately();
+
+            expect(setItem.mock.calls.map(([key]) => key)).not.toContain('vakamova_lessons');
+        });
+
+        test('should drop a slice whose TTL has passed since its last change', async () => {
+            const slicePolicies = { lessons: { ttlMs: 1000 } };
+            await reload({ slicePolicies });
+            stateManager.dispatch(ActionCreators.loadLesson({ id: 'l1', title: 'Alphabet' }));
+            stateManager.dispatch(ActionCreators.completeLesson('l1', 70));
+            await persistence.saveStateImmediately();
+
+            const now = Date.now();
+            jest.spyOn(Date, 'now').mockReturnValue(now + 2000);
+            const state = await reload({ slicePolicies });
+
+            expect(state.lessons).toBeUndefined();
+            expect(state.progress.l1.score).toBe(70);
+        });
+
+        test('should keep a slice within its TTL', async () => {
+            const slicePolicies = { lessons: { ttlMs: 60000 } };
+            await reload({ slicePolicies });
+            stateManager.dispatch(ActionCreators.loadLesson({ id: 'l1', title: 'Alphabet' }));
+            await persistence.saveStateImmediately();
+
+            const state = await reload({ slicePolicies });
+
+            expect(state.lessons.l1.title).toBe('Alphabet');
+        });
+    });
+
+    describe('session-only slices', () => {
+        const slicePolicies = { session: { sessionOnly: true } };
+
+        const registerSession = () => stateManager.registerReducer('session', createReducer({ token: null }, {
+            SESSION_STARTED: (session, action) => ({ ...session, token: action.payload })
+        }));
+
+        beforeEach(async () => {
+            await reload({ slicePolicies });
+            registerSession();
+            stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+            stateManager.dispatch({ type: 'SESSION_STARTED', payload: 'abc' });
+            await persistence.saveStateImmediately();
+        });
+
+        test('should keep session slices out of the main payload', async () => {
+            expect(await storage.getItem('vakamova_app_state')).not.toContain('abc');
+            expect(await storage.getItem('vakamova_app_state_session')).toContain('abc');
+        });
+
+        test('should reset the in-memory slice on logout', async () => {
+            stateManager.dispatch(ActionCreators.logoutUser());
+
+            expect(stateManager.getState().session).toEqual({ token: null });
+        });
+
+        test('should remove the stored slice on logout', async () => {
+            stateManager.dispatch(ActionCreators.logoutUser());
+            await persistence.saveStateImmediately();
+
+            expect(await storage.getItem('vakamova_app_state_session')).toBeNull();
+        });
+
+        test('should persist the slice again after the next login', async () => {
+            stateManager.dispatch(ActionCreators.logoutUser());
+            stateManager.dispatch(ActionCreators.loginUser({ email: 'sara@test.com' }));
+            stateManager.dispatch({ type: 'SESSION_STARTED', payload: 'xyz' });
+            await persistence.saveStateImmediately();
+
+            expect(await storage.getItem('vakamova_app_state_session')).toContain('xyz');
+        });
+    });
+
+    describe('page hide', () => {
+        test('should keep the last change when the async write does not finish', async () => {
+            stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+            await persistence.saveStateImmediately();
+            stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 90));
+            persistence._debouncedSave();
+
+            // صفحه قبل از تمام شدن نوشتن IndexedDB بسته می‌شود
+            const setItem = jest.spyOn(storage, 'setItem').mockImplementation(() => new Promise(() => {}));
+            firePageHide();
+            setItem.mockRestore();
+
+            const state = await reload();
+
+            expect(state.progress.lesson_1.score).toBe(90);
+            expect(state.user.email).toBe('ali@test.com');
+        });
+
+        test('should keep the last change when an immediate save is still pending', async () => {
+            stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+            await persistence.saveStateImmediately();
+            await new Promise(resolve => setTimeout(resolve, 5));
+            stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 90));
+
+            // debounce تمام شده و نوشتن ناهمگام هنوز در جریان است
+            jest.spyOn(storage, 'setItem').mockImplementationOnce(() => new Promise(() => {}));
+            persistence.saveStateImmediately();
+            firePageHide();
+
+            const state = await reload();
+
+            expect(state.progress.lesson_1.score).toBe(90);
+            expect(state.user.email).toBe('ali@test.com');
+        });
+
+        test('should keep the snapshot while a newer save is queued', async () => {
+            stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 60));
+            const first = persistence.saveStateImmediately();
+            stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 90));
+            persistence._debouncedSave();
+
+            firePageHide();
+            await first;
+
+            expect(localStorage.getItem('vakamova_app_state_unload')).toContain('90');
+        });
+
+        test('should leave encrypted slices out of the synchronous snapshot', async () => {
+            stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+            persistence._debouncedSave();
+            jest.spyOn(storage, 'setItem').mockImplementation(() => new Promise(() => {}));
+
+            firePageHide();
+
+            const snapshot = localStorage.getItem('vakamova_app_state_unload');
+            expect(snapshot).not.toBeNull();
+            expect(snapshot).not.toContain('ali@test.com');
+        });
+
+        test('should drop the snapshot once a full save succeeds', async () => {
+            stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 90));
+            persistence._debouncedSave();
+
+            firePageHide();
+            await persistence.saveStateImmediately();
+
+            expect(localStorage.getItem('vakamova_app_state_unload')).toBeNull();
+        });
+
+        test('should ignore a snapshot older than the saved state', async () => {
+            stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 60));
+            persistence._writeUnloadSnapshot();
+            const snapshot = localStorage.getItem('vakamova_app_state_unload');
+            await new Promise(resolve => setTimeout(resolve, 5));
+            stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 90));
+            await persistence.saveStateImmediately();
+            localStorage.setItem('vakamova_app_state_unload', snapshot);
+
+            const state = await reload();
+
+            expect(state.progress.lesson_1.score).toBe(90);
+        });
+    });
+
+    describe('key rotation', () => {
+        test('should restore a point created before the key was rotated', async () => {
+            stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+            const point = await persistence.createRestorePoint();
+            const previousKeyId = persistence._encryption.getActiveKeyId();
+
+            expect(await persistence.rotateEncryptionKey()).toBe(true);
+            stateManager.dispatch(ActionCreators.loginUser({ email: 'sara@test.com' }));
+
+            expect(await persistence.restoreRestorePoint(point.id)).toBe(true);
+            expect(stateManager.getState().user.email).toBe('ali@test.com');
+            expect(await keyStore.get(previousKeyId)).toBeNull();
+        });
+
+        test('should re-encrypt restore points with the new key', async () => {
+            stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+            const point = await persistence.createRestorePoint();
+
+            await persistence.rotateEncryptionKey();
+
+            const stored = JSON.parse(await storage.getItem(`vakamova_app_state_${point.id}`));
+            expect(stored.user.kid).toBe(persistence._encryption.getActiveKeyId());
+        });
+
+        test('should keep the previous key while a restore point still needs it', async () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+            const point = await persistence.createRestorePoint();
+            const previousKeyId = persistence._encryption.getActiveKeyId();
+
+            // envelope دستکاری شده قابل رمزگشایی نیست
+            const key = `vakamova_app_state_${point.id}`;
+            const stored = JSON.parse(await storage.getItem(key));
+            stored.user.data = stored.user.data.split('').reverse().join('');
+            await storage.setItem(key, JSON.stringify(stored));
+
+            await persistence.rotateEncryptionKey();
+
+            expect(await keyStore.get(previousKeyId)).not.toBeNull();
+        });
+    });
+
+    describe('restore point size', () => {
+        test('should evict the oldest points to stay under maxBytes', async () => {
+            const points = new RestorePointStore(storage, { baseKey: 'test', maxBytes: 250 });
+
+            const first = await points.add('a'.repeat(50));
+            const second = await points.add('b'.repeat(50));
+            const third = await points.add('c'.repeat(50));
+
+            expect((await points.list()).map(point => point.id)).toEqual([third.id, second.id]);
+            expect(await points.get(first.id)).toBeNull();
+        });
+
+        test('should reject a single point larger than maxBytes', async () => {
+            const points = new RestorePointStore(storage, { baseKey: 'test', maxBytes: 100 });
+
+            await expect(points.add('a'.repeat(60))).rejects.toThrow('maxBytes');
+            expect(await points.list()).toEqual([]);
+        });
+
+        test('should drop older points when the storage quota is full', async () => {
+            const points = new RestorePointStore(storage, { baseKey: 'test' });
+            const first = await points.add('a'.repeat(100));
+            const second = await points.add('b'.repeat(100));
+            storage.quota = storage._sizeWith('', '') + 20;
+
+            const third = await points.add('c'.repeat(100));
+
+            expect((await points.list()).map(point => point.id)).toEqual([third.id, second.id]);
+            expect(await points.get(first.id)).toBeNull();
+        });
+
+        test('should fail without a dangling index entry when nothing fits', async () => {
+            const points = new RestorePointStore(storage, { baseKey: 'test' });
+            storage.quota = 50;
+
+            await expect(points.add('a'.repeat(100))).rejects.toThrow('quota');
+            expect(await points.list()).toEqual([]);
+        });
+
+        test('should give up restore points before the live state on quota errors', async () => {
+            stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+            await persistence.createRestorePoint();
+            await persistence.createRestorePoint();
+            storage.quota = storage._sizeWith('', '') + 200;
+
+            stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 90));
+
+            expect(await persistence.saveStateImmediately()).toBe(true);
+            expect(await persistence.listRestorePoints()).toEqual([]);
+            expect(storage.items.get('vakamova_app_state')).toContain('lesson_1');
+        });
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * State Persistence Policies - سیاست‌های ذخیره‌سازی برای هر مسیر از State
+ * اصول رعایت شده: SRP, OCP, KISS
+ *
+ * هر کلید یک مسیر است ('lessons' یا 'ui.isLoading'):
+ *   persist: false      -> ذخیره نمی‌شود (مسیرهای تو در تو فقط همین گزینه را دارند)
+ *   storageKey: string  -> slice در کلید جداگانه ذخیره می‌شود
+ *   ttlMs: number       -> داده ذخیره شده بعد از این مدت (از آخرین تغییر slice) دور ریخته می‌شود
+ *   sessionOnly: true   -> فقط در sessionStorage و تا USER_LOGOUT نگه داشته می‌شود
+ *   encrypt: true       -> slice با AES-GCM رمز می‌شود (state-encryption.js)
+ *
+ * مثال:
+ *   {
+ *     'ui.isLoading': { persist: false },
+ *     'user.token': { persist: false },
+ *     user: { encrypt: true },
+ *     lessons: { storageKey: 'vakamova_lessons', ttlMs: 24 * 60 * 60 * 1000 },
+ *     session: { sessionOnly: true }
+ *   }
+ */
+
+export const DEFAULT_STATE_POLICIES = {
+  'ui.isLoading': { persist: false }
+};
+
+class StatePolicies {
+  /**
+   * @param {Object} policies - مسیر -> سیاست
+   * @param {Object} [options]
+   * @param {string[]|null} [options.whitelist] - اگر تعیین شود فقط این sliceها ذخیره می‌شوند
+   * @param {string[]} [options.blacklist] - مسیرهایی که ذخیره نمی‌شوند
+   * @param {string} [options.baseStorageKey] - پیشوند کلید sliceهای sessionOnly بدون storageKey
+   */
+  constructor(policies = {}, options = {}) {
+    this._policies = new Map();
+    this._whitelist = options.whitelist ? new Set(options.whitelist) : null;
+    this._baseStorageKey = options.baseStorageKey || 'vakamova_app_state';
+
+    Object.entries({ ...DEFAULT_STATE_POLICIES, ...policies }).forEach(([path, policy]) => {
+      this.setPolicy(path, policy);
+    });
+
+    (options.blacklist || []).forEach(path => this.setPolicy(path, { persist: false }));
+  }
+
+  /**
+   * ثبت یا جایگزینی سیاست یک مسیر
+   * @param {string} path
+   * @param {Object} policy
+   */
+  setPolicy(path, policy = {}) {
+    const isNested = path.includes('.');
+
+    if (isNested && (policy.storageKey || policy.ttlMs || policy.sessionOnly || policy.encrypt)) {
+      throw new Error(`Only "persist" is supported for nested path "${path}"`);
+    }
+
+    if (policy.ttlMs !== undefined && !(policy.ttlMs > 0)) {
+      throw new Error(`Invalid ttlMs for "${path}"`);
+    }
+
+    this._policies.set(path, {
+      persist: policy.persist !== false,
+      storageKey: policy.storageKey || null,
+      ttlMs: policy.ttlMs || null,
+      sessionOnly: !!policy.sessionOnly,
+      encrypt: !!policy.encrypt
+    });
+  }
+
+  /**
+   * سیاست نهایی یک slice
+   * @param {string} slice
+   * @returns {{persist: boolean, storageKey: string|null, ttlMs: number|null, sessionOnly: boolean, encrypt: boolean}}
+   */
+  getSlicePolicy(slice) {
+    const policy = this._policies.get(slice) ||
+      { persist: true, storageKey: null, ttlMs: null, sessionOnly: false, encrypt: false };
+
+    if (this._whitelist && !this._whitelist.has(slice)) {
+      return { ...policy, persist: false };
+    }
+
+    return policy;
+  }
+
+  /**
+   * کلید ذخیره جداگانه slice یا null اگر داخل blob اصلی است
+   * @param {string} slice
+   * @returns {string|null}
+   */
+  getStorageKey(slice) {
+    const policy = this.getSlicePolicy(slice);
+    if (policy.storageKey) return policy.storageKey;
+    if (policy.sessionOnly) return `${this._baseStorageKey}_${slice}`;
+    return null;
+  }
+
+  /**
+   * sliceهایی که در کلید جداگانه ذخیره می‌شوند
+   * @returns {string[]}
+   */
+  getSeparateSlices() {
+    return [...this._policies.keys()].filter(path =>
+      !path.includes('.') && this.getSlicePolicy(path).persist && this.getStorageKey(path)
+    );
+  }
+
+  /**
+   * sliceهایی که باید رمز شوند
+   * @returns {string[]}
+   */
+  getEncryptedSlices() {
+    return [...this._policies.keys()].filter(path =>
+      !path.includes('.') && this.getSlicePolicy(path).persist && this.getSlicePolicy(path).encrypt
+    );
+  }
+
+  /**
+   * حذف مسیرهای غیرقابل ذخیره از کپی State (درجا)
+   * @param {Object} stateCopy
+   * @returns {Object}
+   */
+  applyPathRules(stateCopy) {
+    Object.keys(stateCopy).forEach(key => {
+      if (!key.startsWith('_') && !this.getSlicePolicy(key).persist) {
+        delete stateCopy[key];
+      }
+    });
+
+    this._policies.forEach((policy, path) => {
+      if (policy.persist || !path.includes('.')) return;
+
+      const segments = path.split('.');
+      const last = segments.pop();
+      const parent = segments.reduce((node, segment) =>
+        (node && typeof node === 'object' ? node[segment] : undefined), stateCopy);
+
+      if (parent && typeof parent === 'object') {
+        delete parent[last];
+      }
+    });
+
+    return stateCopy;
+  }
+}
+
+export { StatePolicies };
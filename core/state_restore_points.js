@@ -0,0 +1,146 @@
+/**
+ * Restore Points - حلقه‌ای از snapshotهای زمان‌دار State ذخیره شده
+ * اصول رعایت شده: SRP, DIP, KISS
+ *
+ * هر restore point یک payload کامل (همان قالب کلید اصلی: فشرده و رمز شده)
+ * در کلید `${baseKey}_rp_<id>` است و فهرست متادیتا در `${baseKey}_restore_points`.
+ * با رسیدن به maxPoints یا maxBytes (حجم کل) قدیمی‌ترین نقطه حذف می‌شود؛
+ * اگر storage پر باشد، نقطه‌های قدیمی‌تر برای جا باز کردن حذف می‌شوند.
+ */
+
+import { isQuotaExceededError } from './state-storage.js';
+
+export const RestorePointReasons = {
+  SCHEDULED: 'scheduled',
+  MANUAL: 'manual',
+  BEFORE_MIGRATION: 'before_migration',
+  BEFORE_LOGOUT: 'before_logout',
+  BEFORE_RESTORE: 'before_restore'
+};
+
+class RestorePointStore {
+  /**
+   * @param {StateStorageAdapter} storage
+   * @param {Object} options
+   * @param {string} options.baseKey - کلید اصلی State
+   * @param {number} [options.maxPoints=5]
+   * @param {number} [options.maxBytes=2097152] - سقف حجم کل payloadها (بایت UTF-16)
+   */
+  constructor(storage, options = {}) {
+    if (!storage) {
+      throw new Error('Storage adapter required');
+    }
+
+    this._storage = storage;
+    this._baseKey = options.baseKey || 'vakamova_app_state';
+    this._maxPoints = options.maxPoints || 5;
+    this._maxBytes = options.maxBytes || 2 * 1024 * 1024;
+    this._indexKey = `${this._baseKey}_restore_points`;
+  }
+
+  /**
+   * فهرست restore pointها (جدیدترین اول)
+   * @returns {Promise<Array<{id: string, createdAt: string, reason: string, version: number, schemaVersion: number, size: number}>>}
+   */
+  async list() {
+    try {
+      const index = JSON.parse((await this._storage.getItem(this._indexKey)) || '[]');
+      return Array.isArray(index) ? index.slice().sort((a, b) => b.timestamp - a.timestamp) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * افزودن restore point جدید
+   * @param {string} payload
+   * @param {Object} meta - { reason, version, schemaVersion }
+   * @returns {Promise<Object>} متادیتای نقطه جدید
+   */
+  async add(payload, meta = {}) {
+    if (payload.length * 2 > this._maxBytes) {
+      throw new Error(`Restore point exceeds maxBytes (${this._maxBytes})`);
+    }
+
+    const timestamp = Date.now();
+    const point = {
+      id: `rp_${timestamp}_${Math.random().toString(36).substr(2, 6)}`,
+      timestamp,
+      createdAt: new Date(timestamp).toISOString(),
+      reason: meta.reason || RestorePointReasons.MANUAL,
+      version: meta.version || 0,
+      schemaVersion: meta.schemaVersion || 0,
+      size: payload.length * 2
+    };
+
+    // اول جا باز می‌شود، بعد نوشتن (نقطه جدید اول فهرست است)
+    const points = [point, ...(await this.list())];
+    while (points.length > this._maxPoints || totalSize(points) > this._maxBytes) {
+      await this._storage.removeItem(this._pointKey(points.pop().id));
+    }
+
+    for (;;) {
+      try {
+        await this._storage.setItem(this._pointKey(point.id), payload);
+        break;
+      } catch (error) {
+        if (!isQuotaExceededError(error) || points.length === 1) {
+          await this._storage.setItem(this._indexKey, JSON.stringify(points.slice(1)));
+          throw error;
+        }
+        await this._storage.removeItem(this._pointKey(points.pop().id));
+      }
+    }
+
+    await this._storage.setItem(this._indexKey, JSON.stringify(points));
+    return point;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<string|null>} payload
+   */
+  async get(id) {
+    return this._storage.getItem(this._pointKey(id));
+  }
+
+  /**
+   * جایگزینی payload یک restore point موجود (مثلاً بعد از چرخش کلید رمزنگاری)
+   * @param {string} id
+   * @param {string} payload
+   * @returns {Promise<boolean>} false اگر نقطه وجود نداشته باشد
+   */
+  async replace(id, payload) {
+    const points = await this.list();
+    const point = points.find(item => item.id === id);
+    if (!point) return false;
+
+    await this._storage.setItem(this._pointKey(id), payload);
+    point.size = payload.length * 2;
+    await this._storage.setItem(this._indexKey, JSON.stringify(points));
+    return true;
+  }
+
+  async remove(id) {
+    const points = (await this.list()).filter(point => point.id !== id);
+    await this._storage.setItem(this._indexKey, JSON.stringify(points));
+    await this._storage.removeItem(this._pointKey(id));
+  }
+
+  async clear() {
+    for (const point of await this.list()) {
+      await this._storage.removeItem(this._pointKey(point.id));
+    }
+    await this._storage.removeItem(this._indexKey);
+  }
+
+  _pointKey(id) {
+    return `${this._baseKey}_${id}`;
+  }
+}
+
+function totalSize(points) {
+  return points.reduce((sum, point) => sum + (point.size || 0), 0);
+}
+
+export { RestorePointStore };
@@ -0,0 +1,170 @@
+/**
+ * State Selectors - انتخاب‌گرهای memoize شده برای داده‌های مشتق از State
+ * اصول رعایت شده: SRP, DRY, KISS
+ *
+ * selector فقط وقتی resultFn را دوباره اجرا می‌کند که خروجی یکی از
+ * input selectorها (با مقایسه reference) عوض شده باشد. چون State Manager
+ * ساختار مشترک دارد، sliceهای دست‌نخورده همان reference قبلی را دارند.
+ */
+
+const DEFAULT_SELECTOR_OPTIONS = {
+  // تعداد ترکیب پارامترهایی که نتیجه‌شان نگه داشته می‌شود (LRU)
+  maxCacheSize: 20,
+  name: null
+};
+
+/**
+ * ساخت selector memoize شده
+ * هر دو شکل پشتیبانی می‌شود:
+ *   createSelector([selectA, selectB], (a, b) => ..., options)
+ *   createSelector(selectA, selectB, (a, b) => ...)
+ *
+ * input selectorها (state, ...params) را می‌گیرند، پس selector پارامتری
+ * (مثلاً بر اساس lessonId) برای هر پارامتر کش جداگانه دارد:
+ *   const selectLessonScore = createSelector(
+ *     [state => state.progress, (state, lessonId) => lessonId],
+ *     (progress, lessonId) => progress?.[lessonId]?.score || 0
+ *   );
+ *   selectLessonScore(state, 'lesson_1');
+ *
+ * @returns {Function} selector با متدهای getStats و resetCache
+ */
+export function createSelector(...args) {
+  const { inputSelectors, resultFn, options } = parseSelectorArgs(args);
+  const settings = { ...DEFAULT_SELECTOR_OPTIONS, ...options };
+
+  // کلید پارامترها -> { inputs, result }
+  const cache = new Map();
+  const stats = { calls: 0, hits: 0, recomputations: 0, evictions: 0 };
+
+  const selector = (state, ...params) => {
+    stats.calls++;
+
+    const cacheKey = createCacheKey(params);
+    const inputs = inputSelectors.map(inputSelector => inputSelector(state, ...params));
+    const entry = cache.get(cacheKey);
+
+    if (entry && inputs.every((value, index) => Object.is(value, entry.inputs[index]))) {
+      stats.hits++;
+
+      // تازه کردن جایگاه در LRU
+      cache.delete(cacheKey);
+      cache.set(cacheKey, entry);
+      return entry.result;
+    }
+
+    stats.recomputations++;
+    const result = resultFn(...inputs);
+
+    cache.delete(cacheKey);
+    cache.set(cacheKey, { inputs, result });
+
+    if (cache.size > settings.maxCacheSize) {
+      cache.delete(cache.keys().next().value);
+      stats.evictions++;
+    }
+
+    return result;
+  };
+
+  selector.selectorName = settings.name || resultFn.name || 'anonymous';
+  selector.resultFn = resultFn;
+  selector.inputSelectors = inputSelectors;
+
+  /**
+   * آمار کش selector
+   * @returns {{name: string, calls: number, hits: number, recomputations: number, evictions: number, cacheSize: number, hitRate: number}}
+   */
+  selector.getStats = () => ({
+    name: selector.selectorName,
+    ...stats,
+    cacheSize: cache.size,
+    hitRate: stats.calls ? stats.hits / stats.calls : 0
+  });
+
+  selector.resetCache = () => {
+    cache.clear();
+    stats.calls = 0;
+    stats.hits = 0;
+    stats.recomputations = 0;
+    stats.evictions = 0;
+  };
+
+  return selector;
+}
+
+/**
+ * جدا کردن input selectorها، resultFn و تنظیمات از آرگومان‌ها
+ */
+function parseSelectorArgs(args) {
+  let inputSelectors;
+  let resultFn;
+  let options = {};
+
+  if (Array.isArray(args[0])) {
+    [inputSelectors, resultFn, options = {}] = args;
+  } else {
+    inputSelectors = args.slice(0, -1);
+    resultFn = args[args.length - 1];
+  }
+
+  if (typeof resultFn !== 'function') {
+    throw new Error('Selector result function must be a function');
+  }
+
+  if (!inputSelectors.every(inputSelector => typeof inputSelector === 'function')) {
+    throw new Error('Input selectors must be functions');
+  }
+
+  return { inputSelectors, resultFn, options };
+}
+
+/**
+ * کلید کش بر اساس پارامترها (lessonId، courseId و ...)
+ * نوع پارامتر بخشی از کلید است تا 1 و '1' کش مشترک نداشته باشند
+ */
+function createCacheKey(params) {
+  if (params.length === 0) return '';
+  if (params.length === 1 && typeof params[0] !== 'object') return `${typeof params[0]}:${String(params[0])}`;
+  return `json:${JSON.stringify(params)}`;
+}
+
+// ==================== Selectorهای پایه Vakamova ====================
+
+const selectUser = (state) => state.user;
+const selectLessons = (state) => state.lessons;
+const selectProgress = (state) => state.progress;
+
+/**
+ * پیشرفت یک درس (state, lessonId)
+ */
+const selectLessonProgress = createSelector(
+  [selectProgress, (state, lessonId) => lessonId],
+  (progress, lessonId) => progress?.[lessonId] || { completed: false, score: 0 },
+  { name: 'lessonProgress' }
+);
+
+/**
+ * درصد تکمیل یک دوره (state, courseId) بر اساس lesson.courseId
+ */
+const selectCourseCompletion = createSelector(
+  [selectLessons, selectProgress, (state, courseId) => courseId],
+  (lessons, progress, courseId) => {
+    const courseLessons = Object.values(lessons || {})
+      .filter(lesson => lesson && lesson.courseId === courseId);
+
+    if (courseLessons.length === 0) return 0;
+
+    const completed = courseLessons.filter(lesson => progress?.[lesson.id]?.completed).length;
+    return Math.round((completed / courseLessons.length) * 100);
+  },
+  { name: 'courseCompletion' }
+);
+
+export const VakamovaSelectors = {
+  user: selectUser,
+  lessons: selectLessons,
+  progress: selectProgress,
+  lessonProgress: selectLessonProgress,
+  courseCompletion: selectCourseCompletion
+};
@@ -0,0 +1,148 @@
+/**
+ * 🧪 تست State Selectors
+ * تست‌های memoize، کش LRU و رجیستری selectorها
+ */
+
+import { createSelector, VakamovaSelectors } from './state-selectors.js';
+import ContextProvider from './context-provider.js';
+
+global.localStorage = {
+    getItem: jest.fn(() => null),
+    setItem: jest.fn(),
+    removeItem: jest.fn()
+};
+
+const state = {
+    lessons: {
+        l1: { id: 'l1', courseId: 'c1' },
+        l2: { id: 'l2', courseId: 'c1' }
+    },
+    progress: {
+        l1: { completed: true, score: 80 }
+    }
+};
+
+describe('createSelector', () => {
+    test('should return the cached result while inputs keep their reference', () => {
+        const resultFn = jest.fn(progress => Object.keys(progress));
+        const selectCompleted = createSelector([s => s.progress], resultFn);
+
+        const first = selectCompleted(state);
+        const second = selectCompleted({ ...state, ui: {} });
+
+        expect(second).toBe(first);
+        expect(resultFn).toHaveBeenCalledTimes(1);
+        expect(selectCompleted.getStats()).toMatchObject({ calls: 2, hits: 1, recomputations: 1 });
+    });
+
+    test('should recompute when an input changes', () => {
+        const resultFn = jest.fn(progress => Object.keys(progress));
+        const selectCompleted = createSelector(s => s.progress, resultFn);
+
+        selectCompleted(state);
+        const result = selectCompleted({ ...state, progress: { ...state.progress, l2: { completed: true } } });
+
+        expect(result).toEqual(['l1', 'l2']);
+        expect(resultFn).toHaveBeenCalledTimes(2);
+    });
+
+    test('should keep a separate cache entry per parameter', () => {
+        const resultFn = jest.fn((progress, id) => progress[id] || null);
+        const selectProgress = createSelector([s => s.progress, (s, id) => id], resultFn);
+
+        selectProgress(state, 'l1');
+        selectProgress(state, 'l2');
+        selectProgress(state, 'l1');
+
+        expect(resultFn).toHaveBeenCalledTimes(2);
+        expect(selectProgress.getStats().cacheSize).toBe(2);
+    });
+
+    test('should not share a cache entry between 1 and "1"', () => {
+        const selectType = createSelector([(s, id) => id], id => typeof id);
+
+        expect(selectType(state, 1)).toBe('number');
+        expect(selectType(state, '1')).toBe('string');
+        expect(selectType.getStats().cacheSize).toBe(2);
+    });
+
+    test('should evict the least recently used parameters', () => {
+        const resultFn = jest.fn((progress, id) => id);
+        const selectById = createSelector([s => s.progress, (s, id) => id], resultFn, { maxCacheSize: 2 });
+
+        selectById(state, 'a');
+        selectById(state, 'b');
+        selectById(state, 'a');
+        selectById(state, 'c');
+
+        expect(selectById.getStats()).toMatchObject({ cacheSize: 2, evictions: 1 });
+
+        // 'a' تازه استفاده شده بود و هنوز در کش است؛ 'b' حذف شده
+        selectById(state, 'a');
+        expect(resultFn).toHaveBeenCalledTimes(3);
+        selectById(state, 'b');
+        expect(resultFn).toHaveBeenCalledTimes(4);
+    });
+
+    test('should clear cache and stats on resetCache', () => {
+        const selectProgress = createSelector([s => s.progress], progress => progress);
+        selectProgress(state);
+
+        selectProgress.resetCache();
+
+        expect(selectProgress.getStats()).toMatchObject({ calls: 0, hits: 0, cacheSize: 0 });
+    });
+
+    test('should validate its arguments', () => {
+        expect(() => createSelector([s => s], 'not a function')).toThrow('result function');
+        expect(() => createSelector(['progress'], x => x)).toThrow('Input selectors');
+    });
+
+    test('should compute course completion from lessons and progress', () => {
+        expect(VakamovaSelectors.courseCompletion(state, 'c1')).toBe(50);
+        expect(VakamovaSelectors.lessonProgress(state, 'l2')).toEqual({ completed: false, score: 0 });
+    });
+});
+
+describe('VakamovaContext selector registry', () => {
+    let context;
+
+    beforeEach(() => {
+        context = new ContextProvider.VakamovaContext();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should register the core selectors', () => {
+        expect(context.getSelector('lessonProgress')).toBe(VakamovaSelectors.lessonProgress);
+    });
+
+    test('should register and resolve custom selectors', () => {
+        const selectScore = createSelector([s => s.progress], progress => progress.l1.score, { name: 'score' });
+        context.registerSelector('score', selectScore);
+
+        expect(context.getSelector('score')(state)).toBe(80);
+    });
+
+    test('should warn when a selector is overwritten', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        context.registerSelector('user', s => s.user);
+
+        expect(warn).toHaveBeenCalledWith('Selector user is already registered. Overwriting...');
+    });
+
+    test('should throw for unknown or invalid selectors', () => {
+        expect(() => context.getSelector('missing')).toThrow('not found in registry');
+        expect(() => context.registerSelector('bad', 'bad')).toThrow('must be a function');
+    });
+
+    test('should report stats only for memoized selectors', () => {
+        const names = context.getSelectorStats().map(stats => stats.name);
+
+        expect(names).toEqual(expect.arrayContaining(['lessonProgress', 'courseCompletion']));
+        expect(names).not.toContain('user');
+    });
+});
@@ -0,0 +1,234 @@
+/**
+ * State Storage - آداپتورهای ذخیره‌سازی برای StatePersistence
+ * اصول رعایت شده: ISP, DIP, OCP, KISS
+ *
+ * همه آداپتورها API ناهمگام یکسانی دارند و مقدار را به صورت رشته ذخیره می‌کنند
+ */
+
+import Database from './database.js';
+
+/**
+ * @interface StateStorageAdapter
+ * قرارداد پایه برای همه آداپتورهای ذخیره‌سازی
+ */
+class StateStorageAdapter {
+  constructor() {
+    if (this.constructor === StateStorageAdapter) {
+      throw new Error('Cannot instantiate interface StateStorageAdapter');
+    }
+  }
+
+  /**
+   * نام آداپتور (برای گزارش وضعیت)
+   * @returns {string}
+   */
+  get name() {
+    throw new Error('Getter name must be implemented');
+  }
+
+  /**
+   * آماده‌سازی و بررسی در دسترس بودن
+   * @returns {Promise<boolean>}
+   */
+  async initialize() {
+    throw new Error('Method initialize() must be implemented');
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<string|null>}
+   */
+  async getItem(key) {
+    throw new Error('Method getItem() must be implemented');
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} value
+   * @returns {Promise<void>}
+   */
+  async setItem(key, value) {
+    throw new Error('Method setItem() must be implemented');
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async removeItem(key) {
+    throw new Error('Method removeItem() must be implemented');
+  }
+}
+
+/**
+ * آداپتور localStorage
+ * نوشتن قبل از اولین await انجام می‌شود، پس در beforeunload هم کامل ذخیره می‌شود
+ */
+class LocalStorageAdapter extends StateStorageAdapter {
+  get name() {
+    return 'localStorage';
+  }
+
+  _getStore() {
+    return localStorage;
+  }
+
+  async initialize() {
+    try {
+      const testKey = '__vakamova_test__';
+      this._getStore().setItem(testKey, 'test');
+      this._getStore().removeItem(testKey);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async getItem(key) {
+    return this._getStore().getItem(key);
+  }
+
+  async setItem(key, value) {
+    this._getStore().setItem(key, value);
+  }
+
+  async removeItem(key) {
+    this._getStore().removeItem(key);
+  }
+}
+
+/**
+ * آداپتور sessionStorage (برای sliceهای sessionOnly)
+ */
+class SessionStorageAdapter extends LocalStorageAdapter {
+  get name() {
+    return 'sessionStorage';
+  }
+
+  _getStore() {
+    return sessionStorage;
+  }
+}
+
+/**
+ * آداپتور IndexedDB بر پایه core/database.js
+ * بدون محدودیت ۵ مگابایتی localStorage و بدون بلاک کردن main thread
+ */
+class IndexedDBStorageAdapter extends StateStorageAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} [options.dbName='VakamovaStateDB']
+   * @param {string} [options.storeName='app_state']
+   * @param {Database} [options.database] - نمونه آماده Database (باید storeName را داشته باشد)
+   */
+  constructor(options = {}) {
+    super();
+    this._dbName = options.dbName || 'VakamovaStateDB';
+    this._storeName = options.storeName || 'app_state';
+    this._database = options.database || null;
+    this._ownsDatabase = !options.database;
+  }
+
+  get name() {
+    return 'indexedDB';
+  }
+
+  async initialize() {
+    if (typeof indexedDB === 'undefined') {
+      return false;
+    }
+
+    try {
+      if (!this._database) {
+        this._database = new Database(this._dbName);
+      }
+
+      if (!(await this._database.isReady())) {
+        await this._database.init({
+          version: 1,
+          stores: [
+            { name: this._storeName, keyPath: 'id' },
+            { name: '_metadata', keyPath: 'id' }
+          ]
+        });
+      }
+
+      return true;
+    } catch (error) {
+      console.warn('IndexedDB state storage unavailable:', error.message);
+      return false;
+    }
+  }
+
+  async getItem(key) {
+    const record = await this._database.get(this._storeName, key);
+    return record ? record.value : null;
+  }
+
+  async setItem(key, value) {
+    const record = { value, updatedAt: new Date().toISOString() };
+    const existing = await this._database.get(this._storeName, key);
+
+    if (existing) {
+      await this._database.update(this._storeName, key, record);
+    } else {
+      await this._database.add(this._storeName, { id: key, ...record });
+    }
+  }
+
+  async removeItem(key) {
+    await this._database.delete(this._storeName, key);
+  }
+
+  async close() {
+    if (this._ownsDatabase && this._database) {
+      await this._database.close();
+    }
+  }
+}
+
+/**
+ * آیا خطای نوشتن به خاطر پر شدن سهمیه storage است
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isQuotaExceededError(error) {
+  return !!error && (
+    error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014
+  );
+}
+
+/**
+ * ساخت آداپتور ذخیره‌سازی با fallback خودکار
+ * @param {string|StateStorageAdapter} storage - 'auto' | 'indexedDB' | 'localStorage' | 'sessionStorage' | نمونه آداپتور
+ * @param {Object} [options] - تنظیمات IndexedDBStorageAdapter
+ * @returns {Promise<StateStorageAdapter|null>} اولین آداپتور در دسترس
+ */
+export async function createStateStorage(storage = 'auto', options = {}) {
+  let candidates;
+
+  if (storage instanceof StateStorageAdapter || (storage && typeof storage.getItem === 'function')) {
+    candidates = [storage, new LocalStorageAdapter()];
+  } else if (storage === 'localStorage') {
+    candidates = [new LocalStorageAdapter()];
+  } else if (storage === 'sessionStorage') {
+    candidates = [new SessionStorageAdapter()];
+  } else if (storage === 'indexedDB' || storage === 'auto') {
+    candidates = [new IndexedDBStorageAdapter(options), new LocalStorageAdapter()];
+  } else {
+    throw new Error(`Unknown state storage: ${storage}`);
+  }
+
+  for (const adapter of candidates) {
+    if (await adapter.initialize()) {
+      return adapter;
+    }
+  }
+
+  return null;
+}
+
+export { StateStorageAdapter, LocalStorageAdapter, SessionStorageAdapter, IndexedDBStorageAdapter };
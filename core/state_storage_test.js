@@ -0,0 +1,162 @@
+/**
+ * 🧪 تست State Storage
+ * تست‌های انتخاب آداپتور و fallback
+ */
+
+import { IDBFactory } from 'fake-indexeddb';
+import {
+    createStateStorage,
+    StateStorageAdapter,
+    LocalStorageAdapter,
+    SessionStorageAdapter,
+    IndexedDBStorageAdapter
+} from './state-storage.js';
+
+// Mock localStorage و sessionStorage
+const createWebStorage = () => {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+};
+
+class UnavailableAdapter extends StateStorageAdapter {
+    get name() {
+        return 'unavailable';
+    }
+
+    async initialize() {
+        return false;
+    }
+}
+
+describe('createStateStorage', () => {
+    beforeEach(() => {
+        global.localStorage = createWebStorage();
+        global.sessionStorage = createWebStorage();
+        delete global.indexedDB;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should fall back to localStorage when IndexedDB is missing', async () => {
+        const storage = await createStateStorage('auto');
+
+        expect(storage).toBeInstanceOf(LocalStorageAdapter);
+        expect(storage.name).toBe('localStorage');
+    });
+
+    test('should fall back to localStorage when a custom adapter is unavailable', async () => {
+        const storage = await createStateStorage(new UnavailableAdapter());
+
+        expect(storage.name).toBe('localStorage');
+    });
+
+    test('should use a custom adapter when it initializes', async () => {
+        const adapter = new UnavailableAdapter();
+        adapter.initialize = async () => true;
+
+        expect(await createStateStorage(adapter)).toBe(adapter);
+    });
+
+    test('should return null when no adapter is available', async () => {
+        jest.spyOn(global.localStorage, 'setItem').mockImplementation(() => {
+            throw new Error('SecurityError');
+        });
+
+        expect(await createStateStorage('auto')).toBeNull();
+    });
+
+    test('should create a sessionStorage adapter on request', async () => {
+        const storage = await createStateStorage('sessionStorage');
+
+        expect(storage).toBeInstanceOf(SessionStorageAdapter);
+        await storage.setItem('key', 'value');
+        expect(global.sessionStorage.getItem('key')).toBe('value');
+        expect(global.localStorage.getItem('key')).toBeNull();
+    });
+
+    test('should throw for an unknown storage name', async () => {
+        await expect(createStateStorage('cookies')).rejects.toThrow('Unknown state storage');
+    });
+});
+
+describe('LocalStorageAdapter', () => {
+    beforeEach(() => {
+        global.localStorage = createWebStorage();
+    });
+
+    test('should read, write and remove values asynchronously', async () => {
+        const storage = new LocalStorageAdapter();
+
+        await storage.setItem('key', 'value');
+        expect(await storage.getItem('key')).toBe('value');
+
+        await storage.removeItem('key');
+        expect(await storage.getItem('key')).toBeNull();
+    });
+
+    test('should write before the first await so unload saves complete', () => {
+        const storage = new LocalStorageAdapter();
+
+        storage.setItem('key', 'value');
+
+        expect(global.localStorage.getItem('key')).toBe('value');
+    });
+});
+
+describe('IndexedDBStorageAdapter', () => {
+    beforeEach(() => {
+        global.localStorage = createWebStorage();
+        global.indexedDB = new IDBFactory();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        delete global.indexedDB;
+        jest.restoreAllMocks();
+    });
+
+    test('should report unavailable without indexedDB', async () => {
+        delete global.indexedDB;
+
+        expect(await new IndexedDBStorageAdapter().initialize()).toBe(false);
+    });
+
+    test('should initialize a new database', async () => {
+        const adapter = new IndexedDBStorageAdapter();
+
+        expect(await adapter.initialize()).toBe(true);
+        await adapter.close();
+    });
+
+    test('should be picked by auto and round-trip values', async () => {
+        const storage = await createStateStorage('auto');
+
+        expect(storage.name).toBe('indexedDB');
+        await storage.setItem('key', 'first');
+        await storage.setItem('key', 'second');
+        expect(await storage.getItem('key')).toBe('second');
+
+        await storage.removeItem('key');
+        expect(await storage.getItem('key')).toBeNull();
+        await storage.close();
+    });
+
+    test('should keep values across adapter instances', async () => {
+        const first = new IndexedDBStorageAdapter();
+        await first.initialize();
+        await first.setItem('key', 'value');
+        await first.close();
+
+        const second = new IndexedDBStorageAdapter();
+
+        expect(await second.initialize()).toBe(true);
+        expect(await second.getItem('key')).toBe('value');
+        await second.close();
+    });
+});
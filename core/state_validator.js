@@ -12,6 +12,14 @@
  * - Testable: Pure validation functions with no side effects
  */
 
+import {
+  formatValidationMessage,
+  hasValidationMessage,
+  setDefaultLanguage,
+  getDefaultLanguage,
+  localizeValidationErrors
+} from './validation-messages.js';
+
 // ============================================
 // INTERFACES (Abstractions)
 // ============================================
@@ -45,7 +53,8 @@ class StateValidator {
 
 /**
  * @interface ValidationRule
- * Contract for individual validation rules
+ * Contract for individual validation rules.
+ * Set `paths` to limit a rule to specific paths (default: every schema path).
  */
 class ValidationRule {
   /**
@@ -59,6 +68,27 @@ class ValidationRule {
   }
 }
 
+/**
+ * @interface AsyncValidationRule
+ * Contract for rules that need I/O (e.g. server lookups).
+ * Only applied by validateAsync(); validate() skips them.
+ */
+class AsyncValidationRule extends ValidationRule {
+  get isAsync() {
+    return true;
+  }
+
+  /**
+   * @param {string} path - JSON path to validate
+   * @param {*} value - Value to validate
+   * @param {Object} fullState - Complete state object
+   * @returns {Promise<ValidationError[]>}
+   */
+  async validate(path, value, fullState) {
+    throw new Error('validate() must be implemented');
+  }
+}
+
 // ============================================
 // TYPES
 // ============================================
@@ -75,6 +105,7 @@ class ValidationRule {
  * @property {string} path - JSON path where error occurred
  * @property {string} message - Human-readable error message
  * @property {string} code - Error code for programmatic handling
+ * @property {Object} params - Message parameters (see validation-messages.js)
  * @property {*} [expected] - Expected value/type
  * @property {*} [actual] - Actual value received
  */
@@ -84,7 +115,127 @@ class ValidationRule {
  * @property {Object} structure - Expected state structure
  * @property {ValidationRule[]} rules - Validation rules to apply
  * @property {boolean} [strict=true] - Whether to allow unknown properties
+ * @property {Object} [definitions] - Named schemas referenced via `$ref` ('#/$defs/Name')
+ * @property {boolean|Object} [additionalProperties] - Policy for root keys not in structure
+ * @property {CrossFieldConstraint[]} [constraints] - Declarative cross-field constraints
+ */
+
+/**
+ * Declarative constraint between state paths. When every `when` condition holds,
+ * every `assert` condition must hold too.
+ * A condition is a literal (strict equality) or an operator object:
+ * { eq, ne, gt, gte, lt, lte, in, exists }. Operands may be '$now' (Date.now())
+ * or { $path: 'other.path' }.
+ *
+ * @typedef {Object} CrossFieldConstraint
+ * @property {string} code - Error code reported on violation
+ * @property {string} [path] - Path reported on violation (default: first failing assert path)
+ * @property {Object} [when] - path -> condition
+ * @property {Object} assert - path -> condition
+ * @property {string} [message] - Human-readable error message
+ *
+ * @example
+ * {
+ *   code: 'SUBSCRIPTION_EXPIRED',
+ *   when: { 'user.subscription.isActive': true },
+ *   assert: { 'user.subscription.expiresAt': { gt: '$now' } }
+ * }
+ */
+
+/**
+ * @typedef {Object} RepairReport
+ * @property {boolean} repaired - Whether any value was changed
+ * @property {RepairEntry[]} repairs - One entry per changed path
+ */
+
+/**
+ * @typedef {Object} RepairEntry
+ * @property {string} path - JSON path of the repaired value
+ * @property {string} action - 'default' | 'coerce' | 'clamp' | 'remove'
+ * @property {*} from - Original value
+ * @property {*} to - Repaired value
+ */
+
+// ============================================
+// SCHEMA HELPERS
+// ============================================
+
+/**
+ * Build a structured validation error; the message is rendered in the
+ * default language (setDefaultLanguage) from the catalog in validation-messages.js
+ * @param {string} code - Error code
+ * @param {string} path - JSON path where error occurred
+ * @param {Object} [params] - Message parameters
+ * @param {Object} [details] - { expected, actual }
+ * @returns {ValidationError}
+ */
+export function createValidationError(code, path, params = {}, details = {}) {
+  return {
+    path,
+    message: formatValidationMessage(code, { path, ...params }),
+    code,
+    params,
+    ...details
+  };
+}
+
+/**
+ * Resolve `$ref` ('#/$defs/Name', '#/definitions/Name' or 'Name') against schema definitions.
+ * Keywords next to `$ref` (e.g. `required`) override the referenced schema.
+ * @param {Object} schemaDef - Schema node
+ * @param {Object} [definitions] - Named schemas
+ * @returns {Object}
+ */
+function resolveSchemaRef(schemaDef, definitions = {}) {
+  let def = schemaDef;
+  const seen = new Set();
+
+  while (def && def.$ref) {
+    const { $ref, ...siblings } = def;
+
+    if (seen.has($ref)) {
+      throw new Error(`Circular $ref: ${$ref}`);
+    }
+    seen.add($ref);
+
+    const name = $ref.replace(/^#\/(\$defs|definitions)\//, '');
+    const target = definitions[name];
+
+    if (!target) {
+      throw new Error(`Unresolved $ref: ${$ref}`);
+    }
+
+    def = { ...target, ...siblings };
+  }
+
+  return def;
+}
+
+/**
+ * JSON type name of a value ('array' and 'null' included)
+ * @param {*} value
+ * @returns {string}
+ */
+function getValueType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Whether a value satisfies a schema `type` (string or array of types)
+ * @param {*} value
+ * @param {string|string[]} expectedType
+ * @returns {boolean}
  */
+function matchesType(value, expectedType) {
+  const actualType = getValueType(value);
+  const expectedTypes = Array.isArray(expectedType) ? expectedType : [expectedType];
+
+  return expectedTypes.some(type =>
+    type === actualType || (type === 'integer' && Number.isInteger(value))
+  );
+}
 
 // ============================================
 // CORE VALIDATOR IMPLEMENTATION
@@ -108,7 +259,10 @@ class CoreStateValidator {
     
     /** @private @type {StateSanitizer} */
     this.sanitizer = dependencies.sanitizer || null;
-    
+
+    /** @private @type {Object} */
+    this.definitions = schema.definitions || {};
+
     /** @private */
     this.cachedPaths = this._extractSchemaPaths(schema.structure);
   }
@@ -127,11 +281,17 @@ class CoreStateValidator {
     
     // 1. Validate structure
     if (this.schema.strict !== false) {
-      errors.push(...this._validateStructure(state, this.schema.structure));
+      errors.push(...this._validateStructure(
+        state,
+        this.schema.structure,
+        '',
+        this.schema.additionalProperties
+      ));
     }
     
-    // 2. Apply custom validation rules
+    // 2. Apply custom validation rules and cross-field constraints
     errors.push(...this._applyValidationRules(state));
+    errors.push(...this._applyConstraints(state));
     
     // 3. Check for required properties
     errors.push(...this._validateRequiredProperties(state));
@@ -162,11 +322,7 @@ class CoreStateValidator {
       // Check if path exists in schema
       if (!this._isPathInSchema(path)) {
         if (this.schema.strict !== false) {
-          errors.push({
-            path,
-            message: `Unknown property: ${path}`,
-            code: 'UNKNOWN_PROPERTY'
-          });
+          errors.push(createValidationError('UNKNOWN_PROPERTY', path));
         }
         continue;
       }
@@ -179,9 +335,10 @@ class CoreStateValidator {
       }
     }
     
-    // 2. Apply validation rules to merged state
+    // 2. Apply validation rules and constraints to merged state
     const mergedState = { ...currentState, ...partialState };
     errors.push(...this._applyValidationRules(mergedState));
+    errors.push(...this._applyConstraints(mergedState));
     
     const isValid = errors.length === 0;
     const result = { isValid, errors };
@@ -198,9 +355,25 @@ class CoreStateValidator {
     return result;
   }
 
+  /**
+   * Validate complete state including async rules
+   * @param {Object} state - State to validate
+   * @returns {Promise<ValidationResult>}
+   */
+  async validateAsync(state) {
+    const result = this.validate(state);
+    const asyncErrors = await this._applyAsyncValidationRules(state);
+    
+    if (asyncErrors.length === 0) {
+      return result;
+    }
+    
+    return { isValid: false, errors: [...result.errors, ...asyncErrors] };
+  }
+
   /**
    * Add a validation rule at runtime
-   * @param {ValidationRule} rule - Rule to add
+   * @param {ValidationRule|AsyncValidationRule} rule - Rule to add
    */
   addRule(rule) {
     if (!this.schema.rules) {
@@ -209,12 +382,63 @@ class CoreStateValidator {
     this.schema.rules.push(rule);
   }
 
+  /**
+   * Add a cross-field constraint at runtime
+   * @param {CrossFieldConstraint} constraint - Constraint to add
+   */
+  addConstraint(constraint) {
+    if (!constraint || !constraint.assert) {
+      throw new Error('Constraint must declare assert conditions');
+    }
+    
+    if (!this.schema.constraints) {
+      this.schema.constraints = [];
+    }
+    this.schema.constraints.push(constraint);
+  }
+
+  /**
+   * Repair a (possibly corrupted) state with the sanitizer, then validate the result
+   * @param {Object} state - State to repair, e.g. loaded from storage
+   * @returns {ValidationResult & {repairedState: Object, report: RepairReport}}
+   */
+  repair(state) {
+    if (!this.sanitizer || typeof this.sanitizer.repair !== 'function') {
+      return { ...this.validate(state), repairedState: state, report: { repaired: false, repairs: [] } };
+    }
+    
+    const { state: repairedState, report } = this.sanitizer.repair(state, this.schema);
+    return { ...this.validate(repairedState), repairedState, report };
+  }
+
+  /**
+   * Validate a standalone value (e.g. an API payload) against one schema node
+   * @param {*} value - Value to validate
+   * @param {Object} schemaDef - Schema node; may `$ref` this validator's definitions
+   * @returns {ValidationResult}
+   */
+  validateValue(value, schemaDef) {
+    const errors = this._validateNode('', value, schemaDef);
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Export this validator's schema as JSON Schema (draft 2020-12)
+   * @returns {Object}
+   */
+  toJSONSchema() {
+    return toJSONSchema(this.schema.structure, {
+      definitions: this.definitions,
+      additionalProperties: this.schema.additionalProperties
+    });
+  }
+
   // ============================================
   // PRIVATE METHODS
   // ============================================
 
   /** @private */
-  _validateStructure(state, schema, basePath = '') {
+  _validateStructure(state, schema, basePath = '', additionalProperties = undefined) {
     const errors = [];
     
     // Check all schema properties exist in state
@@ -224,74 +448,113 @@ class CoreStateValidator {
       
       if (value === undefined) {
         if (schemaDef.required !== false) {
-          errors.push({
-            path,
-            message: `Required property missing: ${path}`,
-            code: 'REQUIRED_PROPERTY_MISSING',
+          errors.push(createValidationError('REQUIRED_PROPERTY_MISSING', path, {}, {
             expected: 'defined value',
             actual: 'undefined'
-          });
+          }));
         }
         continue;
       }
-      
-      // Validate type
-      if (schemaDef.type) {
-        errors.push(...this._validateType(path, value, schemaDef.type));
-      }
-      
-      // Validate nested objects
-      if (schemaDef.properties && typeof value === 'object' && value !== null) {
-        if (Array.isArray(value)) {
-          errors.push({
-            path,
-            message: `Expected object, got array at: ${path}`,
-            code: 'TYPE_MISMATCH',
-            expected: 'object',
-            actual: 'array'
-          });
+
+      errors.push(...this._validateNode(path, value, schemaDef));
+    }
+
+    // Keys not declared in the schema (JSON Schema additionalProperties)
+    if (additionalProperties !== undefined && additionalProperties !== true) {
+      for (const [key, value] of Object.entries(state)) {
+        // Internal root keys (_schemaVersion, _sliceUpdatedAt, ...) are never part of a schema
+        if (Object.prototype.hasOwnProperty.call(schema, key) || (!basePath && key.startsWith('_'))) {
+          continue;
+        }
+
+        const path = basePath ? `${basePath}.${key}` : key;
+
+        if (additionalProperties === false) {
+          errors.push(createValidationError('ADDITIONAL_PROPERTY_NOT_ALLOWED', path, { property: key }, {
+            expected: Object.keys(schema),
+            actual: key
+          }));
         } else {
-          errors.push(...this._validateStructure(value, schemaDef.properties, path));
+          errors.push(...this._validateNode(path, value, additionalProperties));
         }
       }
-      
-      // Validate arrays
-      if (schemaDef.items && Array.isArray(value)) {
-        for (let i = 0; i < value.length; i++) {
-          const itemPath = `${path}[${i}]`;
-          if (typeof schemaDef.items === 'object') {
-            errors.push(...this._validateStructure(
-              { item: value[i] },
-              { item: schemaDef.items },
-              itemPath
-            ));
-          }
-        }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a defined value against a single schema node
+   * @private
+   */
+  _validateNode(path, value, schemaDef) {
+    const errors = [];
+    const def = this._resolveRef(schemaDef);
+
+    // Validate type, enum, range, length and pattern
+    errors.push(...this._validateValue(path, value, def));
+
+    // Validate oneOf: exactly one branch must match
+    if (Array.isArray(def.oneOf)) {
+      const matches = def.oneOf
+        .filter(branch => this._validateNode(path, value, branch).length === 0)
+        .length;
+
+      if (matches !== 1) {
+        errors.push(createValidationError('ONE_OF_MISMATCH', path, { matches }, {
+          expected: 'exactly one matching schema',
+          actual: matches
+        }));
       }
     }
-    
+
+    // Validate nested objects
+    const hasObjectSchema = def.properties || (def.additionalProperties !== undefined && def.additionalProperties !== true);
+    if (hasObjectSchema && typeof value === 'object' && value !== null) {
+      if (Array.isArray(value)) {
+        errors.push(createValidationError('TYPE_MISMATCH', path, { expected: 'object', actual: 'array' }, {
+          expected: 'object',
+          actual: 'array'
+        }));
+      } else {
+        errors.push(...this._validateStructure(
+          value,
+          def.properties || {},
+          path,
+          def.additionalProperties
+        ));
+      }
+    }
+
+    // Validate arrays
+    if (def.items && typeof def.items === 'object' && Array.isArray(value)) {
+      for (let i = 0; i < value.length; i++) {
+        errors.push(...this._validateNode(`${path}[${i}]`, value[i], def.items));
+      }
+    }
+
     return errors;
   }
 
+  /** @private */
+  _resolveRef(schemaDef) {
+    return resolveSchemaRef(schemaDef, this.definitions);
+  }
+
   /** @private */
   _validateType(path, value, expectedType) {
     const errors = [];
-    let actualType = typeof value;
+    const expectedTypes = Array.isArray(expectedType) ? expectedType : [expectedType];
+    const actualType = getValueType(value);
     
-    if (Array.isArray(value)) {
-      actualType = 'array';
-    } else if (value === null) {
-      actualType = 'null';
-    }
-    
-    if (actualType !== expectedType) {
-      errors.push({
-        path,
-        message: `Type mismatch at ${path}: expected ${expectedType}, got ${actualType}`,
-        code: 'TYPE_MISMATCH',
+    if (!matchesType(value, expectedType)) {
+      errors.push(createValidationError('TYPE_MISMATCH', path, {
+        expected: expectedTypes.join(' | '),
+        actual: actualType
+      }, {
         expected: expectedType,
         actual: actualType
-      });
+      }));
     }
     
     return errors;
@@ -307,69 +570,54 @@ class CoreStateValidator {
     
     // Validate enums
     if (schemaDef.enum && !schemaDef.enum.includes(value)) {
-      errors.push({
-        path,
-        message: `Invalid value at ${path}: must be one of ${schemaDef.enum.join(', ')}`,
-        code: 'INVALID_ENUM_VALUE',
+      errors.push(createValidationError('INVALID_ENUM_VALUE', path, { allowed: schemaDef.enum }, {
         expected: schemaDef.enum,
         actual: value
-      });
+      }));
     }
     
-    // Validate min/max for numbers
+    // Validate min/max for numbers (JSON Schema minimum/maximum accepted as aliases)
     if (typeof value === 'number') {
-      if (schemaDef.min !== undefined && value < schemaDef.min) {
-        errors.push({
-          path,
-          message: `Value too small at ${path}: minimum ${schemaDef.min}`,
-          code: 'VALUE_TOO_SMALL',
-          expected: `>= ${schemaDef.min}`,
+      const min = schemaDef.min !== undefined ? schemaDef.min : schemaDef.minimum;
+      const max = schemaDef.max !== undefined ? schemaDef.max : schemaDef.maximum;
+      
+      if (min !== undefined && value < min) {
+        errors.push(createValidationError('VALUE_TOO_SMALL', path, { min }, {
+          expected: `>= ${min}`,
           actual: value
-        });
+        }));
       }
       
-      if (schemaDef.max !== undefined && value > schemaDef.max) {
-        errors.push({
-          path,
-          message: `Value too large at ${path}: maximum ${schemaDef.max}`,
-          code: 'VALUE_TOO_LARGE',
-          expected: `<= ${schemaDef.max}`,
+      if (max !== undefined && value > max) {
+        errors.push(createValidationError('VALUE_TOO_LARGE', path, { max }, {
+          expected: `<= ${max}`,
           actual: value
-        });
+        }));
       }
     }
     
     // Validate string length
     if (typeof value === 'string') {
       if (schemaDef.minLength !== undefined && value.length < schemaDef.minLength) {
-        errors.push({
-          path,
-          message: `String too short at ${path}: minimum length ${schemaDef.minLength}`,
-          code: 'STRING_TOO_SHORT',
+        errors.push(createValidationError('STRING_TOO_SHORT', path, { minLength: schemaDef.minLength }, {
           expected: `length >= ${schemaDef.minLength}`,
           actual: value.length
-        });
+        }));
       }
       
       if (schemaDef.maxLength !== undefined && value.length > schemaDef.maxLength) {
-        errors.push({
-          path,
-          message: `String too long at ${path}: maximum length ${schemaDef.maxLength}`,
-          code: 'STRING_TOO_LONG',
+        errors.push(createValidationError('STRING_TOO_LONG', path, { maxLength: schemaDef.maxLength }, {
           expected: `length <= ${schemaDef.maxLength}`,
           actual: value.length
-        });
+        }));
       }
       
       // Validate regex pattern
       if (schemaDef.pattern && !new RegExp(schemaDef.pattern).test(value)) {
-        errors.push({
-          path,
-          message: `String format invalid at ${path}: must match pattern ${schemaDef.pattern}`,
-          code: 'PATTERN_MISMATCH',
+        errors.push(createValidationError('PATTERN_MISMATCH', path, { pattern: schemaDef.pattern }, {
           expected: `pattern: ${schemaDef.pattern}`,
           actual: value
-        });
+        }));
       }
     }
     
@@ -385,8 +633,13 @@ class CoreStateValidator {
     }
     
     for (const rule of this.schema.rules) {
-      // Apply rule to all schema paths
-      for (const path of this.cachedPaths) {
+      // Async rules only run in validateAsync()
+      if (rule.isAsync) {
+        continue;
+      }
+      
+      // Apply rule to its own paths or all schema paths
+      for (const path of rule.paths || this.cachedPaths) {
         const value = this._getValueByPath(state, path);
         if (value !== undefined) {
           const ruleErrors = rule.validate(path, value, state);
@@ -398,6 +651,117 @@ class CoreStateValidator {
     return errors;
   }
 
+  /** @private */
+  async _applyAsyncValidationRules(state) {
+    const checks = [];
+    
+    for (const rule of this.schema.rules || []) {
+      if (!rule.isAsync) {
+        continue;
+      }
+      
+      for (const path of rule.paths || this.cachedPaths) {
+        const value = this._getValueByPath(state, path);
+        if (value === undefined) {
+          continue;
+        }
+        
+        checks.push(Promise.resolve()
+          .then(() => rule.validate(path, value, state))
+          .catch(error => [createValidationError('ASYNC_RULE_FAILED', path, { reason: error.message }, {
+            actual: error.message
+          })]));
+      }
+    }
+    
+    const results = await Promise.all(checks);
+    return results.flat();
+  }
+
+  /** @private */
+  _applyConstraints(state) {
+    const errors = [];
+    
+    for (const constraint of this.schema.constraints || []) {
+      if (constraint.when && !this._matchesConditions(state, constraint.when)) {
+        continue;
+      }
+      
+      const failed = Object.entries(constraint.assert)
+        .find(([path, condition]) => !this._matchesCondition(state, path, condition));
+      
+      if (!failed) {
+        continue;
+      }
+      
+      const [failedPath, condition] = failed;
+      const path = constraint.path || failedPath;
+      const code = constraint.code || 'CONSTRAINT_VIOLATION';
+      const error = createValidationError(code, path, { constraint: code, failedPath }, {
+        expected: condition,
+        actual: this._getValueByPath(state, failedPath)
+      });
+      
+      // Codes without a catalog entry use the constraint's own or the generic message
+      if (constraint.message) {
+        error.message = constraint.message;
+      } else if (!hasValidationMessage(code)) {
+        error.message = formatValidationMessage('CONSTRAINT_VIOLATION', { path, ...error.params });
+      }
+      
+      errors.push(error);
+    }
+    
+    return errors;
+  }
+
+  /** @private */
+  _matchesConditions(state, conditions) {
+    return Object.entries(conditions)
+      .every(([path, condition]) => this._matchesCondition(state, path, condition));
+  }
+
+  /** @private */
+  _matchesCondition(state, path, condition) {
+    const value = this._getValueByPath(state, path);
+    
+    // Literal: strict equality
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      return value === condition;
+    }
+    
+    return Object.entries(condition).every(([operator, operand]) => {
+      const expected = this._resolveOperand(state, operand);
+      const comparable = value !== undefined && value !== null;
+      
+      switch (operator) {
+        case 'eq': return value === expected;
+        case 'ne': return value !== expected;
+        case 'gt': return comparable && value > expected;
+        case 'gte': return comparable && value >= expected;
+        case 'lt': return comparable && value < expected;
+        case 'lte': return comparable && value <= expected;
+        case 'in': return Array.isArray(expected) && expected.includes(value);
+        case 'exists': return comparable === !!expected;
+        default:
+          throw new Error(`Unknown constraint operator: ${operator}`);
+      }
+    });
+  }
+
+  /** @private */
+  _resolveOperand(state, operand) {
+    if (operand === '$now') {
+      return Date.now();
+    }
+    
+    if (operand && typeof operand === 'object' && typeof operand.$path === 'string') {
+      return this._getValueByPath(state, operand.$path);
+    }
+    
+    return operand;
+  }
+
   /** @private */
   _validateRequiredProperties(state) {
     const errors = [];
@@ -406,11 +770,7 @@ class CoreStateValidator {
     for (const path of requiredPaths) {
       const value = this._getValueByPath(state, path);
       if (value === undefined) {
-        errors.push({
-          path,
-          message: `Required property missing: ${path}`,
-          code: 'REQUIRED_PROPERTY_MISSING'
-        });
+        errors.push(createValidationError('REQUIRED_PROPERTY_MISSING', path));
       }
     }
     
@@ -444,7 +804,8 @@ class CoreStateValidator {
         paths.push(path);
       }
       
-      if (schemaDef.properties) {
+      // Children of an optional object are only required when it is present
+      if (schemaDef.properties && schemaDef.required !== false) {
         paths.push(...this._extractRequiredPaths(schemaDef.properties, path));
       }
     }
@@ -473,7 +834,7 @@ class CoreStateValidator {
       }
     }
     
-    return current;
+    return this._resolveRef(current);
   }
 
   /** @private */
@@ -498,12 +859,7 @@ class SerializableRule extends ValidationRule {
     try {
       JSON.stringify(value);
     } catch (error) {
-      errors.push({
-        path,
-        message: `Value at ${path} is not JSON serializable`,
-        code: 'NOT_SERIALIZABLE',
-        actual: typeof value
-      });
+      errors.push(createValidationError('NOT_SERIALIZABLE', path, {}, { actual: typeof value }));
     }
     
     return errors;
@@ -522,11 +878,7 @@ class NoCircularReferencesRule extends ValidationRule {
       const hasCircular = this._checkCircular(value, seen);
       
       if (hasCircular) {
-        errors.push({
-          path,
-          message: `Circular reference detected at ${path}`,
-          code: 'CIRCULAR_REFERENCE'
-        });
+        errors.push(createValidationError('CIRCULAR_REFERENCE', path));
       }
     }
     
@@ -568,13 +920,13 @@ class StateSizeRule extends ValidationRule {
       const sizeKB = new Blob([jsonString]).size / 1024;
       
       if (sizeKB > this.maxSizeKB) {
-        errors.push({
-          path: 'root',
-          message: `State too large: ${sizeKB.toFixed(2)}KB exceeds limit of ${this.maxSizeKB}KB`,
-          code: 'STATE_TOO_LARGE',
+        errors.push(createValidationError('STATE_TOO_LARGE', 'root', {
+          size: sizeKB.toFixed(2),
+          limit: this.maxSizeKB
+        }, {
           actual: `${sizeKB.toFixed(2)}KB`,
           expected: `<= ${this.maxSizeKB}KB`
-        });
+        }));
       }
     } catch (error) {
       // Ignore serialization errors (handled by SerializableRule)
@@ -584,6 +936,63 @@ class StateSizeRule extends ValidationRule {
   }
 }
 
+/**
+ * Async rule: language codes must exist in the server-provided course catalog
+ */
+class LanguageCatalogRule extends AsyncValidationRule {
+  /**
+   * @param {Function} fetchLanguages - () => Promise<string[]>, e.g. from APIClient
+   * @param {Object} [options]
+   * @param {string[]} [options.paths=['settings.language']] - Paths holding language codes
+   * @param {number} [options.cacheTTL=300000] - Catalog cache lifetime in ms
+   */
+  constructor(fetchLanguages, options = {}) {
+    super();
+    
+    if (typeof fetchLanguages !== 'function') {
+      throw new Error('fetchLanguages must be a function');
+    }
+    
+    this.fetchLanguages = fetchLanguages;
+    this.paths = options.paths || ['settings.language'];
+    this.cacheTTL = options.cacheTTL !== undefined ? options.cacheTTL : 5 * 60 * 1000;
+    
+    /** @private */
+    this._catalog = null;
+  }
+  
+  async validate(path, value) {
+    const languages = await this._getLanguages();
+    
+    if (languages.includes(value)) {
+      return [];
+    }
+    
+    return [createValidationError('UNSUPPORTED_LANGUAGE', path, { value }, {
+      expected: languages,
+      actual: value
+    })];
+  }
+  
+  /** @private */
+  _getLanguages() {
+    // Concurrent validations share one request
+    if (!this._catalog || Date.now() > this._catalog.expiry) {
+      const request = Promise.resolve(this.fetchLanguages());
+      this._catalog = { request, expiry: Date.now() + this.cacheTTL };
+      
+      // A failed request is not cached
+      request.catch(() => {
+        if (this._catalog && this._catalog.request === request) {
+          this._catalog = null;
+        }
+      });
+    }
+    
+    return this._catalog.request;
+  }
+}
+
 // ============================================
 // SANITIZER (Separate concern - SRP)
 // ============================================
@@ -602,25 +1011,77 @@ class StateSanitizer {
 }
 
 /**
- * Basic State Sanitizer - removes undefined values, trims strings
+ * Basic State Sanitizer - removes undefined values, trims strings and
+ * repairs values against the schema:
+ * - fills missing properties (and unrecoverable values) with the schema `default`
+ * - coerces recoverable type mismatches ('42' -> 42, 'true' -> true); ISO date strings and
+ *   Date objects are converted only for fields declared with `format: 'date-time'` or `'date'`
+ * - clamps numbers into `min`/`max`
+ * - drops properties not allowed by `additionalProperties: false`
  */
 class BasicStateSanitizer extends StateSanitizer {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.fillDefaults=true] - Apply schema `default` values
+   * @param {boolean} [options.coerceTypes=true] - Convert recoverable type mismatches
+   * @param {boolean} [options.clampRanges=true] - Clamp numbers into min/max
+   */
+  constructor(options = {}) {
+    super();
+    
+    /** @private */
+    this.options = {
+      fillDefaults: options.fillDefaults !== false,
+      coerceTypes: options.coerceTypes !== false,
+      clampRanges: options.clampRanges !== false
+    };
+  }
+  
   sanitize(state, schema) {
-    return this._deepSanitize(state, schema.structure);
+    return this.repair(state, schema).state;
   }
   
   sanitizePartial(currentState, partialState, schema) {
-    const sanitizedPartial = this._deepSanitize(partialState, schema.structure);
+    const context = this._createContext(schema);
+    const sanitizedPartial = this._deepSanitize(partialState, schema.structure, '', context);
     return { ...currentState, ...sanitizedPartial };
   }
   
+  /**
+   * Sanitize a state and report every repaired value
+   * @param {Object} state - State to repair
+   * @param {ValidationSchema} schema - Validation schema
+   * @returns {{state: Object, report: RepairReport}}
+   */
+  repair(state, schema) {
+    const context = this._createContext(schema);
+    const repaired = this._deepSanitize(
+      state,
+      schema.structure,
+      '',
+      context,
+      schema.additionalProperties
+    );
+    
+    return {
+      state: repaired,
+      report: { repaired: context.repairs.length > 0, repairs: context.repairs }
+    };
+  }
+  
   /** @private */
-  _deepSanitize(obj, schema) {
+  _createContext(schema) {
+    return { definitions: (schema && schema.definitions) || {}, repairs: [] };
+  }
+  
+  /** @private */
+  _deepSanitize(obj, schema, basePath = '', context = this._createContext(), additionalProperties = undefined) {
     if (!obj || typeof obj !== 'object') {
       return obj;
     }
     
-    const result = Array.isArray(obj) ? [] : {};
+    const isArray = Array.isArray(obj);
+    const result = isArray ? [] : {};
     
     for (const [key, value] of Object.entries(obj)) {
       // Skip undefined values
@@ -628,25 +1089,377 @@ class BasicStateSanitizer extends StateSanitizer {
         continue;
       }
       
+      const path = isArray ? `${basePath}[${key}]` : (basePath ? `${basePath}.${key}` : key);
+      
       // Get schema for this key
-      const keySchema = schema && schema[key];
+      const keySchema = schema && Object.prototype.hasOwnProperty.call(schema, key)
+        ? resolveSchemaRef(schema[key], context.definitions)
+        : null;
       
-      // Process based on type
-      if (typeof value === 'string') {
-        result[key] = value.trim();
-      } else if (typeof value === 'object' && value !== null) {
-        if (keySchema && keySchema.properties) {
-          result[key] = this._deepSanitize(value, keySchema.properties);
-        } else {
-          result[key] = this._deepSanitize(value, null);
+      // Drop properties the schema does not allow (internal root keys are kept)
+      if (!keySchema && additionalProperties === false && !isArray && (basePath || !key.startsWith('_'))) {
+        context.repairs.push({ path, action: 'remove', from: value, to: undefined });
+        continue;
+      }
+      
+      const valueSchema = keySchema || (additionalProperties && typeof additionalProperties === 'object'
+        ? resolveSchemaRef(additionalProperties, context.definitions)
+        : null);
+      
+      result[key] = this._sanitizeValue(value, valueSchema, path, context);
+    }
+    
+    // Fill missing properties that declare a default
+    if (schema && !isArray && this.options.fillDefaults) {
+      for (const [key, keyDef] of Object.entries(schema)) {
+        if (result[key] !== undefined) continue;
+        
+        const def = resolveSchemaRef(keyDef, context.definitions);
+        if (def.default !== undefined) {
+          const path = basePath ? `${basePath}.${key}` : key;
+          result[key] = this._cloneDefault(def.default);
+          context.repairs.push({ path, action: 'default', from: undefined, to: result[key] });
         }
-      } else {
-        result[key] = value;
       }
     }
     
     return result;
   }
+  
+  /** @private */
+  _sanitizeValue(value, def, path, context) {
+    // Process based on type
+    let sanitized = typeof value === 'string' ? value.trim() : value;
+    
+    if (!def) {
+      if (sanitized instanceof Date) {
+        // Keep Date instances intact (state manager no longer JSON-clones state)
+        return sanitized;
+      }
+      return typeof sanitized === 'object' && sanitized !== null
+        ? this._deepSanitize(sanitized, null, path, context)
+        : sanitized;
+    }
+    
+    if (def.type && !matchesType(sanitized, def.type) && this.options.coerceTypes) {
+      const coerced = this._coerce(sanitized, def);
+      if (coerced !== undefined) {
+        context.repairs.push({ path, action: 'coerce', from: value, to: coerced });
+        sanitized = coerced;
+      }
+    }
+    
+    // Unrecoverable type or enum mismatch: fall back to the default
+    const isInvalid = (def.type && !matchesType(sanitized, def.type)) ||
+      (def.enum && !def.enum.includes(sanitized));
+    if (isInvalid && def.default !== undefined && this.options.fillDefaults) {
+      const fallback = this._cloneDefault(def.default);
+      context.repairs.push({ path, action: 'default', from: value, to: fallback });
+      return fallback;
+    }
+    
+    if (typeof sanitized === 'number' && this.options.clampRanges) {
+      const min = def.min !== undefined ? def.min : def.minimum;
+      const max = def.max !== undefined ? def.max : def.maximum;
+      const clamped = Math.min(
+        max !== undefined ? max : Infinity,
+        Math.max(min !== undefined ? min : -Infinity, sanitized)
+      );
+      
+      if (clamped !== sanitized) {
+        context.repairs.push({ path, action: 'clamp', from: sanitized, to: clamped });
+        sanitized = clamped;
+      }
+    }
+    
+    if (sanitized instanceof Date) {
+      return sanitized;
+    }
+    
+    if (Array.isArray(sanitized)) {
+      const itemDef = def.items && typeof def.items === 'object'
+        ? resolveSchemaRef(def.items, context.definitions)
+        : null;
+      return sanitized.map((item, index) =>
+        this._sanitizeValue(item, itemDef, `${path}[${index}]`, context)
+      );
+    }
+    
+    if (typeof sanitized === 'object' && sanitized !== null) {
+      return this._deepSanitize(
+        sanitized,
+        def.properties || null,
+        path,
+        context,
+        def.additionalProperties
+      );
+    }
+    
+    return sanitized;
+  }
+  
+  /**
+   * Convert a value to the type of its schema node, or undefined if not recoverable
+   * @private
+   */
+  _coerce(value, def) {
+    const expectedTypes = Array.isArray(def.type) ? def.type : [def.type];
+    const isDateField = def.format === 'date-time' || def.format === 'date';
+    
+    for (const type of expectedTypes) {
+      if (type === 'number' || type === 'integer') {
+        let number;
+        
+        if (value instanceof Date) {
+          number = isDateField ? value.getTime() : undefined;
+        } else if (typeof value === 'string' && value !== '') {
+          // '42' -> 42; '2024-05-01T10:00:00Z' -> timestamp only for date fields
+          if (!Number.isNaN(Number(value))) {
+            number = Number(value);
+          } else if (isDateField) {
+            number = this._parseISODate(value);
+          }
+        }
+        
+        if (typeof number === 'number' && !Number.isNaN(number) && matchesType(number, type)) {
+          return number;
+        }
+      }
+      
+      if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+      }
+      
+      if (type === 'string') {
+        if (value instanceof Date && isDateField && !Number.isNaN(value.getTime())) {
+          return value.toISOString();
+        }
+        if (typeof value === 'number' && Number.isFinite(value)) {
+          return String(value);
+        }
+      }
+    }
+    
+    return undefined;
+  }
+  
+  /** @private */
+  _parseISODate(value) {
+    return /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)
+      ? Date.parse(value)
+      : NaN;
+  }
+  
+  /** @private */
+  _cloneDefault(value) {
+    return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  }
+}
+
+// ============================================
+// JSON SCHEMA INTEROP (draft 2020-12 subset)
+// ============================================
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+/** Keywords with the same meaning in both dialects */
+const SHARED_KEYWORDS = ['type', 'enum', 'pattern', 'format', 'minLength', 'maxLength', 'title', 'description', 'default'];
+
+/**
+ * Whether a schema is standard JSON Schema rather than the validator's own structure
+ * @param {Object} schema
+ * @returns {boolean}
+ */
+export function isJSONSchema(schema) {
+  return !!schema && typeof schema === 'object' &&
+    (typeof schema.$schema === 'string' || (schema.type === 'object' && !!schema.properties));
+}
+
+/**
+ * Convert JSON Schema into the validator's structure.
+ * `required` arrays become per-property `required` flags and `minimum`/`maximum`
+ * become `min`/`max`; `$ref`, `items`, `oneOf` and `additionalProperties` are kept.
+ * @param {Object} jsonSchema - Root schema of type object
+ * @returns {{structure: Object, definitions: Object, additionalProperties: (boolean|Object|undefined)}}
+ */
+export function fromJSONSchema(jsonSchema) {
+  if (!isJSONSchema(jsonSchema)) {
+    throw new Error('Expected a JSON Schema object');
+  }
+
+  if (jsonSchema.type && jsonSchema.type !== 'object') {
+    throw new Error(`Root state schema must be of type object, got ${jsonSchema.type}`);
+  }
+
+  const root = fromJSONSchemaNode(jsonSchema);
+
+  return {
+    structure: root.properties || {},
+    definitions: fromJSONSchemaDefinitions(jsonSchema),
+    additionalProperties: root.additionalProperties
+  };
+}
+
+/**
+ * Convert the validator's structure into JSON Schema
+ * @param {Object} structure - State structure (property name -> schema node)
+ * @param {Object} [options]
+ * @param {Object} [options.definitions] - Emitted as `$defs`
+ * @param {boolean|Object} [options.additionalProperties]
+ * @returns {Object}
+ */
+export function toJSONSchema(structure, options = {}) {
+  const jsonSchema = {
+    $schema: JSON_SCHEMA_DIALECT,
+    type: 'object',
+    ...toJSONSchemaProperties(structure)
+  };
+
+  if (options.additionalProperties !== undefined) {
+    jsonSchema.additionalProperties = toJSONSchemaAdditional(options.additionalProperties);
+  }
+
+  const definitions = Object.entries(options.definitions || {});
+  if (definitions.length > 0) {
+    jsonSchema.$defs = Object.fromEntries(
+      definitions.map(([name, def]) => [name, toJSONSchemaNode(def)])
+    );
+  }
+
+  return jsonSchema;
+}
+
+const compiledJSONSchemas = new WeakMap();
+
+/**
+ * Validate any value (object, array or primitive) against a JSON Schema,
+ * e.g. API request and response payloads. Converted schemas are cached per object.
+ * @param {Object} jsonSchema
+ * @param {*} value
+ * @returns {ValidationResult}
+ */
+export function validateAgainstJSONSchema(jsonSchema, value) {
+  let compiled = compiledJSONSchemas.get(jsonSchema);
+
+  if (!compiled) {
+    compiled = {
+      root: fromJSONSchemaNode(jsonSchema),
+      validator: new CoreStateValidator({
+        structure: {},
+        definitions: fromJSONSchemaDefinitions(jsonSchema),
+        rules: []
+      })
+    };
+    compiledJSONSchemas.set(jsonSchema, compiled);
+  }
+
+  return compiled.validator.validateValue(value, compiled.root);
+}
+
+/** @private */
+function fromJSONSchemaDefinitions(jsonSchema) {
+  const definitions = jsonSchema.$defs || jsonSchema.definitions || {};
+
+  return Object.fromEntries(
+    Object.entries(definitions).map(([name, node]) => [name, fromJSONSchemaNode(node)])
+  );
+}
+
+/** @private */
+function fromJSONSchemaNode(node) {
+  if (!node || typeof node !== 'object') {
+    return {};
+  }
+
+  const def = {};
+
+  for (const keyword of SHARED_KEYWORDS) {
+    if (node[keyword] !== undefined) def[keyword] = node[keyword];
+  }
+
+  if (node.$ref) def.$ref = node.$ref;
+  if (node.minimum !== undefined) def.min = node.minimum;
+  if (node.maximum !== undefined) def.max = node.maximum;
+
+  const required = Array.isArray(node.required) ? node.required : [];
+
+  if (node.properties || required.length > 0) {
+    def.properties = Object.fromEntries(
+      Object.entries(node.properties || {}).map(([key, child]) => [
+        key,
+        { ...fromJSONSchemaNode(child), required: required.includes(key) }
+      ])
+    );
+
+    // Required keys without a property schema must still be present
+    for (const key of required) {
+      if (!Object.prototype.hasOwnProperty.call(def.properties, key)) {
+        def.properties[key] = { required: true };
+      }
+    }
+  }
+
+  if (node.items) def.items = fromJSONSchemaNode(node.items);
+  if (Array.isArray(node.oneOf)) def.oneOf = node.oneOf.map(fromJSONSchemaNode);
+
+  if (node.additionalProperties !== undefined) {
+    def.additionalProperties = typeof node.additionalProperties === 'boolean'
+      ? node.additionalProperties
+      : fromJSONSchemaNode(node.additionalProperties);
+  }
+
+  return def;
+}
+
+/** @private */
+function toJSONSchemaNode(def) {
+  const node = {};
+
+  for (const keyword of SHARED_KEYWORDS) {
+    if (def[keyword] !== undefined) node[keyword] = def[keyword];
+  }
+
+  if (def.$ref) {
+    node.$ref = def.$ref.startsWith('#') ? def.$ref : `#/$defs/${def.$ref}`;
+  }
+
+  const min = def.min !== undefined ? def.min : def.minimum;
+  const max = def.max !== undefined ? def.max : def.maximum;
+  if (min !== undefined) node.minimum = min;
+  if (max !== undefined) node.maximum = max;
+
+  if (def.properties) Object.assign(node, toJSONSchemaProperties(def.properties));
+  if (def.items) node.items = toJSONSchemaNode(def.items);
+  if (Array.isArray(def.oneOf)) node.oneOf = def.oneOf.map(toJSONSchemaNode);
+
+  if (def.additionalProperties !== undefined) {
+    node.additionalProperties = toJSONSchemaAdditional(def.additionalProperties);
+  }
+
+  return node;
+}
+
+/** @private */
+function toJSONSchemaProperties(structure) {
+  const properties = {};
+  const required = [];
+
+  for (const [key, def] of Object.entries(structure)) {
+    properties[key] = toJSONSchemaNode(def);
+
+    if (def.required !== false) {
+      required.push(key);
+    }
+  }
+
+  return required.length > 0 ? { properties, required } : { properties };
+}
+
+/** @private */
+function toJSONSchemaAdditional(additionalProperties) {
+  return typeof additionalProperties === 'boolean'
+    ? additionalProperties
+    : toJSONSchemaNode(additionalProperties);
 }
 
 // ============================================
@@ -655,19 +1468,27 @@ class BasicStateSanitizer extends StateSanitizer {
 
 /**
  * Create a state validator for the app
- * @param {Object} appSchema - Application state schema
+ * @param {Object} appSchema - Application state schema (own structure or JSON Schema)
  * @param {Object} [config] - Configuration
  * @returns {CoreStateValidator}
  */
 export function createAppStateValidator(appSchema, config = {}) {
+  const { structure, definitions, additionalProperties } = isJSONSchema(appSchema)
+    ? fromJSONSchema(appSchema)
+    : { structure: appSchema, definitions: config.definitions };
+  
   const schema = {
-    structure: appSchema,
+    structure,
+    definitions,
+    additionalProperties,
     strict: config.strict !== false,
     rules: [
       new SerializableRule(),
       new NoCircularReferencesRule(),
-      new StateSizeRule(config.maxStateSizeKB || 2048)
-    ]
+      new StateSizeRule(config.maxStateSizeKB || 2048),
+      ...(config.rules || [])
+    ],
+    constraints: config.constraints || []
   };
   
   const dependencies = {};
@@ -695,7 +1516,7 @@ export function createVakamovaStateSchema() {
           type: 'object',
           properties: {
             type: { type: 'string', enum: ['free', 'premium', 'trial'] },
-            expiresAt: { type: 'number' },
+            expiresAt: { type: 'number', format: 'date-time' },
             isActive: { type: 'boolean' }
           }
         }
@@ -704,32 +1525,57 @@ export function createVakamovaStateSchema() {
     lessons: {
       type: 'object',
       properties: {
-        currentLevel: { type: 'number', min: 1, max: 100 },
-        completedLessons: { type: 'array', items: { type: 'string' } },
-        progress: { type: 'number', min: 0, max: 100 }
+        currentLevel: { type: 'number', min: 1, max: 100, default: 1 },
+        completedLessons: { type: 'array', items: { type: 'string' }, default: [] },
+        progress: { type: 'number', min: 0, max: 100, default: 0 }
       }
     },
     settings: {
       type: 'object',
       properties: {
         language: { type: 'string', enum: ['en', 'fa', 'ar', 'fr', 'es', 'de', 'ru', 'zh', 'ja', 'ko', 'tr', 'hi'] },
-        notifications: { type: 'boolean' },
-        offlineMode: { type: 'boolean' }
+        notifications: { type: 'boolean', default: true },
+        offlineMode: { type: 'boolean', default: false }
       }
     }
   };
 }
 
+/**
+ * Cross-field constraints for Vakamova app state
+ * @returns {CrossFieldConstraint[]}
+ */
+export function createVakamovaStateConstraints() {
+  return [
+    {
+      code: 'SUBSCRIPTION_EXPIRED',
+      path: 'user.subscription.expiresAt',
+      when: { 'user.subscription.isActive': true },
+      assert: { 'user.subscription.expiresAt': { gt: '$now' } }
+    },
+    {
+      code: 'PROGRESS_WITHOUT_COMPLETED_LESSONS',
+      path: 'lessons.progress',
+      when: { 'lessons.progress': { gt: 0 } },
+      assert: { 'lessons.completedLessons.length': { gt: 0 } }
+    }
+  ];
+}
+
 // ============================================
 // EXPORTS
 // ============================================
 
+export { setDefaultLanguage, getDefaultLanguage, localizeValidationErrors };
+
 export {
   CoreStateValidator as StateValidator,
   ValidationRule,
+  AsyncValidationRule,
   StateSanitizer,
   SerializableRule,
   NoCircularReferencesRule,
   StateSizeRule,
+  LanguageCatalogRule,
   BasicStateSanitizer
 };
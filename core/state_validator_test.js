@@ -0,0 +1,293 @@
+/**
+ * 🧪 تست State Validator
+ * تست‌های JSON Schema، ترمیم state، قواعد و پیام‌های خطا
+ */
+
+import {
+    createAppStateValidator,
+    validateAgainstJSONSchema,
+    fromJSONSchema,
+    toJSONSchema,
+    LanguageCatalogRule,
+    setDefaultLanguage,
+    localizeValidationErrors
+} from './state-validator.js';
+
+const codesOf = result => result.errors.map(error => error.code);
+
+describe('validateAgainstJSONSchema', () => {
+    test('should report missing required properties', () => {
+        const schema = {
+            type: 'object',
+            required: ['email'],
+            properties: { email: { type: 'string' }, name: { type: 'string' } }
+        };
+
+        expect(validateAgainstJSONSchema(schema, { email: 'ali@test.com' }).isValid).toBe(true);
+        expect(validateAgainstJSONSchema(schema, { name: 'Ali' }).errors).toEqual([
+            expect.objectContaining({ code: 'REQUIRED_PROPERTY_MISSING', path: 'email' })
+        ]);
+    });
+
+    test('should report required keys that are not listed in properties', () => {
+        const schema = { type: 'object', required: ['a'] };
+
+        expect(validateAgainstJSONSchema(schema, {}).errors).toEqual([
+            expect.objectContaining({ code: 'REQUIRED_PROPERTY_MISSING', path: 'a' })
+        ]);
+        expect(validateAgainstJSONSchema(schema, { a: [1] }).isValid).toBe(true);
+    });
+
+    test('should check minimum and maximum', () => {
+        const schema = { type: 'integer', minimum: 1, maximum: 100 };
+
+        expect(codesOf(validateAgainstJSONSchema(schema, 0))).toEqual(['VALUE_TOO_SMALL']);
+        expect(codesOf(validateAgainstJSONSchema(schema, 101))).toEqual(['VALUE_TOO_LARGE']);
+        expect(validateAgainstJSONSchema(schema, 50).isValid).toBe(true);
+    });
+
+    test('should validate array items with their index in the path', () => {
+        const schema = { type: 'array', items: { type: 'string' } };
+
+        expect(validateAgainstJSONSchema(schema, ['fa', 2]).errors).toEqual([
+            expect.objectContaining({ code: 'TYPE_MISMATCH', path: '[1]' })
+        ]);
+    });
+
+    test('should resolve $ref against $defs', () => {
+        const schema = {
+            type: 'object',
+            properties: { lesson: { $ref: '#/$defs/Lesson' } },
+            $defs: {
+                Lesson: {
+                    type: 'object',
+                    required: ['id'],
+                    properties: { id: { type: 'string' }, score: { type: 'number', maximum: 100 } }
+                }
+            }
+        };
+
+        expect(validateAgainstJSONSchema(schema, { lesson: { id: 'l1', score: 80 } }).isValid).toBe(true);
+        expect(validateAgainstJSONSchema(schema, { lesson: { score: 120 } }).errors).toEqual([
+            expect.objectContaining({ code: 'REQUIRED_PROPERTY_MISSING', path: 'lesson.id' }),
+            expect.objectContaining({ code: 'VALUE_TOO_LARGE', path: 'lesson.score' })
+        ]);
+    });
+
+    test('should throw for an unresolved $ref', () => {
+        const schema = { type: 'object', properties: { lesson: { $ref: '#/$defs/Missing' } } };
+
+        expect(() => validateAgainstJSONSchema(schema, { lesson: {} })).toThrow('Unresolved $ref');
+    });
+
+    test('should require exactly one oneOf branch to match', () => {
+        const schema = {
+            oneOf: [
+                { type: 'integer' },
+                { type: 'number', minimum: 10 }
+            ]
+        };
+
+        expect(validateAgainstJSONSchema(schema, 5).isValid).toBe(true);
+        expect(codesOf(validateAgainstJSONSchema(schema, 12))).toEqual(['ONE_OF_MISMATCH']);
+        expect(codesOf(validateAgainstJSONSchema(schema, 'five'))).toEqual(['ONE_OF_MISMATCH']);
+    });
+
+    test('should reject additional properties when they are not allowed', () => {
+        const schema = {
+            type: 'object',
+            properties: { theme: { type: 'string' } },
+            additionalProperties: false
+        };
+
+        expect(validateAgainstJSONSchema(schema, { theme: 'dark' }).isValid).toBe(true);
+        expect(validateAgainstJSONSchema(schema, { theme: 'dark', fontSize: 12 }).errors).toEqual([
+            expect.objectContaining({ code: 'ADDITIONAL_PROPERTY_NOT_ALLOWED', path: 'fontSize' })
+        ]);
+    });
+
+    test('should validate additional properties against a schema', () => {
+        const schema = { type: 'object', additionalProperties: { type: 'number' } };
+
+        expect(validateAgainstJSONSchema(schema, { lesson_1: 80 }).isValid).toBe(true);
+        expect(validateAgainstJSONSchema(schema, { lesson_1: 'done' }).errors).toEqual([
+            expect.objectContaining({ code: 'TYPE_MISMATCH', path: 'lesson_1' })
+        ]);
+    });
+});
+
+describe('JSON Schema conversion', () => {
+    const jsonSchema = {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        type: 'object',
+        properties: {
+            user: {
+                type: 'object',
+                properties: {
+                    email: { type: 'string', pattern: '^[^@]+@[^@]+$' },
+                    level: { type: 'integer', minimum: 1, maximum: 100 }
+                },
+                required: ['email'],
+                additionalProperties: false
+            },
+            lessons: { type: 'array', items: { $ref: '#/$defs/Lesson' } },
+            theme: { oneOf: [{ type: 'string' }, { type: 'null' }] }
+        },
+        required: ['user'],
+        additionalProperties: false,
+        $defs: {
+            Lesson: {
+                type: 'object',
+                properties: { id: { type: 'string' } },
+                required: ['id']
+            }
+        }
+    };
+
+    test('should map JSON Schema keywords to the validator structure', () => {
+        const { structure, definitions, additionalProperties } = fromJSONSchema(jsonSchema);
+
+        expect(structure.user.required).toBe(true);
+        expect(structure.lessons.required).toBe(false);
+        expect(structure.user.properties.level).toMatchObject({ min: 1, max: 100, required: false });
+        expect(structure.lessons.items).toEqual({ $ref: '#/$defs/Lesson' });
+        expect(definitions.Lesson.properties.id.required).toBe(true);
+        expect(additionalProperties).toBe(false);
+    });
+
+    test('should round-trip through createAppStateValidator and toJSONSchema', () => {
+        const validator = createAppStateValidator(jsonSchema);
+
+        expect(validator.toJSONSchema()).toEqual(jsonSchema);
+    });
+
+    test('should emit minimum, maximum and required from the own structure', () => {
+        const emitted = toJSONSchema({
+            progress: { type: 'number', min: 0, max: 100 },
+            note: { type: 'string', required: false }
+        });
+
+        expect(emitted).toEqual({
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            type: 'object',
+            properties: {
+                progress: { type: 'number', minimum: 0, maximum: 100 },
+                note: { type: 'string' }
+            },
+            required: ['progress']
+        });
+    });
+
+    test('should validate state with a converted JSON Schema', () => {
+        const validator = createAppStateValidator(jsonSchema);
+
+        expect(validator.validate({ user: { email: 'ali@test.com' }, lessons: [{ id: 'l1' }] }).isValid).toBe(true);
+        expect(codesOf(validator.validate({ user: { email: 'ali@test.com', age: 3 }, lessons: [{}] })))
+            .toEqual(expect.arrayContaining(['ADDITIONAL_PROPERTY_NOT_ALLOWED', 'REQUIRED_PROPERTY_MISSING']));
+    });
+});
+
+describe('CoreStateValidator.repair', () => {
+    test('should repair corrupted persisted values', () => {
+        const validator = createAppStateValidator({
+            lessons: {
+                type: 'object',
+                properties: {
+                    currentLevel: { type: 'number', min: 1, max: 100, default: 1 },
+                    progress: { type: 'number', min: 0, max: 100, default: 0 }
+                }
+            }
+        }, { enableSanitization: true });
+
+        const result = validator.repair({ lessons: { currentLevel: '250' } });
+
+        expect(result.isValid).toBe(true);
+        expect(result.repairedState.lessons).toEqual({ currentLevel: 100, progress: 0 });
+        expect(result.report.repairs.map(repair => repair.action)).toEqual(['coerce', 'clamp', 'default']);
+    });
+});
+
+describe('BasicStateSanitizer coercion', () => {
+    const validator = createAppStateValidator({
+        lessons: {
+            type: 'object',
+            properties: {
+                currentLevel: { type: 'number', min: 1, max: 100, default: 1 },
+                lastStudiedAt: { type: 'number', format: 'date-time' }
+            }
+        }
+    }, { enableSanitization: true });
+
+    test('should not turn date strings into numbers for plain number fields', () => {
+        const result = validator.repair({ lessons: { currentLevel: '2024-01-01' } });
+
+        expect(result.repairedState.lessons.currentLevel).toBe(1);
+        expect(result.report.repairs).toEqual([
+            expect.objectContaining({ path: 'lessons.currentLevel', action: 'default' })
+        ]);
+    });
+
+    test('should convert ISO date strings for date-time fields', () => {
+        const result = validator.repair({
+            lessons: { currentLevel: 3, lastStudiedAt: '2024-01-01T00:00:00Z' }
+        });
+
+        expect(result.isValid).toBe(true);
+        expect(result.repairedState.lessons.lastStudiedAt).toBe(Date.UTC(2024, 0, 1));
+    });
+});
+
+describe('rules and constraints', () => {
+    test('should aggregate cross-field constraints and async rules', async () => {
+        const catalogRule = new LanguageCatalogRule(async () => ['fa', 'en']);
+        const validator = createAppStateValidator({}, {
+            strict: false,
+            rules: [catalogRule],
+            constraints: [{
+                code: 'SUBSCRIPTION_EXPIRED',
+                when: { 'subscription.isActive': true },
+                assert: { 'subscription.expiresAt': { gt: '$now' } }
+            }]
+        });
+        const state = { subscription: { isActive: true, expiresAt: 0 }, settings: { language: 'de' } };
+
+        expect(codesOf(validator.validate(state))).toEqual(['SUBSCRIPTION_EXPIRED']);
+
+        const result = await validator.validateAsync(state);
+        expect(result.isValid).toBe(false);
+        expect(codesOf(result)).toEqual(['SUBSCRIPTION_EXPIRED', 'UNSUPPORTED_LANGUAGE']);
+    });
+});
+
+describe('validation messages', () => {
+    const schema = {
+        user: {
+            type: 'object',
+            properties: {
+                email: { type: 'string', pattern: '^[^@]+@[^@]+\\.[^@]+$' }
+            }
+        }
+    };
+    const state = { user: { email: 'not-an-email' } };
+
+    afterEach(() => {
+        setDefaultLanguage('en');
+    });
+
+    test('should render validation messages in the default language', () => {
+        setDefaultLanguage('fa');
+        const [error] = createAppStateValidator(schema).validate(state).errors;
+
+        expect(error).toMatchObject({ code: 'PATTERN_MISMATCH', path: 'user.email' });
+        expect(error.message).toBe('قالب user.email نامعتبر است');
+        expect(localizeValidationErrors([error], 'en')[0].message)
+            .toContain('String format invalid at user.email');
+    });
+
+    test('should fall back to English for languages without a catalog', () => {
+        setDefaultLanguage('es');
+        const [error] = createAppStateValidator(schema).validate(state).errors;
+
+        expect(error.message).toContain('String format invalid at user.email');
+    });
+});
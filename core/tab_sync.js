@@ -0,0 +1,403 @@
+/**
+ * Tab Sync - همگام‌سازی State بین تب‌های باز برنامه با BroadcastChannel
+ * اصول رعایت شده: SRP, DIP, KISS
+ *
+ * - actionهای commit شده به همراه مقدار جدید sliceهای مشترک به تب‌های دیگر
+ *   ارسال و آنجا با HYDRATE اعمال می‌شوند (همه تب‌ها به یک state می‌رسند)
+ * - هر تغییر slice یک مهر { clock, tabId } با ساعت Lamport دارد؛ پیام‌هایی که
+ *   از مهر فعلی slice قدیمی‌ترند دور ریخته می‌شوند، پس ترتیب رسیدن پیام‌ها
+ *   و تغییر همزمان در دو تب نتیجه را عوض نمی‌کند (آخرین نوشتن برنده است)
+ * - HYDRATE تب‌های دیگر در تاریخچه undo ثبت نمی‌شود
+ * - sliceهای محلی تب (مثل ui) هرگز ارسال نمی‌شوند
+ * - با heartbeat یک تب رهبر انتخاب می‌شود (قدیمی‌ترین تب زنده) تا فقط آن
+ *   کارهایی مثل ذخیره‌سازی و sync با سرور را انجام دهد
+ */
+
+import { ActionCreators } from './state-manager.js';
+
+const DEFAULT_OPTIONS = {
+  channelName: 'vakamova_state_sync',
+  tabLocalSlices: ['ui'],
+  heartbeatMs: 2000,
+  // تبی که این مدت heartbeat نفرستد، بسته شده فرض می‌شود
+  tabTimeoutMs: 6000
+};
+
+class TabSync {
+  /**
+   * @param {VakamovaStateManager} stateManager
+   * @param {Object} options
+   * @param {string} [options.channelName]
+   * @param {string[]} [options.tabLocalSlices=['ui']]
+   * @param {number} [options.heartbeatMs=2000]
+   * @param {number} [options.tabTimeoutMs=6000]
+   * @param {Function} [options.channelFactory] - (name) => BroadcastChannel (برای تست)
+   */
+  constructor(stateManager, options = {}) {
+    if (!stateManager || typeof stateManager.subscribeToActions !== 'function') {
+      throw new Error('Valid stateManager required');
+    }
+
+    this._stateManager = stateManager;
+    this._options = { ...DEFAULT_OPTIONS, ...options };
+    this._tabLocalSlices = new Set(this._options.tabLocalSlices);
+
+    this.tabId = `tab_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this._startedAt = Date.now();
+
+    // تب‌های زنده: tabId -> { startedAt, lastSeen }
+    this._peers = new Map();
+    this._isLeader = false;
+
+    // ساعت Lamport و مهر آخرین تغییر هر slice: slice -> { clock, tabId }
+    this._clock = 0;
+    this._sliceStamps = new Map();
+    this._leadershipListeners = new Set();
+
+    this._channel = null;
+    this._heartbeatTimer = null;
+    this._unsubscribeActions = null;
+    this._isStarted = false;
+
+    this._handleUnload = () => this.stop();
+  }
+
+  /**
+   * شروع همگام‌سازی
+   * اگر BroadcastChannel در دسترس نباشد، تب به تنهایی رهبر است
+   * @returns {boolean} آیا همگام‌سازی بین تب‌ها فعال شد
+   */
+  start() {
+    if (this._isStarted) return !!this._channel;
+    this._isStarted = true;
+
+    this._channel = this._createChannel();
+
+    if (!this._channel) {
+      console.warn('BroadcastChannel not available. Tab sync disabled.');
+      this._updateLeadership();
+      return false;
+    }
+
+    this._channel.onmessage = (event) => this._handleMessage(event.data);
+
+    this._unsubscribeActions = this._stateManager.subscribeToActions(
+      (action, nextState, prevState) => this._broadcastAction(action, nextState, prevState)
+    );
+
+    this._heartbeatTimer = setInterval(() => this._heartbeat(), this._options.heartbeatMs);
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', this._handleUnload);
+    }
+
+    this._updateLeadership();
+    this._post({ kind: 'hello', startedAt: this._startedAt });
+    this._post({ kind: 'state_request' });
+    return true;
+  }
+
+  /**
+   * توقف همگام‌سازی و اعلام خروج به تب‌های دیگر
+   */
+  stop() {
+    if (!this._isStarted) return;
+
+    if (this._channel) {
+      this._post({ kind: 'bye' });
+      this._channel.close();
+      this._channel = null;
+    }
+
+    if (this._unsubscribeActions) {
+      this._unsubscribeActions();
+      this._unsubscribeActions = null;
+    }
+
+    if (this._heartbeatTimer) {
+      clearInterval(this._heartbeatTimer);
+      this._heartbeatTimer = null;
+    }
+
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', this._handleUnload);
+    }
+
+    this._peers.clear();
+    this._sliceStamps.clear();
+    this._isStarted = false;
+    this._setLeader(false);
+  }
+
+  /**
+   * آیا این تب رهبر است (مسئول ذخیره‌سازی و sync)
+   * @returns {boolean}
+   */
+  isLeader() {
+    return this._isLeader;
+  }
+
+  /**
+   * ثبت شنودکننده تغییر رهبری
+   * @param {Function} listener - (isLeader) => void
+   * @returns {Function} تابع لغو اشتراک
+   */
+  onLeadershipChange(listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('Listener must be a function');
+    }
+
+    this._leadershipListeners.add(listener);
+    return () => this._leadershipListeners.delete(listener);
+  }
+
+  /**
+   * علامت‌گذاری یک slice به عنوان محلی تب (ارسال نمی‌شود)
+   * @param {string} sliceName
+   */
+  markTabLocal(sliceName) {
+    this._tabLocalSlices.add(sliceName);
+  }
+
+  /**
+   * تعداد تب‌های زنده (شامل همین تب)
+   * @returns {number}
+   */
+  getTabCount() {
+    return this._peers.size + 1;
+  }
+
+  _createChannel() {
+    try {
+      if (this._options.channelFactory) {
+        return this._options.channelFactory(this._options.channelName);
+      }
+
+      if (typeof BroadcastChannel === 'undefined') {
+        return null;
+      }
+
+      return new BroadcastChannel(this._options.channelName);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _broadcastAction(action, nextState, prevState) {
+    // actionهای دریافتی از تب‌های دیگر دوباره ارسال نمی‌شوند
+    if (action.meta?.remote) return;
+
+    const slices = this._pickSharedSlices(nextState, prevState);
+    if (Object.keys(slices).length === 0) return;
+
+    const stamp = { clock: ++this._clock, tabId: this.tabId };
+    Object.keys(slices).forEach(key => this._sliceStamps.set(key, stamp));
+
+    this._post({
+      kind: 'action',
+      action: { type: action.type, payload: action.payload },
+      slices,
+      clock: stamp.clock
+    });
+  }
+
+  /**
+   * مهر sliceهای مشترک برای snapshot (slice بدون تغییر محلی مهر صفر می‌گیرد)
+   */
+  _pickSliceStamps(slices) {
+    const stamps = {};
+
+    Object.keys(slices).forEach(key => {
+      stamps[key] = this._sliceStamps.get(key) || { clock: 0, tabId: this.tabId };
+    });
+
+    return stamps;
+  }
+
+  /**
+   * ترتیب کامل مهرها: ساعت بزرگ‌تر، در تساوی tabId بزرگ‌تر
+   */
+  _isNewer(stamp, current) {
+    if (!current) return true;
+    return stamp.clock > current.clock || (stamp.clock === current.clock && stamp.tabId > current.tabId);
+  }
+
+  /**
+   * sliceهای مشترکی که تغییر کرده‌اند (بدون prevState همه sliceهای مشترک)
+   */
+  _pickSharedSlices(state, prevState = null) {
+    const slices = {};
+
+    Object.keys(state).forEach(key => {
+      if (key.startsWith('_') || this._tabLocalSlices.has(key)) return;
+      if (prevState && prevState[key] === state[key]) return;
+      slices[key] = state[key];
+    });
+
+    return slices;
+  }
+
+  _handleMessage(message) {
+    if (!message || message.tabId === this.tabId) return;
+
+    switch (message.kind) {
+      case 'hello':
+        this._touchPeer(message);
+        // تب جدید باید سریع از وجود ما باخبر شود
+        this._post({ kind: 'heartbeat', startedAt: this._startedAt });
+        break;
+
+      case 'heartbeat':
+        this._touchPeer(message);
+        break;
+
+      case 'bye':
+        this._peers.delete(message.tabId);
+        this._updateLeadership();
+        break;
+
+      case 'action': {
+        const stamp = { clock: message.clock || 0, tabId: message.tabId };
+        const stamps = {};
+        Object.keys(message.slices || {}).forEach(key => {
+          stamps[key] = stamp;
+        });
+        this._applyRemoteSlices(message.slices, stamps, message.tabId, message.action?.type);
+        break;
+      }
+
+      case 'state_request':
+        if (this._isLeader) {
+          const slices = this._pickSharedSlices(this._stateManager.getState());
+          this._post({
+            kind: 'state_snapshot',
+            target: message.tabId,
+            slices,
+            stamps: this._pickSliceStamps(slices)
+          });
+        }
+        break;
+
+      case 'state_snapshot':
+        if (message.target === this.tabId) {
+          this._applyRemoteSlices(message.slices, message.stamps || {}, message.tabId, 'state_snapshot');
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * اعمال sliceهای تب دیگر؛ sliceهایی که مهر جدیدتری دارند دست نمی‌خورند
+   */
+  _applyRemoteSlices(slices, stamps, sourceTab, originalType) {
+    const sharedSlices = {};
+
+    Object.entries(slices || {}).forEach(([key, value]) => {
+      const stamp = stamps[key] || { clock: 0, tabId: sourceTab };
+      this._clock = Math.max(this._clock, stamp.clock);
+
+      if (this._tabLocalSlices.has(key) || !this._isNewer(stamp, this._sliceStamps.get(key))) {
+        return;
+      }
+
+      this._sliceStamps.set(key, stamp);
+      sharedSlices[key] = value;
+    });
+
+    if (Object.keys(sharedSlices).length === 0) return;
+
+    this._stateManager.dispatch(ActionCreators.hydrateState(sharedSlices, {
+      remote: true,
+      recordHistory: false,
+      sourceTab,
+      originalType
+    }));
+  }
+
+  _touchPeer(message) {
+    this._peers.set(message.tabId, {
+      startedAt: message.startedAt,
+      lastSeen: Date.now()
+    });
+    this._updateLeadership();
+  }
+
+  _heartbeat() {
+    const now = Date.now();
+
+    this._peers.forEach((peer, tabId) => {
+      if (now - peer.lastSeen > this._options.tabTimeoutMs) {
+        this._peers.delete(tabId);
+      }
+    });
+
+    this._post({ kind: 'heartbeat', startedAt: this._startedAt });
+    this._updateLeadership();
+  }
+
+  /**
+   * رهبر: قدیمی‌ترین تب زنده (در تساوی، tabId کوچک‌تر)
+   */
+  _updateLeadership() {
+    let isLeader = true;
+
+    this._peers.forEach((peer, tabId) => {
+      if (peer.startedAt < this._startedAt ||
+          (peer.startedAt === this._startedAt && tabId < this.tabId)) {
+        isLeader = false;
+      }
+    });
+
+    this._setLeader(isLeader);
+  }
+
+  _setLeader(isLeader) {
+    if (this._isLeader === isLeader) return;
+
+    this._isLeader = isLeader;
+    this._leadershipListeners.forEach(listener => {
+      try {
+        listener(isLeader);
+      } catch (error) {
+        console.error('Leadership listener error:', error);
+      }
+    });
+  }
+
+  _post(message) {
+    if (!this._channel) return;
+
+    try {
+      this._channel.postMessage({ ...message, tabId: this.tabId });
+    } catch (error) {
+      // payload غیرقابل clone: فقط sliceها را بدون action ارسال می‌کنیم
+      if (message.kind === 'action') {
+        this._channel.postMessage({ ...message, action: { type: message.action.type }, tabId: this.tabId });
+      } else {
+        console.error('Tab sync message failed:', error);
+      }
+    }
+  }
+}
+
+// ایجاد نمونه واحد (Singleton) از Tab Sync
+let tabSyncInstance = null;
+
+export function createTabSync(stateManager, options) {
+  if (!tabSyncInstance) {
+    tabSyncInstance = new TabSync(stateManager, options);
+  }
+  return tabSyncInstance;
+}
+
+export function getTabSync() {
+  if (!tabSyncInstance) {
+    throw new Error('Tab Sync not initialized. Call createTabSync first.');
+  }
+  return tabSyncInstance;
+}
+
+export { TabSync };
@@ -0,0 +1,192 @@
+/**
+ * 🧪 تست Tab Sync
+ * تست‌های انتخاب رهبر و همگام‌سازی State بین تب‌ها با BroadcastChannel ساختگی
+ */
+
+import { TabSync } from './tab-sync.js';
+import { VakamovaStateManager, ActionCreators } from './state-manager.js';
+
+global.localStorage = {
+    getItem: jest.fn(() => null),
+    setItem: jest.fn(),
+    removeItem: jest.fn()
+};
+
+// BroadcastChannel ساختگی: پیام‌ها تا flush در صف می‌مانند (مثل تحویل ناهمگام مرورگر)
+class MockChannelHub {
+    constructor() {
+        this.channels = new Set();
+        this.queue = [];
+    }
+
+    factory = () => {
+        const hub = this;
+        const channel = {
+            onmessage: null,
+            postMessage(data) {
+                hub.queue.push({ from: channel, data: structuredClone(data) });
+            },
+            close() {
+                hub.channels.delete(channel);
+            }
+        };
+        this.channels.add(channel);
+        return channel;
+    };
+
+    flush() {
+        while (this.queue.length > 0) {
+            const { from, data } = this.queue.shift();
+            this.channels.forEach(channel => {
+                if (channel !== from && channel.onmessage) {
+                    channel.onmessage({ data });
+                }
+            });
+        }
+    }
+}
+
+describe('TabSync', () => {
+    let hub;
+    let tabs;
+
+    const openTab = () => {
+        const stateManager = new VakamovaStateManager({});
+        stateManager.setDevelopmentMode(false);
+        const sync = new TabSync(stateManager, { channelFactory: hub.factory });
+        sync.start();
+        hub.flush();
+        tabs.push(sync);
+        return { stateManager, sync };
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        hub = new MockChannelHub();
+        tabs = [];
+    });
+
+    afterEach(() => {
+        tabs.forEach(sync => sync.stop());
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    describe('leader election', () => {
+        test('should make a single tab the leader', () => {
+            const { sync } = openTab();
+
+            expect(sync.isLeader()).toBe(true);
+        });
+
+        test('should keep the oldest tab as leader', () => {
+            const first = openTab();
+            jest.advanceTimersByTime(10);
+            const second = openTab();
+
+            expect(first.sync.isLeader()).toBe(true);
+            expect(second.sync.isLeader()).toBe(false);
+            expect(second.sync.getTabCount()).toBe(2);
+        });
+
+        test('should hand over leadership when the leader closes', () => {
+            const first = openTab();
+            jest.advanceTimersByTime(10);
+            const second = openTab();
+            const onChange = jest.fn();
+            second.sync.onLeadershipChange(onChange);
+
+            first.sync.stop();
+            hub.flush();
+
+            expect(second.sync.isLeader()).toBe(true);
+            expect(onChange).toHaveBeenCalledWith(true);
+        });
+
+        test('should take over when the leader stops sending heartbeats', () => {
+            const first = openTab();
+            jest.advanceTimersByTime(10);
+            const second = openTab();
+
+            // تب رهبر بدون bye از کار می‌افتد
+            first.sync._channel.onmessage = null;
+            clearInterval(first.sync._heartbeatTimer);
+            jest.advanceTimersByTime(10000);
+            hub.flush();
+
+            expect(second.sync.isLeader()).toBe(true);
+        });
+    });
+
+    describe('state sync', () => {
+        test('should apply shared slice changes in other tabs', () => {
+            const first = openTab();
+            const second = openTab();
+
+            first.stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 80));
+            hub.flush();
+
+            expect(second.stateManager.getState().progress.lesson_1.score).toBe(80);
+        });
+
+        test('should not send tab-local slices', () => {
+            const first = openTab();
+            const second = openTab();
+
+            first.stateManager.dispatch(ActionCreators.startLoading());
+            hub.flush();
+
+            expect(second.stateManager.getState().ui).not.toEqual(first.stateManager.getState().ui);
+        });
+
+        test('should send the leader state to a new tab', () => {
+            const first = openTab();
+            first.stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+            jest.advanceTimersByTime(10);
+
+            const second = openTab();
+
+            expect(second.stateManager.getState().user.email).toBe('ali@test.com');
+        });
+
+        test('should drop a message older than the slice it would overwrite', () => {
+            const first = openTab();
+            const second = openTab();
+
+            first.stateManager.dispatch(ActionCreators.loginUser({ email: 'old@test.com' }));
+            first.stateManager.dispatch(ActionCreators.loginUser({ email: 'new@test.com' }));
+            // تحویل خارج از ترتیب
+            hub.queue.reverse();
+            hub.flush();
+
+            expect(second.stateManager.getState().user.email).toBe('new@test.com');
+        });
+
+        test('should converge when two tabs change the same slice at once', () => {
+            const first = openTab();
+            const second = openTab();
+
+            first.stateManager.dispatch(ActionCreators.loginUser({ email: 'first@test.com' }));
+            second.stateManager.dispatch(ActionCreators.loginUser({ email: 'second@test.com' }));
+            hub.flush();
+
+            expect(first.stateManager.getState().user.email)
+                .toBe(second.stateManager.getState().user.email);
+        });
+
+        test('should not record remote changes in undo history', () => {
+            const first = openTab();
+            const second = openTab();
+            second.stateManager.dispatch(ActionCreators.completeLesson('lesson_1', 50));
+            hub.flush();
+
+            first.stateManager.dispatch(ActionCreators.loginUser({ email: 'ali@test.com' }));
+            hub.flush();
+
+            expect(second.stateManager.getHistory().entries).toHaveLength(2);
+            second.stateManager.undo();
+            expect(second.stateManager.getState().user.email).toBe('ali@test.com');
+            expect(second.stateManager.getState().progress).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * core/validation-messages.js
+ * Message catalog for structured validation errors
+ *
+ * Errors carry a machine `code`, `path` and `params`; the human-readable
+ * message is rendered from the catalog of the requested language, so the
+ * same error can be shown in the user's interface language.
+ *
+ * Principles Applied:
+ * - SRP: Only message lookup and formatting
+ * - OCP: New languages and codes via registerValidationMessages()
+ */
+
+// ============================================
+// CATALOGS
+// ============================================
+
+const FALLBACK_LANGUAGE = 'en';
+
+/** @private language -> code -> template ('{param}' placeholders) */
+const catalogs = {
+  en: {
+    REQUIRED_PROPERTY_MISSING: 'Required property missing: {path}',
+    ADDITIONAL_PROPERTY_NOT_ALLOWED: 'Additional property not allowed: {path}',
+    UNKNOWN_PROPERTY: 'Unknown property: {path}',
+    TYPE_MISMATCH: 'Type mismatch at {path}: expected {expected}, got {actual}',
+    ONE_OF_MISMATCH: 'Value at {path} must match exactly one oneOf schema, matched {matches}',
+    INVALID_ENUM_VALUE: 'Invalid value at {path}: must be one of {allowed}',
+    VALUE_TOO_SMALL: 'Value too small at {path}: minimum {min}',
+    VALUE_TOO_LARGE: 'Value too large at {path}: maximum {max}',
+    STRING_TOO_SHORT: 'String too short at {path}: minimum length {minLength}',
+    STRING_TOO_LONG: 'String too long at {path}: maximum length {maxLength}',
+    PATTERN_MISMATCH: 'String format invalid at {path}: must match pattern {pattern}',
+    NOT_SERIALIZABLE: 'Value at {path} is not JSON serializable',
+    CIRCULAR_REFERENCE: 'Circular reference detected at {path}',
+    STATE_TOO_LARGE: 'State too large: {size}KB exceeds limit of {limit}KB',
+    ASYNC_RULE_FAILED: 'Async validation failed at {path}: {reason}',
+    CONSTRAINT_VIOLATION: 'Constraint {constraint} violated at {path}',
+    SUBSCRIPTION_EXPIRED: 'Active subscription must expire in the future',
+    PROGRESS_WITHOUT_COMPLETED_LESSONS: 'Progress above zero requires at least one completed lesson',
+    UNSUPPORTED_LANGUAGE: 'Language {value} at {path} is not offered in the course catalog'
+  },
+
+  fa: {
+    REQUIRED_PROPERTY_MISSING: 'فیلد الزامی وجود ندارد: {path}',
+    ADDITIONAL_PROPERTY_NOT_ALLOWED: 'فیلد اضافی مجاز نیست: {path}',
+    UNKNOWN_PROPERTY: 'فیلد ناشناخته: {path}',
+    TYPE_MISMATCH: 'نوع داده در {path} نادرست است: {expected} انتظار می‌رفت، {actual} دریافت شد',
+    ONE_OF_MISMATCH: 'مقدار {path} باید دقیقاً با یکی از الگوها مطابقت داشته باشد ({matches} الگوی مطابق)',
+    INVALID_ENUM_VALUE: 'مقدار {path} نامعتبر است؛ مقادیر مجاز: {allowed}',
+    VALUE_TOO_SMALL: 'مقدار {path} کمتر از حداقل مجاز ({min}) است',
+    VALUE_TOO_LARGE: 'مقدار {path} بیشتر از حداکثر مجاز ({max}) است',
+    STRING_TOO_SHORT: 'طول {path} باید حداقل {minLength} نویسه باشد',
+    STRING_TOO_LONG: 'طول {path} باید حداکثر {maxLength} نویسه باشد',
+    PATTERN_MISMATCH: 'قالب {path} نامعتبر است',
+    NOT_SERIALIZABLE: 'مقدار {path} قابل تبدیل به JSON نیست',
+    CIRCULAR_REFERENCE: 'ارجاع حلقوی در {path} وجود دارد',
+    STATE_TOO_LARGE: 'حجم State ({size}KB) از حد مجاز {limit}KB بیشتر است',
+    ASYNC_RULE_FAILED: 'اعتبارسنجی {path} انجام نشد: {reason}',
+    CONSTRAINT_VIOLATION: 'محدودیت {constraint} در {path} رعایت نشده است',
+    SUBSCRIPTION_EXPIRED: 'تاریخ انقضای اشتراک فعال باید در آینده باشد',
+    PROGRESS_WITHOUT_COMPLETED_LESSONS: 'پیشرفت بیشتر از صفر نیازمند حداقل یک درس تکمیل شده است',
+    UNSUPPORTED_LANGUAGE: 'زبان {value} در فهرست دوره‌ها موجود نیست'
+  },
+
+  ar: {
+    REQUIRED_PROPERTY_MISSING: 'الحقل المطلوب مفقود: {path}',
+    ADDITIONAL_PROPERTY_NOT_ALLOWED: 'الحقل الإضافي غير مسموح به: {path}',
+    UNKNOWN_PROPERTY: 'حقل غير معروف: {path}',
+    TYPE_MISMATCH: 'نوع غير صحيح في {path}: المتوقع {expected}، المستلم {actual}',
+    ONE_OF_MISMATCH: 'يجب أن تطابق القيمة في {path} مخططًا واحدًا فقط (عدد المطابقات: {matches})',
+    INVALID_ENUM_VALUE: 'قيمة غير صالحة في {path}؛ القيم المسموح بها: {allowed}',
+    VALUE_TOO_SMALL: 'القيمة في {path} أقل من الحد الأدنى ({min})',
+    VALUE_TOO_LARGE: 'القيمة في {path} أكبر من الحد الأقصى ({max})',
+    STRING_TOO_SHORT: 'يجب ألا يقل طول {path} عن {minLength} حرفًا',
+    STRING_TOO_LONG: 'يجب ألا يزيد طول {path} عن {maxLength} حرفًا',
+    PATTERN_MISMATCH: 'تنسيق {path} غير صالح',
+    NOT_SERIALIZABLE: 'لا يمكن تحويل القيمة في {path} إلى JSON',
+    CIRCULAR_REFERENCE: 'تم اكتشاف مرجع دائري في {path}',
+    STATE_TOO_LARGE: 'حجم الحالة ({size}KB) يتجاوز الحد المسموح {limit}KB',
+    ASYNC_RULE_FAILED: 'تعذر التحقق من {path}: {reason}',
+    CONSTRAINT_VIOLATION: 'لم يتم استيفاء القيد {constraint} في {path}',
+    SUBSCRIPTION_EXPIRED: 'يجب أن يكون تاريخ انتهاء الاشتراك النشط في المستقبل',
+    PROGRESS_WITHOUT_COMPLETED_LESSONS: 'يتطلب التقدم الأكبر من الصفر درسًا مكتملًا واحدًا على الأقل',
+    UNSUPPORTED_LANGUAGE: 'اللغة {value} غير متوفرة في كتالوج الدورات'
+  }
+};
+
+/** @private */
+let defaultLanguage = FALLBACK_LANGUAGE;
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Set the language used for new validation messages.
+ * Usually the profile's interface language (UserProfileManager.setDefaultLanguage);
+ * languages without a catalog render in English.
+ * @param {string} language - Language code (e.g. 'fa')
+ */
+export function setDefaultLanguage(language) {
+  defaultLanguage = language || FALLBACK_LANGUAGE;
+}
+
+/**
+ * @returns {string} Current default language
+ */
+export function getDefaultLanguage() {
+  return defaultLanguage;
+}
+
+/**
+ * @returns {string[]} Languages with a registered catalog
+ */
+export function getSupportedLanguages() {
+  return Object.keys(catalogs);
+}
+
+/**
+ * Add or override message templates for a language
+ * @param {string} language - Language code
+ * @param {Object<string, string>} messages - code -> template with '{param}' placeholders
+ */
+export function registerValidationMessages(language, messages) {
+  catalogs[language] = { ...catalogs[language], ...messages };
+}
+
+/**
+ * Render the message for an error code.
+ * Falls back to English, then to the code itself.
+ * @param {string} code - Error code
+ * @param {Object} [params] - Template parameters (arrays are joined with ', ')
+ * @param {string} [language] - Defaults to the default language
+ * @returns {string}
+ */
+export function formatValidationMessage(code, params = {}, language = defaultLanguage) {
+  const template = (catalogs[language] && catalogs[language][code]) ||
+    catalogs[FALLBACK_LANGUAGE][code];
+
+  if (!template) {
+    return code;
+  }
+
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined) return placeholder;
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+/**
+ * Whether a catalog message exists for an error code
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function hasValidationMessage(code) {
+  return Object.values(catalogs).some(catalog => !!catalog[code]);
+}
+
+/**
+ * Re-render error messages in another language.
+ * Errors whose code has no catalog entry (custom rules) are kept as-is.
+ * @param {ValidationError[]} errors
+ * @param {string} [language] - Defaults to the default language
+ * @returns {ValidationError[]}
+ */
+export function localizeValidationErrors(errors, language = defaultLanguage) {
+  return errors.map(error => (
+    !hasValidationMessage(error.code)
+      ? error
+      : {
+        ...error,
+        message: formatValidationMessage(error.code, { path: error.path, ...error.params }, language)
+      }
+  ));
+}
@@ -6,6 +6,7 @@
 import {
     UserProfileManagerInterface
 } from './user_profile_interface.js';
+import { setDefaultLanguage as setValidationLanguage } from '../../core/validation-messages.js';
 
 class UserProfileManager extends UserProfileManagerInterface {
     /**
@@ -54,6 +55,9 @@ class UserProfileManager extends UserProfileManagerInterface {
             // همگام‌سازی اولیه با سرور
             await this.syncWithServer(false);
             
+            // پیام‌های اعتبارسنجی به زبان رابط کاربری
+            await this.languageManager.applyInterfaceLanguage();
+            
             // انتشار رویداد
             this.eventBus?.publish('profile:initialized', { userId });
             
@@ -731,11 +735,21 @@ class LanguageManager {
             this.profileManager.currentUserId,
             { interfaceLanguage: languageCode }
         );
+        setValidationLanguage(languageCode);
         
         this.logger.info(`Default language set to: ${languageCode}`);
         return true;
     }
     
+    /**
+     * هماهنگ کردن زبان پیام‌های اعتبارسنجی با زبان رابط کاربری پروفایل
+     */
+    async applyInterfaceLanguage() {
+        const languageCode = await this.getDefaultLanguage();
+        setValidationLanguage(languageCode);
+        return languageCode;
+    }
+    
     getLanguageName(code) {
         const languages = {
             'en': 'English',